@@ -0,0 +1,41 @@
+import express from 'express';
+import { queryAuditEvents, AUDIT_EVENTS } from './auditLog.js';
+import { AppError } from './errors.js';
+
+const router = express.Router();
+
+// Parse an optional time filter into an ISO timestamp (undefined when absent, null when invalid)
+const parseTime = (value) => {
+  if (!value) return undefined;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+// Query the audit log
+// Filters: ?user=<id or username>&type=LOGIN_FAILURE,FILE_DELETE&from=<date>&to=<date>&limit=100
+router.get('/', async (req, res, next) => {
+  const { user, type, limit } = req.query;
+  const from = parseTime(req.query.from);
+  const to = parseTime(req.query.to);
+
+  if (from === null || to === null) {
+    return next(new AppError('VALIDATION_FAILED', 'from and to must be valid dates'));
+  }
+
+  const types = type ? String(type).split(',').map(t => t.trim().toUpperCase()).filter(Boolean) : [];
+  const unknownTypes = types.filter(t => !Object.values(AUDIT_EVENTS).includes(t));
+  if (unknownTypes.length > 0) {
+    return next(new AppError('VALIDATION_FAILED', `Unknown event type(s): ${unknownTypes.join(', ')}`, {
+      details: { available_types: Object.values(AUDIT_EVENTS) }
+    }));
+  }
+
+  try {
+    const events = await queryAuditEvents({ userId: user, types, from, to, limit });
+    res.json({ success: true, events, count: events.length });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,222 @@
+import fs from 'fs/promises';
+import path from 'path';
+import config from './config.js';
+import { getContextUser, getContextRequest } from './userContext.js';
+import { createLogger } from './logger.js';
+
+// Audit log settings
+// - AUDIT_LOG_DRIVER: 'file' (JSON lines, default) or 'sqlite' (needs better-sqlite3 installed)
+// - AUDIT_LOG_PATH: JSON lines file; rotated files get .1, .2, ... suffixes
+// - AUDIT_LOG_MAX_BYTES / AUDIT_LOG_MAX_FILES: rotate above this size, keep this many rotated files
+// - AUDIT_LOG_SQLITE_PATH: database file for the sqlite driver
+const AUDIT_LOG_DRIVER = config.AUDIT_LOG_DRIVER;
+const AUDIT_LOG_PATH = config.AUDIT_LOG_PATH;
+const AUDIT_LOG_MAX_BYTES = config.AUDIT_LOG_MAX_BYTES;
+const AUDIT_LOG_MAX_FILES = config.AUDIT_LOG_MAX_FILES;
+const AUDIT_LOG_SQLITE_PATH = config.AUDIT_LOG_SQLITE_PATH;
+
+const log = createLogger('audit');
+
+// Event types written to the audit log
+export const AUDIT_EVENTS = {
+  LOGIN_SUCCESS: 'LOGIN_SUCCESS',
+  LOGIN_FAILURE: 'LOGIN_FAILURE',
+  LOGIN_THROTTLED: 'LOGIN_THROTTLED',
+  LOGOUT: 'LOGOUT',
+  PASSWORD_CHANGED: 'PASSWORD_CHANGED',
+  PASSWORD_RESET_REQUESTED: 'PASSWORD_RESET_REQUESTED',
+  PASSWORD_RESET: 'PASSWORD_RESET',
+  PATH_TRAVERSAL: 'PATH_TRAVERSAL',
+  BLOCKED_EXTENSION: 'BLOCKED_EXTENSION',
+  FILE_DELETE: 'FILE_DELETE',
+  FILE_MOVE: 'FILE_MOVE',
+  FILE_DOWNLOAD: 'FILE_DOWNLOAD'
+};
+
+const MAX_QUERY_LIMIT = 1000;
+
+// Does an entry match the query filters?
+const matches = (entry, { userId, types, from, to }) => (
+  (!userId || entry.userId === userId || entry.username === userId) &&
+  (!types || types.includes(entry.type)) &&
+  (!from || entry.timestamp >= from) &&
+  (!to || entry.timestamp <= to)
+);
+
+// Append-only JSON lines file with size-based rotation
+class FileAuditStore {
+  constructor(filePath = AUDIT_LOG_PATH) {
+    this.name = 'file';
+    this.filePath = filePath;
+    this.writeQueue = Promise.resolve();
+  }
+
+  rotatedPath(index) {
+    return index === 0 ? this.filePath : `${this.filePath}.${index}`;
+  }
+
+  async rotateIfNeeded(incomingBytes) {
+    let size = 0;
+    try {
+      size = (await fs.stat(this.filePath)).size;
+    } catch {
+      return;
+    }
+    if (size + incomingBytes <= AUDIT_LOG_MAX_BYTES) {
+      return;
+    }
+
+    // audit.log.(n-1) -> audit.log.n, ..., audit.log -> audit.log.1; the oldest falls off
+    await fs.rm(this.rotatedPath(AUDIT_LOG_MAX_FILES), { force: true });
+    for (let i = AUDIT_LOG_MAX_FILES - 1; i >= 0; i--) {
+      await fs.rename(this.rotatedPath(i), this.rotatedPath(i + 1)).catch(() => {});
+    }
+  }
+
+  append(entry) {
+    const line = `${JSON.stringify(entry)}\n`;
+    // A failed write must not block the ones queued after it
+    this.writeQueue = this.writeQueue.catch(() => {}).then(async () => {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      await this.rotateIfNeeded(Buffer.byteLength(line));
+      await fs.appendFile(this.filePath, line, { flag: 'a', mode: 0o600 });
+    });
+    return this.writeQueue;
+  }
+
+  async query(filters, limit) {
+    await this.writeQueue.catch(() => {});
+    const results = [];
+
+    // Newest file first, newest line first
+    for (let i = 0; i <= AUDIT_LOG_MAX_FILES && results.length < limit; i++) {
+      let text;
+      try {
+        text = await fs.readFile(this.rotatedPath(i), 'utf8');
+      } catch {
+        continue;
+      }
+      const lines = text.split('\n').filter(Boolean).reverse();
+      for (const line of lines) {
+        try {
+          const entry = JSON.parse(line);
+          if (matches(entry, filters)) {
+            results.push(entry);
+            if (results.length >= limit) break;
+          }
+        } catch {
+          // Skip a torn line rather than failing the whole query
+        }
+      }
+    }
+    return results;
+  }
+}
+
+// SQLite store - better-sqlite3 is only loaded when this driver is configured
+class SqliteAuditStore {
+  constructor(dbPath = AUDIT_LOG_SQLITE_PATH) {
+    this.name = 'sqlite';
+    this.dbPath = dbPath;
+    this.db = null;
+  }
+
+  async open() {
+    if (!this.db) {
+      const { default: Database } = await import('better-sqlite3');
+      await fs.mkdir(path.dirname(this.dbPath), { recursive: true });
+      this.db = new Database(this.dbPath);
+      this.db.exec(`CREATE TABLE IF NOT EXISTS audit_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        timestamp TEXT NOT NULL,
+        type TEXT NOT NULL,
+        severity TEXT NOT NULL,
+        user_id TEXT,
+        username TEXT,
+        ip TEXT,
+        user_agent TEXT,
+        details TEXT
+      );
+      CREATE INDEX IF NOT EXISTS audit_events_timestamp ON audit_events (timestamp);
+      CREATE INDEX IF NOT EXISTS audit_events_user ON audit_events (user_id);`);
+    }
+    return this.db;
+  }
+
+  async append(entry) {
+    const db = await this.open();
+    db.prepare(`INSERT INTO audit_events (timestamp, type, severity, user_id, username, ip, user_agent, details)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)`).run(
+      entry.timestamp, entry.type, entry.severity, entry.userId, entry.username,
+      entry.ip, entry.userAgent, JSON.stringify(entry.details)
+    );
+  }
+
+  async query({ userId, types, from, to }, limit) {
+    const db = await this.open();
+    const where = [];
+    const params = [];
+    if (userId) { where.push('(user_id = ? OR username = ?)'); params.push(userId, userId); }
+    if (types) { where.push(`type IN (${types.map(() => '?').join(', ')})`); params.push(...types); }
+    if (from) { where.push('timestamp >= ?'); params.push(from); }
+    if (to) { where.push('timestamp <= ?'); params.push(to); }
+
+    const rows = db.prepare(`SELECT * FROM audit_events ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+      ORDER BY id DESC LIMIT ?`).all(...params, limit);
+    return rows.map(row => ({
+      timestamp: row.timestamp,
+      type: row.type,
+      severity: row.severity,
+      userId: row.user_id,
+      username: row.username,
+      ip: row.ip,
+      userAgent: row.user_agent,
+      details: JSON.parse(row.details || '{}')
+    }));
+  }
+}
+
+const createAuditStore = (name = AUDIT_LOG_DRIVER) => {
+  switch (name) {
+    case 'file':
+      return new FileAuditStore();
+    case 'sqlite':
+      return new SqliteAuditStore();
+    default:
+      throw new Error(`Unknown audit log driver: ${name}`);
+  }
+};
+
+const store = createAuditStore();
+
+/**
+ * Record an audit event. Never throws - a failing audit write is logged and the request carries on.
+ * The user and client details come from `req` when given, otherwise from the request context.
+ */
+export const recordAuditEvent = (type, details = {}, { req = null, user = null, severity = 'info' } = {}) => {
+  const actor = user || req?.user || getContextUser();
+  const request = getContextRequest();
+  const entry = {
+    timestamp: new Date().toISOString(),
+    type,
+    severity,
+    userId: actor?.id || null,
+    username: actor?.username || null,
+    ip: req?.ip || request?.ip || null,
+    userAgent: req?.get?.('user-agent') || request?.userAgent || null,
+    details
+  };
+
+  return Promise.resolve()
+    .then(() => store.append(entry))
+    .catch(error => log.error('Failed to write audit event', { type, error: error.message }));
+};
+
+/**
+ * Query audit events, newest first.
+ * Filters: { userId, types: [..], from, to (ISO timestamps), limit }
+ */
+export const queryAuditEvents = async ({ userId, types, from, to, limit = 100 } = {}) => {
+  const cappedLimit = Math.min(Math.max(parseInt(limit, 10) || 100, 1), MAX_QUERY_LIMIT);
+  return store.query({ userId, types: types?.length ? types : null, from, to }, cappedLimit);
+};
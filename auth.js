@@ -1,454 +1,503 @@
-import express from 'express';
-import jwt from 'jsonwebtoken';
-import fetch from 'node-fetch';
-import https from 'https';
-import fs from 'fs';
-import { fileURLToPath } from 'url';
-import path from 'path';
-import { Buffer } from 'buffer';
-import process from 'process';
-import { exec } from 'child_process';
-import { promisify } from 'util';
-import { setForeignLastSessionId, setCurrentUserId, setPersonalizedFiles } from './chat.js';
-import nfsManager from './nfsManager.js';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-const router = express.Router();
-
-// Promisify exec for async/await usage
-const execAsync = promisify(exec);
-
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
-
-// Load CA certificate for HTTPS requests
-let httpsAgent;
-try {
-  // Use absolute path to ensure CA cert is found regardless of working directory
-  const caCertPath = path.join(__dirname, 'ca-certificate.pem');
-  const caCert = fs.readFileSync(caCertPath);
-  console.log('CA certificate loaded successfully from', caCertPath);
-  httpsAgent = new https.Agent({
-    ca: caCert,
-    rejectUnauthorized: true // Keep true for security
-  });
-} catch (error) {
-  console.warn('CA certificate not found, using fallback SSL configuration:', error.message);
-  // Fallback: disable SSL verification (NOT recommended for production)
-  httpsAgent = new https.Agent({
-    rejectUnauthorized: false
-  });
-}
-
-export { httpsAgent };
-
-// Utility to decode JWT and extract user info (without verification for user ID extraction)
-export function extractUserIdFromToken(token) {
-  try {
-    if (!token) return null;
-    
-    // Remove 'Bearer ' prefix if present
-    const cleanToken = token.startsWith('Bearer ') ? token.substring(7) : token;
-    
-    // Decode JWT payload (base64 decode the middle part)
-    const parts = cleanToken.split('.');
-    if (parts.length !== 3) return null;
-    
-    const payload = JSON.parse(Buffer.from(parts[1], 'base64').toString());
-    console.log('🔍 JWT payload:', payload);
-    
-    // Extract user ID - check user_id first, then user_name, then fallback to email extraction
-    if (payload.user_id) {
-      return payload.user_id;
-    }
-    
-    if (payload.user_name) {
-      return payload.user_name;
-    }
-  
-    
-    return null;
-  } catch (error) {
-    console.error('Error extracting user ID from JWT:', error);
-    return null;
-  }
-}
-
-// Middleware to extract user ID from authorization header or stored user ID
-export function extractUserFromRequest(req) {
-  // Check if we have a stored user ID from login (via getCurrentUserId)
-  // We'll keep JWT extraction as primary method for now to avoid circular imports
-  
-  // Extract from JWT token
-  const authHeader = req.headers.authorization;
-  if (authHeader) {
-    const userId = extractUserIdFromToken(authHeader);
-    if (userId) {
-      console.log('✅ Extracted user ID from JWT:', userId);
-      return userId;
-    }
-  }
-  
-  // Fallback to user_id in request body
-  if (req.body.user_id && req.body.user_id !== 'default_user') {
-    console.log('✅ Using user ID from request body:', req.body.user_id);
-    return req.body.user_id;
-  }
-  
-  console.log('⚠️ No valid user ID found');
-  return null;
-}
-
-//const JWT_SECRET = jwt; // Change to env var in production
-
-router.post('/register', async (req, res) => {
-  console.log('Register request received:', req.body);
-  
-  try {
-    // Extract username from request
-    const { user_name } = req.body;
-    
-    if (!user_name) {
-      return res.status(400).json({ error: 'Username is required for registration' });
-    }
-    
-    // First, try to register with the foreign server
-    const response = await fetch('https://192.168.7.22:5000/signup', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(req.body),
-      agent: httpsAgent // Use the custom HTTPS agent
-    });
-    
-    console.log('Foreign server response status:', response.status);
-    
-    const text = await response.text();
-    console.log('Foreign server response text:', text);
-    
-    let result;
-    try {
-      result = JSON.parse(text);
-    } catch (e) {
-      console.error('Failed to parse JSON from foreign server:', e);
-      result = { error: 'Invalid JSON from foreign server', details: text };
-    }
-    
-    // Registration successful - NFS will be mounted on login, not signup
-    if (response.status === 200 || response.status === 201) {
-      console.log(`✅ User '${user_name}' registered successfully. NFS will be mounted on first login.`);
-      result.registration_complete = true;
-    }
-    
-    res.status(response.status).json(result);
-  } catch (error) {
-    console.error('Register proxy error:', error);
-    res.status(500).json({ error: 'Register proxy failed', details: error.message });
-  }
-});
-
-
-
-
-router.post('/login', async (req, res) => {
-  console.log('=== 🔑 Login request received ===');
-  
-  const { user_name, password } = req.body;
-  if (!user_name || !password) {
-    console.log('❌ Missing username or password');
-    return res.status(400).json({ error: 'Username and password required.' });
-  }
-
-  try {
-    // 🔧 STEP 0: Ensure device is unmounted before fresh login
-    console.log('🔧 Running unmount command before login to ensure clean state...');
-    try {
-      await execAsync('umount X:');
-      console.log('✅ Unmount command completed successfully');
-    } catch (unmountError) {
-      // Don't fail login if unmount fails - device might not be mounted
-      console.log('ℹ️ Unmount command result:', unmountError.message);
-      console.log('📝 This is normal if device was not previously mounted');
-    }
-    // 🚀 IMMEDIATE NFS MOUNTING - Start mounting as soon as sign-in is initiated
-    console.log(`🚀 Starting immediate NFS mount for user: ${user_name}`);
-    const nfsMountPromise = (async () => {
-      try {
-        console.log(`📁 Initializing NFS for user: ${user_name}`);
-        const startTime = Date.now();
-        const currentRoot = await nfsManager.initializeNFSForUser(user_name);
-        const mountTime = Date.now() - startTime;
-        console.log(`✅ NFS mount completed for user '${user_name}' in ${mountTime}ms`);
-        console.log(`📁 NFS filesystem root: ${currentRoot}`);
-        console.log(`📁 User directory: ${nfsManager.getStatus().userPath || 'Not set'}`);
-        return { success: true, currentRoot, mountTime };
-      } catch (nfsError) {
-        console.error(`❌ NFS mount failed for user '${user_name}':`, nfsError.message);
-        console.error(`🔍 NFS Error details:`, nfsError);
-        return { success: false, error: nfsError.message };
-      }
-    })();
-
-    // Step 2: Proceed with login to foreign server (in parallel with NFS mounting)
-    console.log('🔍 Original request body received from frontend:', req.body);
-    
-    let foreignServerBody = req.body;
-    console.log('🌐 Attempting login with user_name format:', foreignServerBody);
-
-    const response = await fetch('https://192.168.7.22:5000/login', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(foreignServerBody),
-      agent: httpsAgent
-    });
-    
-    console.log('Foreign server response status:', response.status);
-    
-    const text = await response.text();
-    console.log('Foreign server response text:', text);
-    
-    let result;
-    try {
-      result = JSON.parse(text);
-    } catch (e) {
-      console.error('Failed to parse JSON from foreign server:', e);
-      result = { error: 'Invalid JSON from foreign server', details: text };
-    }
-    
-    // If login was successful, wait for NFS mounting to complete and finalize session
-    if (response.status === 200 && result.message === 'Login successful') {
-      // Extract BOTH token and user_id from foreign server response
-      const token = result.token;
-      const userId = result.user_id;
-      
-      console.log('🔢 Processing session management for successful login');
-      console.log('🎫 Token from foreign server:', token ? 'Present' : 'Missing');
-      console.log('🆔 User ID from foreign server:', userId);
-      
-      // Wait for NFS mounting to complete (should be fast due to parallel execution)
-      console.log('⏳ Waiting for NFS mount to complete...');
-      const nfsResult = await nfsMountPromise;
-      if (nfsResult.success) {
-        console.log(`✅ NFS mount successful in ${nfsResult.mountTime}ms: ${nfsResult.currentRoot}`);
-       // console.log(`📁 Final NFS status:`, nfsManager.getStatus());
-      } else {
-        console.error(`❌ NFS mount failed: ${nfsResult.error}`);
-        console.warn(`⚠️ Login will proceed but filesystem access may be limited`);
-        // Return error if NFS mount is critical
-        return res.status(500).json({ 
-          error: 'NFS mount failed', 
-          details: nfsResult.error,
-          message: 'Filesystem access unavailable' 
-        });
-      }
-      
-      if (!userId) {
-        console.error('❌ No user_id found in foreign server response!');
-        console.log('📋 Available fields in response:', Object.keys(result));
-      }
-      
-      if (!token) {
-        console.error('❌ No token found in foreign server response!');
-        console.log('📋 Available fields in response:', Object.keys(result));
-      }
-      
-      // Store the current user ID for use throughout the application
-      setCurrentUserId(userId);
-      
-      // Extract and store personalized files from foreign server response
-      if (result.personalized_files && Array.isArray(result.personalized_files)) {
-        console.log('📂 Extracting personalized files from login response:', result.personalized_files);
-        setPersonalizedFiles(userId, result.personalized_files);
-      } else {
-        console.log('📂 No personalized files found in login response');
-        setPersonalizedFiles(userId, []); // Initialize with empty array
-      }
-      
-      // Add token and user_id to the response for frontend to store
-      result.token = token;
-      result.user_id = userId;
-      
-      // Get the foreign server's session ID (this is the last/highest session ID)
-      const foreignSessionId = result.session_id|| 0;
-      console.log('🌐 Foreign server session ID:', foreignSessionId);
-      
-      // 🎯 NEW APPROACH: Treat session_id as LAST session ID
-      // Foreign server now sends the last/highest session ID in their DB
-      const foreignLastSessionId = foreignSessionId.toString();
-      console.log('🆔 Foreign server LAST session ID:', foreignLastSessionId);
-      
-      // Store foreign LAST session ID for local session ID generation
-      // Local sessions will start from foreignLastSessionId + 1
-      setForeignLastSessionId(userId, foreignLastSessionId);
-      
-      // Get local session count from our globalSessionNames array
-      let localSessionCount = 0;
-      try {
-        const { globalSessionNames } = await import('./chat.js');
-        localSessionCount = userId ? globalSessionNames.filter(session => session.user_id === userId).length : 0;
-        console.log('📊 Local session count for user', userId, ':', localSessionCount);
-      } catch (importError) {
-        console.warn('⚠️ Could not import chat.js for session count:', importError.message);
-      }
-      
-      // 🎯 IMPORTANT: Next local session will be foreignLastSessionId + 1
-      const nextLocalSessionId = parseInt(foreignLastSessionId) + 1;
-      console.log('🆔 Next local session will start from ID:', nextLocalSessionId);
-      
-      // Return both for frontend information - maintain backward compatibility
-      result.session_count = foreignSessionId; // Keep for backward compatibility
-      result.last_session_id = foreignLastSessionId;
-      result.next_session_id = nextLocalSessionId.toString();
-      result.local_session_count = localSessionCount;
-      
-      console.log('📊 Final session info - Foreign Last ID:', foreignLastSessionId, 'Next Local ID:', nextLocalSessionId, 'Local Count:', localSessionCount);
-    }
-    
-    res.status(response.status).json(result);
-  } catch (error) {
-    console.error('Login proxy error:', error);
-    res.status(500).json({ error: 'Login proxy failed', details: error.message });
-  }
-});
-
-
-router.get('/protected', (req, res) => {
-  const authHeader = req.headers.authorization;
-  if (!authHeader) return res.status(401).json({ error: 'No token provided.' });
-  const token = authHeader.split(' ')[1];
-  jwt.verify(token, JWT_SECRET, (err, decoded) => {
-    if (err) return res.status(401).json({ error: 'Invalid token.' });
-    res.json({ message: 'This is protected.', user: decoded });
-  });
-});
-
-// Logout endpoint - handles both auth and chat cleanup
-router.post('/logout', async (req, res) => {
-  console.log('🚪 /logout endpoint hit - clearing user session data');
-  console.log('🔍 Request body:', req.body);
-  console.log('🔍 Authorization header:', req.headers.authorization);
-  
-  let { user_id } = req.body;
-
-  // Extract user ID from JWT token if not provided
-  const jwtUserId = extractUserFromRequest(req);
-  console.log('🔍 JWT extracted user ID:', jwtUserId);
-  
-  if (!user_id || user_id === 'default_user') {
-    user_id = jwtUserId || 'default_user';
-    console.log('🔄 Logout using extracted user ID:', user_id);
-  }
-  
-  console.log('🎯 FINAL user_id for logout:', user_id);
-
-  try {
-    // Step 1: Call foreign server logout (if endpoint exists)
-    let foreignLogoutResult = null;
-    try {
-      const authHeader = req.headers.authorization;
-      const token = authHeader && authHeader.startsWith('Bearer ') ? authHeader.substring(7) : null;
-      
-      if (token) {
-        console.log('🌐 Calling foreign server logout...');
-        const response = await fetch('https://192.168.7.22:5000/logout', {
-          method: 'POST',
-          headers: { 
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${token}`
-          },
-          body: JSON.stringify({ user_id }),
-          agent: httpsAgent
-        });
-        
-        const text = await response.text();
-        console.log('🌐 Foreign server logout response:', response.status, text);
-        
-        try {
-          foreignLogoutResult = JSON.parse(text);
-        } catch (parseError) {
-          console.warn('⚠️ Could not parse foreign server logout response:', parseError.message);
-          foreignLogoutResult = { status: response.status, response: text };
-        }
-      }
-    } catch (foreignError) {
-      console.warn('⚠️ Foreign server logout failed (continuing with local cleanup):', foreignError.message);
-      foreignLogoutResult = { error: foreignError.message };
-    }
-
-    // Step 2: Clean up temporary files
-    console.log('🧹 Cleaning up temporary files...');
-    let tempCleanupResult = null;
-    try {
-      const { cleanupTempFiles } = await import('./filesystem.js');
-      await cleanupTempFiles();
-      tempCleanupResult = { success: true, message: 'Temporary files cleaned up successfully' };
-      console.log('✅ Temporary files cleaned up during logout');
-    } catch (tempError) {
-      console.warn('⚠️ Failed to cleanup temp files during logout:', tempError.message);
-      tempCleanupResult = { success: false, error: tempError.message };
-    }
-
-    // Step 3: COMPLETE SYSTEM FLUSH (clear ALL global variables - not just current user)
-    console.log('🧨 PERFORMING COMPLETE SYSTEM FLUSH - clearing ALL global variables');
-    const { flushAllGlobalVariables } = await import('./chat.js');
-    const flushResult = await flushAllGlobalVariables();
-
-    // Step 4: Unmount NFS - wait for completion to ensure proper cleanup
-    console.log('🔄 Starting NFS unmount...');
-    let nfsUnmountResult = null;
-    try {
-      await nfsManager.gracefulShutdown();
-      nfsUnmountResult = { success: true, message: 'NFS unmounted successfully' };
-      console.log('✅ NFS unmounted successfully');
-    } catch (nfsError) {
-      console.error('❌ NFS unmounting failed:', nfsError.message);
-      nfsUnmountResult = { success: false, error: nfsError.message };
-      // Don't fail the logout if NFS unmount fails - just log it
-    }
-
-    console.log('✅ LOGOUT COMPLETE: Complete system flush performed - ALL global variables cleared');
-
-    res.json({
-      success: true,
-      message: 'Logout successful - COMPLETE system flush performed',
-      user_id: user_id,
-      flushed: flushResult.flushed,
-      verified_empty: flushResult.verified_empty,
-      temp_cleanup: tempCleanupResult,
-      nfs_unmount: nfsUnmountResult,
-      foreign_logout: foreignLogoutResult,
-      timestamp: new Date().toISOString()
-    });
-
-  } catch (error) {
-    console.error('❌ Error during logout:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to logout user',
-      details: error.message
-    });
-  }
-});
-
-// NFS status endpoint for frontend to check mount progress
-router.get('/nfs-status', (req, res) => {
-  try {
-    const status = nfsManager.getStatus();
-    res.json({
-      success: true,
-      nfs_status: status,
-      is_ready: status.isNFSMounted && status.isNFSAvailable
-    });
-  } catch (error) {
-    console.error('Error getting NFS status:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to get NFS status',
-      details: error.message
-    });
-  }
-});
-
-export default router;
-
-// Note: Don't apply authenticateToken to auth routes (login/register)
-// Apply to other routes that need authentication
+import express from 'express';
+import { setForeignLastSessionId, setPersonalizedFiles } from './chat.js';
+import storage from './storageDriver.js';
+import { getFilesystemStatus } from './filesystemUtils.js';
+import identityProvider from './identityProvider.js';
+import { verifyAccessToken, authenticate, revokeToken, requireRole, requireSessionToken, resolveRole, issueSessionAccessToken } from './authMiddleware.js';
+import { createRefreshTokenFamily, rotateRefreshToken } from './refreshTokens.js';
+import { createSession, terminateSession } from './sessionRegistry.js';
+import { recordAuditEvent, AUDIT_EVENTS } from './auditLog.js';
+import { loginThrottle, recordLoginFailure, recordLoginSuccess, listLockouts, clearLockout } from './loginThrottle.js';
+import { validate } from './openapi.js';
+import { AppError, codeForUpstreamStatus } from './errors.js';
+import { OidcError, isOidcConfigured, createAuthorizationRequest, completeAuthorization, mapClaimsToUser, OIDC_POST_LOGIN_REDIRECT } from './oidc.js';
+import { createLogger } from './logger.js';
+
+const router = express.Router();
+const log = createLogger('auth');
+
+// Re-exported for modules that still import the agent from here
+export { httpsAgent } from './httpsAgent.js';
+
+// Utility to verify a JWT and extract the user ID (returns null if the token is invalid)
+export function extractUserIdFromToken(token) {
+  try {
+    return verifyAccessToken(token).id;
+  } catch (error) {
+    log.warn('Rejected token while extracting user ID', { error: error.message });
+    return null;
+  }
+}
+
+// Resolve the authenticated user ID for a request - only verified tokens are trusted
+export function extractUserFromRequest(req) {
+  // Prefer the user attached by the authenticate middleware
+  if (req.user) {
+    return req.user.id;
+  }
+
+  const authHeader = req.headers.authorization;
+  if (authHeader) {
+    const userId = extractUserIdFromToken(authHeader);
+    if (userId) {
+      log.debug('Extracted user ID from verified JWT', { userId });
+      return userId;
+    }
+  }
+
+  log.debug('No valid user ID found');
+  return null;
+}
+
+// Start mounting the user's storage once the sign-in has been verified - username must come from
+// the identity provider's result, never straight from the request.
+// The registry reuses an existing mount for this user and never touches other users' mounts.
+// Returns { promise, release } - release drops the mount reference when the login does not complete.
+const startLoginMount = (user_name) => {
+  log.info('Starting NFS mount for verified user', { username: user_name });
+  const promise = (async () => {
+    try {
+      const startTime = Date.now();
+      const currentRoot = await storage.attachUser(user_name);
+      const mountTime = Date.now() - startTime;
+      log.info('NFS mount ready', { username: user_name, mountTimeMs: mountTime, root: currentRoot });
+      return { success: true, currentRoot, mountTime };
+    } catch (nfsError) {
+      log.error('NFS mount failed', { username: user_name, error: nfsError });
+      return { success: false, error: nfsError.message };
+    }
+  })();
+
+  // Safe to call more than once - only the first call drops the reference
+  let released = false;
+  const release = async () => {
+    const nfsResult = await promise;
+    if (nfsResult.success && !released) {
+      released = true;
+      storage.detachUser(user_name);
+    }
+  };
+
+  return { promise, release };
+};
+
+// A refused registration or sign-in, as a catalogue error. The provider's body is not passed
+// through; its message is kept for 4xx answers, which are written for the user.
+const identityProviderError = (outcome, reason) => {
+  const code = outcome.status === 400 ? 'VALIDATION_FAILED'
+    : outcome.status === 409 ? 'USER_EXISTS'
+      : codeForUpstreamStatus(outcome.status);
+  const providerMessage = outcome.body?.error || outcome.body?.message;
+  const message = outcome.status < 500 && typeof providerMessage === 'string' ? providerMessage : undefined;
+  return new AppError(code, message, { reason });
+};
+
+// Post-login work shared by every sign-in method: wait for the storage mount, store
+// personalized files, issue backend tokens and seed session IDs.
+// `login` is a successful identity provider result. Resolves { status, body } for the response;
+// throws when the login can't be completed, and the caller then releases the mount.
+const finalizeLogin = async (req, login, mount, provider) => {
+  const result = login.body;
+
+  // Token and user_id as normalized by the identity provider
+  const token = login.token;
+  const userId = login.user?.id;
+  
+  log.debug('Processing session management for successful login', { userId, hasToken: Boolean(token) });
+
+  // Without a user id no session can own the mount reference
+  if (!userId) {
+    log.error('No user_id found in identity provider response', { fields: Object.keys(result) });
+    throw new AppError('UPSTREAM_ERROR', 'The identity provider did not identify the user', { reason: 'MISSING_USER_ID' });
+  }
+  
+  // Wait for NFS mounting to complete (started as soon as the sign-in was verified)
+  const nfsResult = await mount.promise;
+  if (!nfsResult.success) {
+    log.error('Login failed - NFS mount unavailable', { userId, error: nfsResult.error });
+    throw new AppError('STORAGE_NOT_MOUNTED', 'Filesystem access unavailable');
+  }
+  
+  if (!token) {
+    log.error('No token found in identity provider response', { fields: Object.keys(result) });
+  }
+  
+  // Store personalized files from the login response
+  log.debug('Personalized files from login response', { userId, count: login.personalizedFiles.length });
+  setPersonalizedFiles(userId, login.personalizedFiles);
+  
+  // Replace the provider's token with a short-lived access token and a rotating
+  // refresh token issued by this backend, so sessions can be renewed silently
+  const sessionUser = {
+    id: String(userId),
+    username: login.user.username,
+    role: resolveRole(login.user.username, { roles: login.user.roles })
+  };
+  const { familyId, refreshToken } = createRefreshTokenFamily(sessionUser);
+  // The session now owns the mount reference and releases it when it ends (logout, revocation, expiry)
+  createSession(familyId, sessionUser, req, { releaseStorage: mount.release });
+  const accessToken = issueSessionAccessToken(sessionUser, familyId);
+  result.token = accessToken.token;
+  result.expires_in = accessToken.expiresIn;
+  result.token_type = 'Bearer';
+  result.refresh_token = refreshToken;
+  result.login_session_id = familyId;
+  recordAuditEvent(AUDIT_EVENTS.LOGIN_SUCCESS, { sessionId: familyId, provider }, { req, user: sessionUser });
+  result.user_id = userId;
+  
+  // Get the foreign server's session ID (this is the last/highest session ID)
+  const foreignSessionId = login.sessionId || 0;
+  
+  // Treat session_id as LAST session ID
+  // Foreign server now sends the last/highest session ID in their DB
+  const foreignLastSessionId = foreignSessionId.toString();
+  
+  // Store foreign LAST session ID for local session ID generation
+  // Local sessions will start from foreignLastSessionId + 1
+  setForeignLastSessionId(userId, foreignLastSessionId);
+  
+  // Get local session count from our globalSessionNames array
+  let localSessionCount = 0;
+  try {
+    const { globalSessionNames } = await import('./chat.js');
+    localSessionCount = globalSessionNames.filter(session => session.user_id === userId).length;
+  } catch (importError) {
+    log.warn('Could not import chat.js for session count', { error: importError.message });
+  }
+  
+  // Next local session will be foreignLastSessionId + 1
+  const nextLocalSessionId = parseInt(foreignLastSessionId) + 1;
+  
+  // Return both for frontend information - maintain backward compatibility
+  result.session_count = foreignSessionId; // Keep for backward compatibility
+  result.last_session_id = foreignLastSessionId;
+  result.next_session_id = nextLocalSessionId.toString();
+  result.local_session_count = localSessionCount;
+  
+  log.debug('Session IDs for login', { userId, foreignLastSessionId, nextLocalSessionId, localSessionCount });
+
+  return { status: login.status, body: result };
+};
+
+// Sign-in names accepted by /register and /login
+const USER_NAME_SCHEMA = { type: 'string', minLength: 1, maxLength: 128 };
+
+// Other registration fields are passed through to the identity provider untouched
+router.post('/register', validate({
+  summary: 'Register an account with the identity provider',
+  body: {
+    type: 'object',
+    required: ['user_name'],
+    properties: { user_name: USER_NAME_SCHEMA, password: { type: 'string', maxLength: 1024 } }
+  }
+}), async (req, res, next) => {
+  log.info('Register request received', { username: req.body?.user_name });
+  
+  try {
+    // Extract username from request
+    const { user_name } = req.body;
+    
+    // Register with the configured identity provider
+    const registration = await identityProvider.register(req.body);
+    const result = registration.body;
+    
+    if (!registration.success) {
+      log.warn('Registration refused', { username: user_name, status: registration.status });
+      return next(identityProviderError(registration, 'REGISTRATION_FAILED'));
+    }
+
+    // Registration successful - NFS will be mounted on login, not signup
+    log.info('User registered - NFS will be mounted on first login', { username: user_name });
+    result.registration_complete = true;
+    res.status(registration.status).json(result);
+  } catch (error) {
+    log.error('Register proxy error', { error: error.message });
+    next(error);
+  }
+});
+
+
+
+
+router.post('/login', validate({
+  summary: 'Sign in with a username and password',
+  body: {
+    type: 'object',
+    required: ['user_name', 'password'],
+    properties: { user_name: USER_NAME_SCHEMA, password: { type: 'string', maxLength: 1024 } }
+  }
+}), loginThrottle, async (req, res, next) => {
+  const { user_name } = req.body;
+
+  // Storage is mounted only for a verified user, after the identity provider accepts the credentials
+  let mount = null;
+
+  try {
+    // Step 1: Log in to the identity provider
+    log.info('Attempting login', { username: user_name, provider: identityProvider.name });
+    const login = await identityProvider.login(req.body);
+    
+    if (!login.success) {
+      // Provider outages (5xx) are not the caller's fault and don't count as failed attempts
+      if (login.status < 500) {
+        await recordLoginFailure(req);
+      }
+      recordAuditEvent(AUDIT_EVENTS.LOGIN_FAILURE, { status: login.status, provider: identityProvider.name }, {
+        req,
+        user: { id: null, username: user_name },
+        severity: 'medium'
+      });
+      return next(identityProviderError(login, 'LOGIN_FAILED'));
+    }
+
+    // Login was successful - mount the user's storage and finalize the session
+    await recordLoginSuccess(req);
+    mount = startLoginMount(login.user?.username);
+    const finalized = await finalizeLogin(req, login, mount, identityProvider.name);
+    res.status(finalized.status).json(finalized.body);
+  } catch (error) {
+    log.error('Login proxy error', { error: error.message });
+    await mount?.release();
+    next(error);
+  }
+});
+
+
+// OIDC sign-in step 1 - redirect the browser to the corporate IdP (?format=json returns the URL instead)
+router.get('/auth/oidc/start', validate({
+  summary: 'Start OIDC sign-in',
+  query: { type: 'object', properties: { format: { type: 'string', enum: ['json'] } } }
+}), async (req, res, next) => {
+  if (!isOidcConfigured()) {
+    return next(new AppError('ROUTE_NOT_FOUND', 'OIDC sign-in is not configured'));
+  }
+
+  try {
+    const { authorizationUrl } = await createAuthorizationRequest();
+    log.info('Starting OIDC sign-in');
+    if (req.query.format === 'json') {
+      return res.json({ success: true, authorization_url: authorizationUrl });
+    }
+    res.redirect(302, authorizationUrl);
+  } catch (error) {
+    log.error('OIDC start error', { error: error.message });
+    next(error);
+  }
+});
+
+// OIDC sign-in step 2 - the IdP redirects back here with ?code&state. The ID token claims are
+// mapped to the local user and the sign-in then finishes exactly like a password /login.
+router.get('/auth/oidc/callback', validate({
+  summary: 'Finish OIDC sign-in (redirect target for the identity provider)',
+  query: {
+    type: 'object',
+    properties: {
+      code: { type: 'string' },
+      state: { type: 'string' },
+      error: { type: 'string' },
+      error_description: { type: 'string' }
+    }
+  }
+}), async (req, res, next) => {
+  if (!isOidcConfigured()) {
+    return next(new AppError('ROUTE_NOT_FOUND', 'OIDC sign-in is not configured'));
+  }
+
+  const { code, state, error: idpError, error_description } = req.query;
+  let user = null;
+  let mount = null;
+  try {
+    if (idpError) {
+      throw new OidcError(error_description || `Sign-in was rejected by the identity provider (${idpError})`, 'IDP_REJECTED', 401);
+    }
+
+    const claims = await completeAuthorization({ state, code });
+    user = mapClaimsToUser(claims);
+    log.info('OIDC sign-in verified', { username: user.username, userId: user.id });
+
+    // Same shape as an identity provider login result, so the post-login work is shared
+    const login = {
+      status: 200,
+      success: true,
+      body: { message: 'Login successful', user_id: user.id, user_name: user.username },
+      user,
+      token: null,
+      sessionId: 0,
+      personalizedFiles: []
+    };
+    mount = startLoginMount(user.username);
+    const finalized = await finalizeLogin(req, login, mount, 'oidc');
+
+    if (finalized.status !== 200 || !OIDC_POST_LOGIN_REDIRECT) {
+      return res.status(finalized.status).json(finalized.body);
+    }
+
+    // Tokens go in the fragment so they never reach server or proxy access logs
+    const { token, refresh_token, expires_in, token_type, user_id, user_name, login_session_id, last_session_id, next_session_id } = finalized.body;
+    const fragment = new URLSearchParams({
+      token, refresh_token, expires_in, token_type, user_id, user_name, login_session_id, last_session_id, next_session_id
+    });
+    res.redirect(302, `${OIDC_POST_LOGIN_REDIRECT}#${fragment.toString()}`);
+  } catch (error) {
+    log.error('OIDC callback error', { error: error.message });
+    await mount?.release();
+    recordAuditEvent(AUDIT_EVENTS.LOGIN_FAILURE, { provider: 'oidc', reason: error.type || error.code || error.message }, {
+      req,
+      user: { id: user?.id || null, username: user?.username || null },
+      severity: 'medium'
+    });
+    next(error);
+  }
+});
+
+router.get('/protected', authenticate, validate({ summary: 'Echo the caller\'s token claims' }), (req, res) => {
+  res.json({ message: 'This is protected.', user: req.user.claims });
+});
+
+// Exchange a refresh token for a new access token and a new refresh token.
+// Reusing an already-rotated refresh token revokes the whole login session.
+router.post('/token/refresh', validate({
+  summary: 'Exchange a refresh token for new tokens',
+  body: { type: 'object', required: ['refresh_token'], properties: { refresh_token: { type: 'string', maxLength: 512 } } }
+}), async (req, res, next) => {
+  try {
+    const { familyId, user, refreshToken } = rotateRefreshToken(req.body?.refresh_token);
+    const accessToken = issueSessionAccessToken(user, familyId);
+    log.info('Refreshed access token', { username: user.username });
+    res.json({
+      success: true,
+      token: accessToken.token,
+      expires_in: accessToken.expiresIn,
+      token_type: 'Bearer',
+      refresh_token: refreshToken
+    });
+  } catch (error) {
+    if (error.name === 'RefreshTokenError') {
+      log.warn('Refresh rejected', { reason: error.type, error: error.message });
+      if (error.type === 'REFRESH_TOKEN_REUSED') {
+        // The session's tokens may be in the wrong hands - disconnect its sockets too
+        await terminateSession(error.familyId, 'REUSE_DETECTED');
+      }
+    }
+    next(error);
+  }
+});
+
+// Logout endpoint - cleans up only the calling user's token, chat state, temp files and mount
+router.post('/logout', authenticate, requireSessionToken, validate({ summary: 'Sign out and release the caller\'s session' }), async (req, res, next) => {
+  // Only a verified token identifies the user - req.body.user_id is not trusted
+  const caller = req.user;
+  const user_id = caller.id;
+  
+  log.info('Logging out', { userId: user_id, sessionId: caller.sessionId });
+
+  try {
+    // Step 1: Log out with the identity provider
+    let foreignLogoutResult = null;
+    try {
+      foreignLogoutResult = (await identityProvider.logout(caller)).body;
+    } catch (foreignError) {
+      log.warn('Identity provider logout failed - continuing with local cleanup', { provider: identityProvider.name, error: foreignError.message });
+      foreignLogoutResult = { error: foreignError.message };
+    }
+
+    // Step 2: Revoke the caller's token so it can't be reused after logout.
+    // Ending the session also releases its NFS mount reference.
+    revokeToken(caller);
+    const sessionEnded = await terminateSession(caller.sessionId, 'LOGOUT');
+    recordAuditEvent(AUDIT_EVENTS.LOGOUT, { sessionId: caller.sessionId }, { req });
+
+    // Step 3: Cancel the caller's active chat streams
+    const { cancelConsumersForUser, clearUserChatState } = await import('./socketChat.js');
+    const cancelledConsumers = await cancelConsumersForUser(user_id);
+
+    // Step 4: Clean up the caller's temporary files
+    let tempCleanupResult = null;
+    try {
+      const { cleanupTempFiles } = await import('./filesystem.js');
+      await cleanupTempFiles(caller);
+      tempCleanupResult = { success: true, message: 'Temporary files cleaned up successfully' };
+    } catch (tempError) {
+      log.warn('Failed to clean up temp files during logout', { userId: user_id, error: tempError.message });
+      tempCleanupResult = { success: false, error: tempError.message };
+    }
+
+    // Step 5: Clear the caller's chat history, sessions and personalized files
+    const cleared = clearUserChatState(user_id);
+    setPersonalizedFiles(user_id, []);
+
+    // Step 6: The session's NFS mount reference went with it (step 2) - other sessions and users keep theirs
+    const nfsUnmountResult = sessionEnded
+      ? { success: true, message: 'NFS mount released', status: getFilesystemStatus(caller) }
+      : { success: false, error: 'No active NFS mount for this session' };
+    log.info('Logout complete', { userId: user_id, nfsReleased: sessionEnded, cancelledConsumers });
+
+    res.json({
+      success: true,
+      message: 'Logout successful',
+      user_id: user_id,
+      cleared: {
+        ...cleared,
+        consumers: cancelledConsumers,
+        personalizedFiles: true
+      },
+      token_revoked: true,
+      temp_cleanup: tempCleanupResult,
+      nfs_unmount: nfsUnmountResult,
+      foreign_logout: foreignLogoutResult,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Admin: list current login backoffs and lockouts
+router.get('/admin/lockouts', authenticate, requireRole('admin'), validate({ summary: 'List login backoffs and lockouts (admin)' }), async (req, res, next) => {
+  try {
+    res.json({ success: true, lockouts: await listLockouts() });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Admin: clear a lockout by username and/or IP (?username=...&ip=...)
+router.delete('/admin/lockouts', authenticate, requireRole('admin'), validate({
+  summary: 'Clear login lockouts by username and/or IP (admin)',
+  query: {
+    type: 'object',
+    properties: { username: { type: 'string' }, ip: { type: 'string' } },
+    anyOf: [{ required: ['username'] }, { required: ['ip'] }],
+    anyOfMessage: 'username or ip is required'
+  }
+}), async (req, res, next) => {
+  const { username, ip } = req.query;
+
+  try {
+    const cleared = await clearLockout({ username, ip });
+    log.info('Cleared login lockouts', { admin: req.user.username, cleared });
+    res.json({ success: true, cleared });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// NFS status endpoint for frontend to check the caller's mount progress
+router.get('/nfs-status', authenticate, validate({ summary: 'The caller\'s storage mount progress' }), (req, res, next) => {
+  try {
+    const status = getFilesystemStatus(req.user);
+    res.json({
+      success: true,
+      nfs_status: status,
+      is_ready: status.isNFSMounted && status.isNFSAvailable
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
+
+// Note: Don't apply authenticateToken to auth routes (login/register)
+// Apply to other routes that need authentication
@@ -0,0 +1,378 @@
+import jwt from 'jsonwebtoken';
+import fs from 'fs';
+import crypto from 'crypto';
+import config from './config.js';
+import { runWithUser } from './userContext.js';
+import { isPersonalAccessToken, findPersonalAccessToken } from './personalAccessTokens.js';
+import { isRefreshTokenFamilyRevoked } from './refreshTokens.js';
+import { touchSession } from './sessionRegistry.js';
+import { AppError } from './errors.js';
+import storage from './storageDriver.js';
+import { createLogger } from './logger.js';
+
+// Token verification settings
+// - JWT_SECRET: shared HS256 secret (same secret the foreign server signs with)
+// - JWT_PUBLIC_KEY_PATH: PEM public key for RS256/ES256 tokens
+// - JWT_JWKS_PATH: local JWKS file, keys selected by the token's `kid`
+const JWT_SECRET = config.JWT_SECRET;
+const JWT_PUBLIC_KEY_PATH = config.JWT_PUBLIC_KEY_PATH;
+const JWT_JWKS_PATH = config.JWT_JWKS_PATH;
+const JWT_CLOCK_TOLERANCE_SEC = config.JWT_CLOCK_TOLERANCE_SEC;
+// - ACCESS_TOKEN_TTL: lifetime of access tokens issued at login and refresh
+const ACCESS_TOKEN_TTL = config.ACCESS_TOKEN_TTL;
+
+// Role settings
+// - ROLE_MAP_PATH: JSON file mapping usernames to roles ({ "alice": "admin" }), overrides token roles
+// - ADMIN_USERS: comma-separated usernames that are always admins
+// - DEFAULT_ROLE: role for users with no role in their token or the role map
+const ROLE_MAP_PATH = config.ROLE_MAP_PATH;
+const ADMIN_USERS = config.ADMIN_USERS;
+const DEFAULT_ROLE = config.DEFAULT_ROLE;
+
+const log = createLogger('auth');
+
+// Roles from least to most privileged - each role can do everything the ones before it can
+export const ROLES = ['readonly', 'user', 'admin'];
+
+const HMAC_ALGORITHMS = ['HS256'];
+const ASYMMETRIC_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'PS256'];
+
+export class AuthenticationError extends Error {
+  constructor(message, type = 'INVALID_TOKEN') {
+    super(message);
+    this.name = 'AuthenticationError';
+    this.type = type;
+    this.status = 401;
+  }
+}
+
+// Revoked tokens (sha256 of the token -> expiry in ms), kept until the token would expire anyway
+const revokedTokens = new Map();
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Revoke a verified user's token so it is rejected until it expires
+ */
+export const revokeToken = (user) => {
+  const expiresAt = user.claims?.exp ? user.claims.exp * 1000 : Date.now() + 24 * 60 * 60 * 1000;
+  revokedTokens.set(hashToken(user.token), expiresAt);
+
+  // Drop entries for tokens that have expired since
+  for (const [hash, expiry] of revokedTokens) {
+    if (expiry < Date.now()) revokedTokens.delete(hash);
+  }
+};
+
+// Cached local role map (loaded once on first use)
+let roleMap = null;
+
+const loadRoleMap = () => {
+  if (!roleMap) {
+    roleMap = ROLE_MAP_PATH ? JSON.parse(fs.readFileSync(ROLE_MAP_PATH, 'utf8')) : {};
+    if (ROLE_MAP_PATH) {
+      log.info('Loaded role mappings', { count: Object.keys(roleMap).length, path: ROLE_MAP_PATH });
+    }
+  }
+  return roleMap;
+};
+
+// Pick the user's role: ADMIN_USERS, then the local role map, then the token's role/roles claim
+export const resolveRole = (username, claims = {}) => {
+  if (ADMIN_USERS.includes(username)) {
+    return 'admin';
+  }
+
+  const mapped = loadRoleMap()[username];
+  if (mapped) {
+    return mapped;
+  }
+
+  const tokenRoles = [].concat(claims.roles || claims.role || []);
+  if (tokenRoles.length === 0) {
+    return DEFAULT_ROLE;
+  }
+  // Several roles in the token - keep the most privileged known one
+  return tokenRoles.reduce((best, role) => (ROLES.indexOf(role) > ROLES.indexOf(best) ? role : best), tokenRoles[0]);
+};
+
+/**
+ * Check that a user has at least the given role (unknown roles have no access)
+ */
+export const hasRole = (user, role) => {
+  const level = ROLES.indexOf(user?.role);
+  return level >= 0 && level >= ROLES.indexOf(role);
+};
+
+// Cached key material (loaded once on first use)
+let publicKey = null;
+let jwksKeys = null;
+
+const loadPublicKey = () => {
+  if (!publicKey && JWT_PUBLIC_KEY_PATH) {
+    publicKey = fs.readFileSync(JWT_PUBLIC_KEY_PATH, 'utf8');
+    log.info('Loaded JWT public key', { path: JWT_PUBLIC_KEY_PATH });
+  }
+  return publicKey;
+};
+
+const loadJwksKeys = () => {
+  if (!jwksKeys && JWT_JWKS_PATH) {
+    const jwks = JSON.parse(fs.readFileSync(JWT_JWKS_PATH, 'utf8'));
+    jwksKeys = new Map();
+    for (const jwk of jwks.keys || []) {
+      jwksKeys.set(jwk.kid || 'default', crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+    }
+    log.info('Loaded JWKS keys', { count: jwksKeys.size, path: JWT_JWKS_PATH });
+  }
+  return jwksKeys;
+};
+
+// Pick the verification key and allowed algorithms for a token header
+const resolveVerificationKey = (header) => {
+  if (header.alg && header.alg.startsWith('HS')) {
+    return { key: JWT_SECRET, algorithms: HMAC_ALGORITHMS };
+  }
+
+  const keys = loadJwksKeys();
+  if (keys) {
+    const key = keys.get(header.kid || 'default') || (keys.size === 1 ? keys.values().next().value : null);
+    if (!key) {
+      throw new AuthenticationError(`Unknown signing key: ${header.kid}`, 'UNKNOWN_KEY');
+    }
+    return { key, algorithms: ASYMMETRIC_ALGORITHMS };
+  }
+
+  const pem = loadPublicKey();
+  if (pem) {
+    return { key: pem, algorithms: ASYMMETRIC_ALGORITHMS };
+  }
+
+  throw new AuthenticationError(`No key configured for algorithm ${header.alg}`, 'UNSUPPORTED_ALGORITHM');
+};
+
+// Strip an optional "Bearer " prefix
+export const stripBearer = (token) => {
+  if (!token || typeof token !== 'string') return null;
+  return token.startsWith('Bearer ') ? token.substring(7).trim() : token.trim();
+};
+
+// Build the authenticated user for a personal access token
+const verifyPersonalAccessToken = (token) => {
+  const { record, error, type } = findPersonalAccessToken(token);
+  if (!record) {
+    throw new AuthenticationError(error, type);
+  }
+
+  return {
+    id: String(record.userId),
+    username: record.username,
+    role: record.role,
+    scopes: record.scopes,
+    tokenType: 'pat',
+    claims: { sub: String(record.userId), pat_id: record.id, exp: Math.floor(Date.parse(record.expiresAt) / 1000) },
+    token
+  };
+};
+
+/**
+ * Verify a JWT (signature, exp and nbf) or personal access token and return the authenticated user.
+ * Throws AuthenticationError when the token is missing or invalid.
+ */
+export const verifyAccessToken = (rawToken) => {
+  const token = stripBearer(rawToken);
+  if (!token) {
+    throw new AuthenticationError('No token provided', 'MISSING_TOKEN');
+  }
+
+  if (revokedTokens.has(hashToken(token))) {
+    throw new AuthenticationError('Token has been revoked', 'TOKEN_REVOKED');
+  }
+
+  if (isPersonalAccessToken(token)) {
+    return verifyPersonalAccessToken(token);
+  }
+
+  const decoded = jwt.decode(token, { complete: true });
+  if (!decoded || !decoded.header) {
+    throw new AuthenticationError('Malformed token', 'MALFORMED_TOKEN');
+  }
+
+  const { key, algorithms } = resolveVerificationKey(decoded.header);
+
+  let claims;
+  try {
+    // jwt.verify enforces exp and nbf
+    claims = jwt.verify(token, key, { algorithms, clockTolerance: JWT_CLOCK_TOLERANCE_SEC });
+  } catch (error) {
+    const type = error.name === 'TokenExpiredError' ? 'TOKEN_EXPIRED'
+      : error.name === 'NotBeforeError' ? 'TOKEN_NOT_ACTIVE'
+        : 'INVALID_TOKEN';
+    throw new AuthenticationError(error.message, type);
+  }
+
+  const userId = claims.user_id || claims.user_name || claims.sub;
+  if (!userId) {
+    throw new AuthenticationError('Token does not identify a user', 'MISSING_SUBJECT');
+  }
+
+  // Tokens issued for a login session stop working as soon as that session is revoked
+  if (claims.sid && isRefreshTokenFamilyRevoked(claims.sid)) {
+    throw new AuthenticationError('Session has been revoked', 'TOKEN_REVOKED');
+  }
+
+  const username = claims.user_name || claims.username || String(userId);
+  return {
+    id: String(userId),
+    username,
+    role: resolveRole(username, claims),
+    scopes: null, // Session tokens are not scope-limited
+    tokenType: 'session',
+    sessionId: claims.sid || null,
+    claims,
+    token
+  };
+};
+
+/**
+ * Issue an HS256 access token for a user. `sessionId` ties the token to a
+ * login session so revoking the session revokes the token.
+ */
+export const signAccessToken = ({ id, username, role, sessionId }, expiresIn = '1h') => jwt.sign(
+  {
+    user_id: id,
+    user_name: username,
+    sub: String(id),
+    ...(role && { role }),
+    ...(sessionId && { sid: sessionId })
+  },
+  JWT_SECRET,
+  { algorithm: 'HS256', expiresIn }
+);
+
+/**
+ * Issue a short-lived access token for a login session.
+ * Returns { token, expiresIn } with expiresIn in seconds.
+ */
+export const issueSessionAccessToken = (user, sessionId) => {
+  const token = signAccessToken({ ...user, sessionId }, ACCESS_TOKEN_TTL);
+  const { exp, iat } = jwt.decode(token);
+  return { token, expiresIn: exp - iat };
+};
+
+// Personal access tokens are used without an interactive login, so no login session holds their
+// user's storage. Each PAT request holds a storage reference until its response ends; the mount
+// stays up for NFS_IDLE_UNMOUNT_MS after the last release, so a busy client keeps reusing it.
+// A failed mount does not fail authentication - storage routes report it as unavailable.
+// The close listener goes on before the mount is awaited: a client that disconnects while the
+// mount is still running must release the reference once it is taken.
+const attachTokenStorage = async (user, res) => {
+  let attached = false;
+  let closed = false;
+  res.once('close', () => {
+    closed = true;
+    if (attached) {
+      storage.detachUser(user.username);
+    }
+  });
+
+  try {
+    await storage.attachUser(user.username);
+  } catch (error) {
+    log.error('Storage unavailable for personal access token', { patId: user.claims.pat_id, error: error.message });
+    return;
+  }
+  attached = true;
+  if (closed) {
+    storage.detachUser(user.username);
+  }
+};
+
+// Express middleware - rejects the request unless it carries a valid token
+export const authenticate = (req, res, next) => {
+  try {
+    req.user = verifyAccessToken(req.headers.authorization);
+  } catch (error) {
+    log.warn('Rejected request token', { method: req.method, path: req.originalUrl.split('?')[0], error: error.message });
+    return next(new AppError('AUTH_REQUIRED', undefined, { reason: error.type || 'INVALID_TOKEN' }));
+  }
+
+  if (req.user.sessionId) {
+    touchSession(req.user.sessionId);
+  }
+
+  // Continue the request with the caller as the request-scoped user
+  const proceed = () => runWithUser(req.user, next, { ip: req.ip, userAgent: req.get('user-agent') || null });
+  if (req.user.tokenType === 'pat') {
+    attachTokenStorage(req.user, res).then(proceed);
+    return;
+  }
+  proceed();
+};
+
+// Express middleware - only users with at least the given role may continue (use after authenticate)
+export const requireRole = (role) => (req, res, next) => {
+  if (!hasRole(req.user, role)) {
+    log.warn('Request denied - insufficient role', { username: req.user?.username, role: req.user?.role, requiredRole: role, method: req.method, path: req.originalUrl.split('?')[0] });
+    return next(new AppError('FORBIDDEN', 'Insufficient permissions', { reason: 'INSUFFICIENT_ROLE', details: { required_role: role } }));
+  }
+  next();
+};
+
+/**
+ * Check that a user's token allows the given scope (session tokens allow everything)
+ */
+export const hasScope = (user, scope) => !user?.scopes || user.scopes.includes(scope);
+
+// Express middleware - personal access tokens must carry the given scope
+export const requireScope = (scope) => (req, res, next) => {
+  if (!hasScope(req.user, scope)) {
+    log.warn('Request denied - missing token scope', { patId: req.user?.claims?.pat_id, requiredScope: scope, method: req.method, path: req.originalUrl.split('?')[0] });
+    return next(new AppError('FORBIDDEN', 'Token scope does not allow this request', { reason: 'INSUFFICIENT_SCOPE', details: { required_scope: scope } }));
+  }
+  next();
+};
+
+// Express middleware - drive reads need drive:read, anything else needs drive:write
+export const requireDriveScope = (req, res, next) => (
+  requireScope(req.method === 'GET' || req.method === 'HEAD' ? 'drive:read' : 'drive:write')(req, res, next)
+);
+
+// Express middleware - only interactive session tokens (not personal access tokens) may continue
+export const requireSessionToken = (req, res, next) => {
+  if (req.user?.tokenType !== 'session') {
+    return next(new AppError('FORBIDDEN', 'This endpoint requires an interactive login session', { reason: 'SESSION_TOKEN_REQUIRED' }));
+  }
+  next();
+};
+
+/**
+ * Authorization header to forward to the foreign server for a user. Personal
+ * access tokens are swapped for a short-lived token signed with the shared secret.
+ */
+export const getUpstreamAuthorization = (user) => (
+  user.tokenType === 'pat' ? `Bearer ${signAccessToken(user, '5m')}` : `Bearer ${user.token}`
+);
+
+/**
+ * Wrap a socket event handler so it only runs for users with at least the given role.
+ * The user comes from socket.data.user, or from the event's authToken.
+ */
+export const requireSocketRole = (socket, role, handler) => async (data, ...rest) => {
+  let user = socket.data?.user || null;
+  if (!user) {
+    try {
+      user = verifyAccessToken(data?.authToken);
+    } catch (error) {
+      socket.emit('error', { message: 'Authentication required', reason: error.type || 'INVALID_TOKEN' });
+      return;
+    }
+  }
+
+  if (!hasRole(user, role)) {
+    log.warn('Socket event denied - insufficient role', { socketId: socket.id, username: user.username, role: user.role, requiredRole: role });
+    socket.emit('error', { message: 'Insufficient permissions', required_role: role });
+    return;
+  }
+  return handler(data, ...rest);
+};
@@ -0,0 +1,114 @@
+import { NODE_ID, sharedState } from './cluster.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('chat');
+
+// A chat session runs one stream at a time, so streams are keyed by user and chat session
+export const streamKey = (userId, sessionId) => `${userId}_${sessionId}`;
+
+const streamStateKey = (sessionKey) => `stream:${sessionKey}`;
+
+/**
+ * True when a queue message is for this stream - same user, chat session and chat.
+ * Chat and session ids are only unique per user, and a message without a chat_id
+ * cannot be matched at all, so none of the three may be missing or different.
+ */
+export const isStreamMessage = (stream, message) => (
+  message.chat_id !== undefined && message.chat_id !== null &&
+  String(message.user_id) === String(stream.userId) &&
+  String(message.session_id) === String(stream.sessionId) &&
+  String(message.chat_id) === String(stream.chatId)
+);
+
+/**
+ * Chat streams running on this node. Every stream has its own consumer on the shared chat
+ * queue, so a consumer can take another stream's message - on this node or another. Streams
+ * are mirrored to shared state (cluster.js) so any node can tell which node owns a chat, and a
+ * message is routed to the stream it belongs to, which keeps the token buffer and emits to the
+ * user's room (rooms span nodes with the redis adapter).
+ */
+export class ChatStreamRegistry {
+  constructor({ state = sharedState, nodeId = NODE_ID } = {}) {
+    this.state = state;
+    this.nodeId = nodeId;
+    this.streams = new Map(); // sessionKey -> { userId, sessionId, chatId, consumerTag, handleMessage, ... }
+    // (nodeId, sessionKey, message) - hands a message to the node that owns its stream and resolves
+    // to whether that node took it (set by socketChat.js)
+    this.forward = null;
+  }
+
+  // Streams end well within ttlMs; the TTL clears records a crashed node left behind
+  track(sessionKey, stream, ttlMs = 0) {
+    this.streams.set(sessionKey, stream);
+    const { userId, sessionId, chatId, instanceId, modelId, consumerTag, socketId, roomId } = stream;
+    const record = { userId, sessionId, chatId, instanceId, modelId, consumerTag, socketId, roomId, nodeId: this.nodeId, startedAt: new Date().toISOString() };
+    this.state.set(streamStateKey(sessionKey), record, ttlMs)
+      .catch(error => log.error('Failed to publish chat stream state', { sessionKey, error: error.message }));
+  }
+
+  // Only the stream with this consumer tag is removed - a newer stream for the chat session may have replaced it
+  untrack(sessionKey, consumerTag) {
+    const stream = this.streams.get(sessionKey);
+    if (!stream || stream.consumerTag !== consumerTag) {
+      return;
+    }
+    this.streams.delete(sessionKey);
+    // Leave the record alone if a newer stream on another node replaced it
+    this.state.get(streamStateKey(sessionKey))
+      .then(record => (record?.consumerTag === consumerTag ? this.state.delete(streamStateKey(sessionKey)) : null))
+      .catch(error => log.error('Failed to remove chat stream state', { sessionKey, error: error.message }));
+  }
+
+  // Shared record of the stream for a chat session, whichever node runs it (null when none does)
+  getOwner(sessionKey) {
+    return this.state.get(streamStateKey(sessionKey));
+  }
+
+  /**
+   * Consumer handler for a stream: its own messages go to its handler, anything else is routed.
+   * Resolves once the message is delivered, so the consumer acks it only then; the supervisor
+   * hands a consumer one message at a time, so a message routed to another node is never
+   * overtaken by the next one this consumer handles locally.
+   */
+  async deliver(stream, message) {
+    if (isStreamMessage(stream, message)) {
+      stream.handleMessage(message);
+      return;
+    }
+    await this.route(message);
+  }
+
+  /**
+   * Pass a queue message to the stream it belongs to. Messages carry the user_id and session_id
+   * of the /chat payload, so the stream is looked up by its exact key; a message that names no
+   * running stream is dropped. Rejects when the stream runs on a node that does not take the
+   * message (the node is gone), so the message is dead-lettered rather than lost.
+   */
+  async route(message) {
+    if (!message.user_id || !message.session_id) {
+      log.warn('Dropped chat message without user_id/session_id', { chatId: message.chat_id });
+      return;
+    }
+    const sessionKey = streamKey(message.user_id, message.session_id);
+    const belongsTo = (stream) => stream && (!message.chat_id || String(stream.chatId) === String(message.chat_id));
+
+    const local = this.streams.get(sessionKey);
+    if (local) {
+      if (belongsTo(local)) {
+        local.handleMessage(message);
+      }
+      return;
+    }
+    const owner = await this.getOwner(sessionKey);
+    if (!belongsTo(owner) || owner.nodeId === this.nodeId) {
+      return;
+    }
+    if (!this.forward || !(await this.forward(owner.nodeId, sessionKey, message))) {
+      throw new Error(`chat stream ${sessionKey} on node ${owner.nodeId} did not accept the message`);
+    }
+  }
+}
+
+const chatStreams = new ChatStreamRegistry();
+
+export default chatStreams;
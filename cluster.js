@@ -0,0 +1,208 @@
+import os from 'os';
+import process from 'process';
+import config from './config.js';
+import { createLogger } from './logger.js';
+
+// Replica settings
+// - CLUSTER_ADAPTER: 'memory' (single process, Socket.IO's in-process adapter - the default, and
+//   what tests use) or 'redis' (replicas share rooms and chat stream state; needs the redis and
+//   @socket.io/redis-adapter packages installed - redis v4 client API)
+// - REDIS_URL: Redis server used by the redis adapter and shared state
+// - CLUSTER_NODE_ID: this replica's name in shared state (defaults to <hostname>-<pid>)
+const CLUSTER_ADAPTER = config.CLUSTER_ADAPTER;
+const REDIS_URL = config.REDIS_URL;
+export const NODE_ID = config.CLUSTER_NODE_ID || `${os.hostname()}-${process.pid}`;
+
+// Shared state keys live under this prefix in Redis
+const KEY_PREFIX = 'aipb:';
+
+// How long requestFromNodes() waits for the other replicas to answer
+const NODE_REQUEST_TIMEOUT_MS = 5000;
+
+const log = createLogger('cluster');
+
+// Command client (also the adapter's publisher) and the adapter's subscriber connection
+let redisClient = null;
+let redisSubscriber = null;
+let redisConnecting = null;
+
+// redis is only loaded when the redis adapter is configured
+const connectRedis = () => {
+  redisConnecting = redisConnecting || (async () => {
+    const { createClient } = await import('redis');
+    // Keeps retrying (startup waits for Redis) with a growing delay, capped at 5s
+    const client = createClient({
+      url: REDIS_URL,
+      socket: { reconnectStrategy: (retries) => Math.min(250 * 2 ** retries, 5000) }
+    });
+    client.on('error', (error) => log.error('Redis error', { error: error.message }));
+    await client.connect();
+    log.info('Connected to Redis');
+    redisClient = client;
+    return client;
+  })().catch((error) => {
+    redisConnecting = null;
+    throw error;
+  });
+  return redisConnecting;
+};
+
+// Shared state interface - JSON values under string keys, with an optional time to live:
+//   get(key), set(key, value, ttlMs), delete(key), list(prefix) -> [{ key, value }]
+// Values are copied through JSON in both stores, so nothing process-local (sockets,
+// callbacks) can end up in shared state by accident.
+export class MemoryStateStore {
+  constructor() {
+    this.name = 'memory';
+    this.entries = new Map(); // key -> { text, expiresAt }
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return null;
+    }
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return JSON.parse(entry.text);
+  }
+
+  async set(key, value, ttlMs = 0) {
+    this.entries.set(key, { text: JSON.stringify(value), expiresAt: ttlMs ? Date.now() + ttlMs : 0 });
+  }
+
+  async delete(key) {
+    return this.entries.delete(key);
+  }
+
+  async list(prefix = '') {
+    const results = [];
+    for (const key of Array.from(this.entries.keys())) {
+      if (!key.startsWith(prefix)) continue;
+      const value = await this.get(key);
+      if (value !== null) {
+        results.push({ key, value });
+      }
+    }
+    return results;
+  }
+}
+
+export class RedisStateStore {
+  constructor() {
+    this.name = 'redis';
+  }
+
+  async get(key) {
+    const client = await connectRedis();
+    const text = await client.get(`${KEY_PREFIX}${key}`);
+    return text === null ? null : JSON.parse(text);
+  }
+
+  async set(key, value, ttlMs = 0) {
+    const client = await connectRedis();
+    await client.set(`${KEY_PREFIX}${key}`, JSON.stringify(value), ttlMs ? { PX: ttlMs } : undefined);
+  }
+
+  async delete(key) {
+    const client = await connectRedis();
+    return (await client.del(`${KEY_PREFIX}${key}`)) > 0;
+  }
+
+  async list(prefix = '') {
+    const client = await connectRedis();
+    const results = [];
+    for await (const redisKey of client.scanIterator({ MATCH: `${KEY_PREFIX}${prefix}*`, COUNT: 100 })) {
+      const key = redisKey.slice(KEY_PREFIX.length);
+      const value = await this.get(key);
+      if (value !== null) {
+        results.push({ key, value });
+      }
+    }
+    return results;
+  }
+}
+
+export const createStateStore = (name = CLUSTER_ADAPTER) => {
+  switch (name) {
+    case 'memory':
+      return new MemoryStateStore();
+    case 'redis':
+      return new RedisStateStore();
+    default:
+      throw new Error(`Unknown cluster adapter: ${name}`);
+  }
+};
+
+// State every replica sees (e.g. which node runs a chat stream)
+export const sharedState = createStateStore();
+
+/**
+ * Attach the configured Socket.IO adapter. With 'redis', rooms span every replica, so
+ * io.to(room).emit reaches the user's sockets whichever node they are connected to.
+ */
+export const attachSocketAdapter = async (io) => {
+  if (CLUSTER_ADAPTER !== 'redis') {
+    return; // Socket.IO's default in-process adapter
+  }
+
+  const { createAdapter } = await import('@socket.io/redis-adapter');
+  const publisher = await connectRedis();
+  redisSubscriber = publisher.duplicate();
+  redisSubscriber.on('error', (error) => log.error('Redis subscriber error', { error: error.message }));
+  await redisSubscriber.connect();
+  io.adapter(createAdapter(publisher, redisSubscriber));
+  log.info('Socket.IO Redis adapter attached', { nodeId: NODE_ID });
+};
+
+/**
+ * Send an event to the io.on(event) handlers of the other replicas.
+ * A single process has no one to tell, and the in-process adapter would warn.
+ */
+export const broadcastToNodes = (io, event, payload) => {
+  if (CLUSTER_ADAPTER === 'redis') {
+    io.serverSideEmit(event, payload);
+  }
+};
+
+/**
+ * Send an event to the other replicas and collect their answers - each io.on(event) handler
+ * answers through its callback. Resolves to the answers that arrived within the timeout;
+ * a single process has no one to ask and gets none.
+ */
+export const requestFromNodes = (io, event, payload, timeoutMs = NODE_REQUEST_TIMEOUT_MS) => {
+  if (CLUSTER_ADAPTER !== 'redis') {
+    return Promise.resolve([]);
+  }
+  return new Promise((resolve) => {
+    // On a timeout the error comes with the answers that did arrive
+    io.timeout(timeoutMs).serverSideEmit(event, payload, (error, answers) => {
+      if (error) {
+        log.warn('Not every node answered', { event, error: error.message });
+      }
+      resolve(answers || []);
+    });
+  });
+};
+
+// Readiness probe (health.js)
+export const checkCluster = async () => {
+  if (CLUSTER_ADAPTER === 'redis') {
+    const client = await connectRedis();
+    await client.ping();
+  }
+  return { status: 'up', details: { adapter: CLUSTER_ADAPTER, node_id: NODE_ID } };
+};
+
+// Close the Redis connections (called during shutdown, after Socket.IO is closed)
+export const closeCluster = async () => {
+  const clients = [redisSubscriber, redisClient].filter(Boolean);
+  redisSubscriber = null;
+  redisClient = null;
+  redisConnecting = null;
+  await Promise.all(clients.map(client => client.quit().catch((error) => {
+    log.warn('Failed to close Redis connection', { error: error.message });
+  })));
+};
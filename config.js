@@ -0,0 +1,334 @@
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import process from 'process';
+import dotenv from 'dotenv';
+
+// Load .env before anything reads the configuration - modules import this file first
+dotenv.config();
+
+// Central configuration. Every setting is read from the environment, optionally from a JSON
+// file named by CONFIG_FILE ({ "PORT": 3000, ... }), then validated against the schema below.
+// Environment variables win over the file; the file wins over the defaults.
+// Each module documents what its settings mean next to where it uses them.
+
+const DEFAULT_JWT_SECRET = 'your-secret-key';
+const MIN_PRODUCTION_SECRET_LENGTH = 32;
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Setting types: string, int, bool, url, date (YYYY-MM-DD), list (comma-separated), urlList, enum (needs `values`).
+// `secret` settings are redacted by getRedactedConfig. `production` returns a problem message when
+// the value is unsafe outside development.
+const SCHEMA = {
+  // Server (index.js, health.js, metrics.js, logger.js)
+  NODE_ENV: { type: 'enum', values: ['development', 'test', 'production'], default: 'development' },
+  PORT: { type: 'int', min: 1, max: 65535, default: 3000 },
+  PUBLIC_URL: { type: 'string', default: 'http://10.66.10.103:3000' },
+  CORS_ORIGINS: {
+    type: 'urlList',
+    default: ['http://localhost:5173', 'http://localhost:5174', 'http://10.66.10.103:5173'],
+    production: (origins) => (origins.includes('*') ? 'must list explicit origins, not *' : null)
+  },
+  REQUEST_BODY_LIMIT: { type: 'string', default: '10mb' },
+  HEALTH_PROBE_TIMEOUT_MS: { type: 'int', min: 100, default: 3000 },
+  SHUTDOWN_DRAIN_TIMEOUT_MS: { type: 'int', min: 0, default: 30000 },
+  METRICS_TOKEN: { type: 'string', default: '', secret: true },
+  LOG_LEVEL: { type: 'enum', values: ['debug', 'info', 'warn', 'error'], default: 'info' },
+  LOG_FORMAT: { type: 'enum', values: ['json', 'text'], default: 'json' },
+  LEGACY_API_DEPRECATION_DATE: { type: 'date', default: '2026-11-01' },
+  LEGACY_API_SUNSET_DATE: { type: 'date', default: '2027-05-01' },
+
+  // Tokens and roles (authMiddleware.js)
+  JWT_SECRET: {
+    type: 'string',
+    default: DEFAULT_JWT_SECRET,
+    secret: true,
+    production: (secret) => {
+      if (secret === DEFAULT_JWT_SECRET) return 'must be set - the built-in default is public';
+      if (secret.length < MIN_PRODUCTION_SECRET_LENGTH) return `must be at least ${MIN_PRODUCTION_SECRET_LENGTH} characters`;
+      return null;
+    }
+  },
+  JWT_PUBLIC_KEY_PATH: { type: 'string', default: '' },
+  JWT_JWKS_PATH: { type: 'string', default: '' },
+  JWT_CLOCK_TOLERANCE_SEC: { type: 'int', min: 0, default: 30 },
+  ACCESS_TOKEN_TTL: { type: 'string', default: '15m' },
+  ROLE_MAP_PATH: { type: 'string', default: '' },
+  ADMIN_USERS: { type: 'list', default: [] },
+  DEFAULT_ROLE: { type: 'enum', values: ['readonly', 'user', 'admin'], default: 'user' },
+
+  // Refresh tokens and personal access tokens
+  REFRESH_TOKEN_TTL_MS: { type: 'int', min: 1000, default: 7 * DAY_MS },
+  REFRESH_FAMILY_MAX_AGE_MS: { type: 'int', min: 1000, default: 30 * DAY_MS },
+  PAT_STORE_PATH: { type: 'string', default: path.resolve('data', 'personal-access-tokens.json') },
+  PAT_DEFAULT_LIFETIME_DAYS: { type: 'int', min: 1, default: 30 },
+  PAT_MAX_LIFETIME_DAYS: { type: 'int', min: 1, default: 365 },
+
+  // Identity providers (identityProvider.js, oidc.js)
+  IDENTITY_PROVIDER: { type: 'enum', values: ['foreign', 'local'], default: 'foreign' },
+  IDENTITY_LOCAL_USERS_PATH: { type: 'string', default: path.resolve('data', 'users.json') },
+  IDENTITY_LOCAL_TOKEN_TTL: { type: 'string', default: '1h' },
+  OIDC_ISSUER: { type: 'string', default: '' },
+  OIDC_CLIENT_ID: { type: 'string', default: '' },
+  OIDC_CLIENT_SECRET: { type: 'string', default: '', secret: true },
+  OIDC_REDIRECT_URI: { type: 'url', default: 'http://localhost:3000/api/auth/oidc/callback' },
+  OIDC_SCOPES: { type: 'string', default: 'openid profile email' },
+  OIDC_USER_ID_CLAIM: { type: 'string', default: 'sub' },
+  OIDC_USERNAME_CLAIM: { type: 'string', default: 'preferred_username' },
+  OIDC_ROLES_CLAIM: { type: 'string', default: 'roles' },
+  OIDC_POST_LOGIN_REDIRECT: { type: 'string', default: '' },
+
+  // Login throttling (loginThrottle.js)
+  LOGIN_MAX_FAILURES: { type: 'int', min: 1, default: 5 },
+  LOGIN_MAX_FAILURES_PER_IP: { type: 'int', min: 1, default: 20 },
+  LOGIN_BACKOFF_BASE_MS: { type: 'int', min: 0, default: 1000 },
+  LOGIN_BACKOFF_MAX_MS: { type: 'int', min: 0, default: MINUTE_MS },
+  LOGIN_LOCKOUT_MS: { type: 'int', min: 0, default: 15 * MINUTE_MS },
+  LOGIN_FAILURE_WINDOW_MS: { type: 'int', min: 1000, default: 15 * MINUTE_MS },
+  LOGIN_LOCKOUT_STORE: { type: 'enum', values: ['memory', 'file'], default: 'memory' },
+  LOGIN_LOCKOUT_FILE: { type: 'string', default: path.resolve('data', 'login-lockouts.json') },
+
+  // Password reset (passwordReset.js)
+  PASSWORD_RESET_TTL_MS: { type: 'int', min: 1000, default: 30 * MINUTE_MS },
+  PASSWORD_RESET_DELIVERY: {
+    type: 'enum',
+    values: ['log', 'webhook'],
+    default: 'log',
+    production: (delivery) => (delivery === 'log' ? 'must be webhook - log delivery never reaches the user' : null)
+  },
+  PASSWORD_RESET_WEBHOOK_URL: { type: 'string', default: '' },
+  PASSWORD_RESET_MAX_REQUESTS: { type: 'int', min: 1, default: 3 },
+  PASSWORD_RESET_REQUEST_WINDOW_MS: { type: 'int', min: 1000, default: 15 * MINUTE_MS },
+  PASSWORD_MIN_LENGTH: { type: 'int', min: 1, default: 8 },
+
+  // Audit log (auditLog.js)
+  AUDIT_LOG_DRIVER: { type: 'enum', values: ['file', 'sqlite'], default: 'file' },
+  AUDIT_LOG_PATH: { type: 'string', default: path.resolve('logs', 'audit.log') },
+  AUDIT_LOG_MAX_BYTES: { type: 'int', min: 1024, default: 10 * 1024 * 1024 },
+  AUDIT_LOG_MAX_FILES: { type: 'int', min: 1, default: 5 },
+  AUDIT_LOG_SQLITE_PATH: { type: 'string', default: path.resolve('logs', 'audit.db') },
+
+  // Foreign server (foreignClient.js, socketChat.js, health.js)
+  FOREIGN_SERVER_URL: { type: 'url', default: 'https://192.168.7.22:5000' },
+  FOREIGN_TIMEOUT_MS: { type: 'int', min: 1, default: 15000 },
+  FOREIGN_RETRIES: { type: 'int', min: 0, default: 2 },
+  FOREIGN_RETRY_BASE_MS: { type: 'int', min: 0, default: 250 },
+  FOREIGN_BREAKER_THRESHOLD: { type: 'int', min: 1, default: 5 },
+  FOREIGN_BREAKER_RESET_MS: { type: 'int', min: 1, default: 30000 },
+  FOREIGN_CHAT_TIMEOUT_MS: { type: 'int', min: 1, default: 10 * MINUTE_MS },
+  FOREIGN_HEALTH_PATH: { type: 'string', default: '/' },
+
+  // RabbitMQ supervision (rabbitmqSupervisor.js)
+  RABBITMQ_RECONNECT_BASE_MS: { type: 'int', min: 100, default: 1000 },
+  RABBITMQ_RECONNECT_MAX_MS: { type: 'int', min: 100, default: MINUTE_MS },
+  RABBITMQ_CHECK_INTERVAL_MS: { type: 'int', min: 1000, default: 10000 },
+  RABBITMQ_DEAD_LETTER_EXCHANGE: { type: 'string', default: 'aipb.dead-letter' },
+  RABBITMQ_DEAD_LETTER_QUEUE: { type: 'string', default: 'aipb.dead-letter' },
+
+  // Chat streaming (socketChat.js)
+  CHAT_STREAM_IDLE_TIMEOUT_MS: { type: 'int', min: 1000, default: MINUTE_MS },
+  CHAT_COMPLETION_GRACE_MS: { type: 'int', min: 0, default: 5000 },
+
+  // Replicas (cluster.js)
+  CLUSTER_ADAPTER: { type: 'enum', values: ['memory', 'redis'], default: 'memory' },
+  REDIS_URL: { type: 'string', default: 'redis://localhost:6379', secret: true },
+  CLUSTER_NODE_ID: { type: 'string', default: '' },
+
+  // Storage (storageDriver.js, mountRegistry.js, filesystemUtils.js)
+  STORAGE_DRIVER: { type: 'enum', values: ['nfs', 'local', 'memory'], default: 'nfs' },
+  STORAGE_LOCAL_ROOT: { type: 'string', default: path.resolve('storage') },
+  NFS_SERVER: { type: 'string', default: '192.168.7.22' },
+  NFS_EXPORT_BASE: { type: 'string', default: '/home' },
+  NFS_MOUNT_BASE: { type: 'string', default: '/mnt/aipb' },
+  NFS_DRIVE_LETTERS: { type: 'string', default: 'XWVUTSRQPONM' },
+  NFS_IDLE_UNMOUNT_MS: { type: 'int', min: 0, default: 15 * MINUTE_MS },
+  UPLOAD_TEMP_DIR: { type: 'string', default: path.join(os.tmpdir(), 'aipb-uploads') },
+  UPLOAD_MAX_FILE_SIZE: { type: 'int', min: 1, default: 100 * 1024 * 1024 }
+};
+
+// Settings still honoured under an older name
+const LEGACY_NAMES = {
+  FOREIGN_SERVER_URL: 'IDENTITY_FOREIGN_URL'
+};
+
+export class ConfigError extends Error {
+  constructor(errors) {
+    super(`Invalid configuration:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.errors = errors;
+  }
+}
+
+const isUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+};
+
+// Convert a raw value (env string or JSON file value) to the setting's type.
+// Returns { value } or { error }.
+const coerce = (name, spec, raw) => {
+  switch (spec.type) {
+    case 'string':
+      return { value: String(raw) };
+    case 'int': {
+      const value = typeof raw === 'number' ? raw : Number(String(raw).trim());
+      if (!Number.isInteger(value)) return { error: `${name} must be an integer, got "${raw}"` };
+      if (spec.min !== undefined && value < spec.min) return { error: `${name} must be at least ${spec.min}, got ${value}` };
+      if (spec.max !== undefined && value > spec.max) return { error: `${name} must be at most ${spec.max}, got ${value}` };
+      return { value };
+    }
+    case 'bool': {
+      const text = String(raw).trim().toLowerCase();
+      if (['true', '1', 'yes'].includes(text)) return { value: true };
+      if (['false', '0', 'no'].includes(text)) return { value: false };
+      return { error: `${name} must be true or false, got "${raw}"` };
+    }
+    case 'enum': {
+      const value = String(raw).trim();
+      return spec.values.includes(value)
+        ? { value }
+        : { error: `${name} must be one of ${spec.values.join(', ')}, got "${raw}"` };
+    }
+    case 'url': {
+      const value = String(raw).trim().replace(/\/+$/, '');
+      return isUrl(value) ? { value } : { error: `${name} must be an http(s) URL, got "${raw}"` };
+    }
+    case 'date': {
+      const value = String(raw).trim();
+      return /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value))
+        ? { value }
+        : { error: `${name} must be a date (YYYY-MM-DD), got "${raw}"` };
+    }
+    case 'list':
+    case 'urlList': {
+      const items = (Array.isArray(raw) ? raw : String(raw).split(','))
+        .map(item => String(item).trim())
+        .filter(Boolean);
+      if (spec.type === 'urlList') {
+        const invalid = items.filter(item => item !== '*' && !isUrl(item));
+        if (invalid.length > 0) return { error: `${name} has invalid URL(s): ${invalid.map(item => `"${item}"`).join(', ')}` };
+      }
+      return { value: items };
+    }
+    default:
+      return { error: `${name} has unknown type ${spec.type}` };
+  }
+};
+
+const readConfigFile = (filePath, errors) => {
+  if (!filePath) {
+    return {};
+  }
+  try {
+    const values = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+      errors.push(`CONFIG_FILE ${filePath} must contain a JSON object`);
+      return {};
+    }
+    for (const name of Object.keys(values)) {
+      if (!SCHEMA[name]) {
+        errors.push(`CONFIG_FILE ${filePath} sets unknown setting ${name}`);
+      }
+    }
+    return values;
+  } catch (error) {
+    errors.push(`CONFIG_FILE ${filePath} could not be read: ${error.message}`);
+    return {};
+  }
+};
+
+/**
+ * Build and validate the configuration from an environment and optional config file.
+ * Returns a frozen settings object; throws ConfigError listing every problem found.
+ */
+export const loadConfig = (env = process.env) => {
+  const errors = [];
+  const fileValues = readConfigFile(env.CONFIG_FILE, errors);
+  const values = {};
+  const sources = {};
+
+  for (const [name, spec] of Object.entries(SCHEMA)) {
+    const envValue = env[name] ?? (LEGACY_NAMES[name] && env[LEGACY_NAMES[name]]);
+    const hasEnv = envValue !== undefined && envValue !== '';
+    const raw = hasEnv ? envValue : fileValues[name];
+
+    if (raw === undefined) {
+      values[name] = spec.default;
+      sources[name] = 'default';
+      continue;
+    }
+    const { value, error } = coerce(name, spec, raw);
+    if (error) {
+      errors.push(error);
+      continue;
+    }
+    values[name] = value;
+    sources[name] = hasEnv ? 'env' : 'file';
+  }
+
+  if (values.NODE_ENV === 'production') {
+    for (const [name, spec] of Object.entries(SCHEMA)) {
+      const problem = spec.production && name in values ? spec.production(values[name]) : null;
+      if (problem) {
+        errors.push(`${name} ${problem} (NODE_ENV=production)`);
+      }
+    }
+  }
+
+  if (values.PASSWORD_RESET_DELIVERY === 'webhook' && !values.PASSWORD_RESET_WEBHOOK_URL) {
+    errors.push('PASSWORD_RESET_WEBHOOK_URL is required when PASSWORD_RESET_DELIVERY is webhook');
+  }
+  if (values.PAT_DEFAULT_LIFETIME_DAYS > values.PAT_MAX_LIFETIME_DAYS) {
+    errors.push('PAT_DEFAULT_LIFETIME_DAYS must not exceed PAT_MAX_LIFETIME_DAYS');
+  }
+  if (Boolean(values.OIDC_ISSUER) !== Boolean(values.OIDC_CLIENT_ID)) {
+    errors.push('OIDC_ISSUER and OIDC_CLIENT_ID must be set together');
+  }
+  if (values.RABBITMQ_RECONNECT_BASE_MS > values.RABBITMQ_RECONNECT_MAX_MS) {
+    errors.push('RABBITMQ_RECONNECT_BASE_MS must not exceed RABBITMQ_RECONNECT_MAX_MS');
+  }
+  if (values.LEGACY_API_SUNSET_DATE <= values.LEGACY_API_DEPRECATION_DATE) {
+    errors.push('LEGACY_API_SUNSET_DATE must be after LEGACY_API_DEPRECATION_DATE');
+  }
+
+  if (errors.length > 0) {
+    throw new ConfigError(errors);
+  }
+
+  Object.defineProperty(values, 'sources', { value: Object.freeze(sources), enumerable: false });
+  return Object.freeze(values);
+};
+
+let config;
+try {
+  config = loadConfig();
+} catch (error) {
+  if (error.name !== 'ConfigError') {
+    throw error;
+  }
+  console.error(error.message);
+  console.error('Fix the settings above in the environment, .env or CONFIG_FILE and restart');
+  process.exit(1);
+}
+
+/**
+ * The configuration with secrets replaced, for display to admins
+ */
+export const getRedactedConfig = () => {
+  const settings = {};
+  for (const [name, spec] of Object.entries(SCHEMA)) {
+    const value = config[name];
+    settings[name] = {
+      value: spec.secret ? (value ? '[redacted]' : '') : value,
+      source: config.sources[name]
+    };
+  }
+  return settings;
+};
+
+export default config;
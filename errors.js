@@ -0,0 +1,204 @@
+import config from './config.js';
+import { getRequestId } from './userContext.js';
+import { createLogger } from './logger.js';
+
+// Error catalogue. Codes are part of the API contract - clients branch on them - so a code is
+// never renamed or reused; add a new one instead. `status` is the HTTP status the error answers
+// with, `title` the fixed human summary (RFC 7807 "title").
+export const ERROR_CODES = {
+  VALIDATION_FAILED: { status: 400, title: 'Request validation failed' },
+  MALFORMED_REQUEST: { status: 400, title: 'Malformed request body' },
+  PAYLOAD_TOO_LARGE: { status: 413, title: 'Request body too large' },
+  AUTH_REQUIRED: { status: 401, title: 'Authentication required' },
+  FORBIDDEN: { status: 403, title: 'Not allowed' },
+  RATE_LIMITED: { status: 429, title: 'Too many requests' },
+  ROUTE_NOT_FOUND: { status: 404, title: 'No such endpoint' },
+  NOT_FOUND: { status: 404, title: 'Not found' },
+  ALREADY_EXISTS: { status: 409, title: 'File or folder already exists' },
+  USER_EXISTS: { status: 409, title: 'User already exists' },
+  INVALID_PATH: { status: 400, title: 'Invalid path' },
+  PATH_TRAVERSAL: { status: 403, title: 'Path escapes the storage root' },
+  INVALID_FILENAME: { status: 400, title: 'Invalid file name' },
+  BLOCKED_EXTENSION: { status: 403, title: 'File type not allowed' },
+  NO_FILES: { status: 400, title: 'No files uploaded' },
+  FILE_TOO_LARGE: { status: 413, title: 'File too large' },
+  UPLOAD_REJECTED: { status: 400, title: 'Upload rejected' },
+  STORAGE_NOT_MOUNTED: { status: 503, title: 'Storage is not mounted' },
+  STORAGE_ERROR: { status: 500, title: 'Storage operation failed' },
+  UPSTREAM_UNAVAILABLE: { status: 503, title: 'Upstream server unavailable' },
+  UPSTREAM_TIMEOUT: { status: 504, title: 'Upstream server timed out' },
+  UPSTREAM_ERROR: { status: 502, title: 'Upstream server error' },
+  SHUTTING_DOWN: { status: 503, title: 'Server is shutting down' },
+  INTERNAL_ERROR: { status: 500, title: 'Internal server error' }
+};
+
+/**
+ * An error with a catalogue code. `message` is shown to the client, so it must not carry
+ * internal paths or stack details. `reason` is an optional finer-grained, module-specific
+ * type (e.g. REFRESH_TOKEN_REUSED) and `details` an optional object returned alongside.
+ */
+export class AppError extends Error {
+  constructor(code, message = ERROR_CODES[code].title, { reason = null, details = null, retryAfterSec = null, cause = null } = {}) {
+    super(message);
+    this.name = 'AppError';
+    this.code = code;
+    this.status = ERROR_CODES[code].status;
+    this.reason = reason;
+    this.details = details;
+    this.retryAfterSec = retryAfterSec;
+    this.cause = cause;
+  }
+}
+
+// ForeignServerError codes (foreignClient.js)
+const FOREIGN_ERROR_CODES = {
+  FOREIGN_TIMEOUT: 'UPSTREAM_TIMEOUT',
+  FOREIGN_UNAVAILABLE: 'UPSTREAM_UNAVAILABLE',
+  FOREIGN_CIRCUIT_OPEN: 'UPSTREAM_UNAVAILABLE',
+  FOREIGN_SERVER_ERROR: 'UPSTREAM_ERROR',
+  FOREIGN_REQUEST_FAILED: 'UPSTREAM_ERROR'
+};
+
+// fs and storage driver error codes. Their messages contain mount paths, so only the title is shown.
+const STORAGE_ERROR_CODES = {
+  ENOTMOUNTED: 'STORAGE_NOT_MOUNTED',
+  EPATHTRAVERSAL: 'PATH_TRAVERSAL',
+  ENOENT: 'NOT_FOUND',
+  ENOTDIR: 'NOT_FOUND',
+  EISDIR: 'INVALID_PATH',
+  EINVAL: 'INVALID_PATH',
+  EEXIST: 'ALREADY_EXISTS',
+  ENAMETOOLONG: 'INVALID_FILENAME',
+  EPERM: 'FORBIDDEN',
+  EACCES: 'FORBIDDEN',
+  ENOSPC: 'STORAGE_ERROR',
+  EIO: 'STORAGE_ERROR',
+  ESTALE: 'STORAGE_NOT_MOUNTED'
+};
+
+// Sign-in and token errors carry { status, type }; their messages are written for clients
+const AUTH_ERROR_NAMES = ['AuthenticationError', 'RefreshTokenError', 'OidcError'];
+
+/**
+ * Catalogue code for an HTTP status answered by the foreign server
+ */
+export const codeForUpstreamStatus = (status) => {
+  if (status === 401) return 'AUTH_REQUIRED';
+  if (status === 403) return 'FORBIDDEN';
+  if (status === 408 || status === 504) return 'UPSTREAM_TIMEOUT';
+  if (status === 503) return 'UPSTREAM_UNAVAILABLE';
+  return 'UPSTREAM_ERROR';
+};
+
+/**
+ * Map any thrown error onto the catalogue. Unknown errors become INTERNAL_ERROR with a
+ * generic message - the original is logged, never sent.
+ */
+export const toAppError = (error) => {
+  if (error instanceof AppError) {
+    return error;
+  }
+  if (error?.name === 'ForeignServerError') {
+    return new AppError(FOREIGN_ERROR_CODES[error.code] || 'UPSTREAM_ERROR', undefined, {
+      details: error.upstreamStatus ? { upstream_status: error.upstreamStatus } : null,
+      retryAfterSec: error.retryAfterSec,
+      cause: error
+    });
+  }
+  if (AUTH_ERROR_NAMES.includes(error?.name)) {
+    const code = error.status === 403 ? 'FORBIDDEN' : error.status >= 500 ? 'UPSTREAM_ERROR' : 'AUTH_REQUIRED';
+    return new AppError(code, error.message, { reason: error.type, cause: error });
+  }
+  if (error?.name === 'MulterError') {
+    return error.code === 'LIMIT_FILE_SIZE'
+      ? new AppError('FILE_TOO_LARGE', `File too large (max ${Math.round(config.UPLOAD_MAX_FILE_SIZE / (1024 * 1024))}MB)`, { cause: error })
+      : new AppError('UPLOAD_REJECTED', `Upload error: ${error.message}`, { cause: error });
+  }
+  // body-parser failures
+  if (error?.type === 'entity.parse.failed') {
+    return new AppError('MALFORMED_REQUEST', undefined, { cause: error });
+  }
+  if (error?.type === 'entity.too.large') {
+    return new AppError('PAYLOAD_TOO_LARGE', undefined, { cause: error });
+  }
+  if (STORAGE_ERROR_CODES[error?.code]) {
+    return new AppError(STORAGE_ERROR_CODES[error.code], undefined, { cause: error });
+  }
+  return new AppError('INTERNAL_ERROR', undefined, { cause: error });
+};
+
+/**
+ * { code, error } for per-item failures inside an otherwise successful response
+ */
+export const toErrorSummary = (error) => {
+  const appError = toAppError(error);
+  return { code: appError.code, error: appError.message, ...(appError.reason && { reason: appError.reason }) };
+};
+
+/**
+ * RFC 7807 problem details for an error, as sent by the error handler
+ */
+export const toProblem = (error, instance) => {
+  const appError = toAppError(error);
+  return {
+    type: `urn:aipb:error:${appError.code}`,
+    title: ERROR_CODES[appError.code].title,
+    status: appError.status,
+    detail: appError.message,
+    ...(instance && { instance }),
+    code: appError.code,
+    ...(appError.reason && { reason: appError.reason }),
+    ...(getRequestId() && { requestId: getRequestId() }),
+    ...(appError.details && { details: appError.details }),
+    // Kept for clients written against the earlier { success, error } responses
+    success: false,
+    error: appError.message
+  };
+};
+
+const log = createLogger('errors');
+
+const sendProblem = (req, res, appError) => {
+  if (appError.retryAfterSec) {
+    res.set('Retry-After', String(appError.retryAfterSec));
+  }
+  res.status(appError.status)
+    .type('application/problem+json')
+    .json(toProblem(appError, req.originalUrl.split('?')[0]));
+};
+
+/**
+ * Final Express error handler - routes pass failures on with next(error) and this renders
+ * them as application/problem+json. Server-side failures are logged with their stack.
+ */
+export const errorHandler = (error, req, res, _next) => {
+  if (res.headersSent) {
+    // A streamed response (e.g. a download) failed midway - all we can do is cut it off
+    log.error('Request failed after the response started', { method: req.method, path: req.originalUrl.split('?')[0], error });
+    req.socket.destroy();
+    return;
+  }
+
+  const appError = toAppError(error);
+  if (appError.status >= 500) {
+    log.error('Request failed', { method: req.method, path: req.originalUrl.split('?')[0], code: appError.code, error: appError.cause || appError });
+  } else {
+    log.warn('Request rejected', { method: req.method, path: req.originalUrl.split('?')[0], code: appError.code, error: appError.message });
+  }
+  sendProblem(req, res, appError);
+};
+
+/**
+ * 404 for API paths no route matched, in the same format
+ */
+export const apiNotFound = (req, res, next) => {
+  next(new AppError('ROUTE_NOT_FOUND', `No endpoint ${req.method} ${req.originalUrl.split('?')[0]}`));
+};
+
+/**
+ * { code, message } for socket error events
+ */
+export const toSocketError = (error) => {
+  const appError = toAppError(error);
+  return { code: appError.code, message: appError.message, ...(appError.reason && { reason: appError.reason }) };
+};
@@ -1,572 +1,444 @@
-import express from 'express';
-import path from 'path';
-import fs from 'fs/promises';
-import { createReadStream } from 'fs';
-import multer from 'multer';
-import fetch from 'node-fetch';
-import { fileURLToPath } from 'url';
-import { httpsAgent } from './auth.js';
-import { ensureDirectoryExists, validatePath, getFilesystemRoot, getFilesystemStatus, FILESYSTEM_ROOT_PATH } from './filesystemUtils.js';
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-
-const router = express.Router();
-
-// Cleanup function for temporary files
-const cleanupTempFiles = async () => {
-  try {
-    const tempDir = path.join('X:', 'temp');
-    const uploadDir = path.join('C:', 'temp-uploads');
-    
-    console.log('🧹 Starting cleanup of temporary files...');
-    
-    // Clean up Jetson temp directory
-    try {
-      const jetsonTempExists = await fs.access(tempDir).then(() => true).catch(() => false);
-      if (jetsonTempExists) {
-        const jetsonFiles = await fs.readdir(tempDir);
-        for (const file of jetsonFiles) {
-          try {
-            await fs.unlink(path.join(tempDir, file));
-            console.log(`✅ Cleaned up Jetson temp file: ${file}`);
-          } catch (error) {
-            console.warn(`⚠️ Could not clean up Jetson temp file ${file}:`, error.message);
-          }
-        }
-        console.log(`✅ Jetson temp directory cleaned: ${jetsonFiles.length} files removed`);
-      } else {
-        console.log('ℹ️ Jetson temp directory does not exist, skipping cleanup');
-      }
-    } catch (error) {
-      console.warn('⚠️ Error cleaning Jetson temp directory:', error.message);
-    }
-    
-    // Clean up local upload directory
-    try {
-      const uploadExists = await fs.access(uploadDir).then(() => true).catch(() => false);
-      if (uploadExists) {
-        const uploadFiles = await fs.readdir(uploadDir);
-        for (const file of uploadFiles) {
-          try {
-            await fs.unlink(path.join(uploadDir, file));
-            console.log(`✅ Cleaned up upload temp file: ${file}`);
-          } catch (error) {
-            console.warn(`⚠️ Could not clean up upload temp file ${file}:`, error.message);
-          }
-        }
-        console.log(`✅ Upload temp directory cleaned: ${uploadFiles.length} files removed`);
-      }
-    } catch (error) {
-      console.warn('⚠️ Error cleaning upload temp directory:', error.message);
-    }
-    
-    console.log('🧹 Temporary files cleanup completed');
-  } catch (error) {
-    console.error('❌ Error during temp files cleanup:', error.message);
-  }
-};
-
-const uploadDir = path.join('C:', 'temp-uploads');
-const upload = multer({ 
-  dest: uploadDir,
-  limits: {
-    fileSize: 100 * 1024 * 1024,
-    fieldSize: 1024 * 1024
-  },
-  fileFilter: (req, file, cb) => cb(null, true)
-});
-
-// Ensure upload directory exists and cleanup temp files on startup (non-blocking)
-(async () => {
-  try {
-    if (uploadDir && typeof uploadDir === 'string' && uploadDir.trim()) {
-      await ensureDirectoryExists(uploadDir);
-    }
-    console.log('✅ Upload directory initialized');
-    
-    // Clean up temporary files from previous session
-    await cleanupTempFiles();
-  } catch (error) {
-    console.error('❌ Error initializing upload directory or cleaning temp files:', error.message);
-  }
-})();
-
-// Filesystem status endpoint
-router.get('/status', async (req, res) => {
-  try {
-    const status = await getFilesystemStatus();
-    const currentRoot = await getFilesystemRoot();
-    
-    // Add additional information not in the NFS status
-    let diskInfo = null;
-    try {
-      // Only try to get disk info if we have a valid currentRoot
-      if (currentRoot && typeof currentRoot === 'string') {
-        const rootDir = path.parse(currentRoot).root;
-        // In a production environment, you might use a disk space library
-        // For now, we'll just check if the path exists
-        await fs.access(rootDir);
-        diskInfo = {
-          available: true,
-          path: rootDir
-        };
-      } else {
-        console.warn('Unable to get disk info: No valid filesystem root available');
-        diskInfo = { 
-          available: false, 
-          reason: 'No user-specific NFS path available' 
-        };
-      }
-    } catch (error) {
-      console.warn('Unable to get disk info:', error.message);
-      diskInfo = { 
-        available: false, 
-        reason: error.message 
-      };
-    }
-    
-    res.json({
-      success: true,
-      status: {
-        ...status,
-        currentRoot: currentRoot || null,
-        diskInfo,
-        timestamp: new Date().toISOString()
-      }
-    });
-  } catch (error) {
-    console.error('Error getting filesystem status:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to get filesystem status',
-      details: error.message,
-      timestamp: new Date().toISOString()
-    });
-  }
-});
-
-// API endpoints
-router.post('/init', async (req, res) => {
-  try {
-    const currentRoot = await getFilesystemRoot();
-    console.log('Initializing filesystem with root:', currentRoot);
-    
-    if (!currentRoot) {
-      console.error('❌ No filesystem root available - requires user-specific NFS path');
-      return res.status(503).json({
-        success: false,
-        error: 'Filesystem not available',
-        details: 'User-specific NFS filesystem is not mounted or user session not established',
-        requiresUserLogin: true,
-        timestamp: new Date().toISOString()
-      });
-    }
-    
-    // OPTIMIZED: Fast initialization - just check if path exists, skip expensive operations
-    try {
-      await fs.access(currentRoot);
-      console.log('✅ Root path is accessible - fast init complete');
-    } catch (accessError) {
-      console.log('Root path not accessible, attempting quick creation:', accessError.message);
-      try {
-        await ensureDirectoryExists(currentRoot);
-        console.log('✅ Root path created successfully');
-      } catch (createError) {
-        console.error('❌ Failed to create root path:', createError.message);
-        return res.status(500).json({
-          success: false,
-          error: `Failed to create filesystem root: ${createError.message}`
-        });
-      }
-    }
-    
-    // OPTIMIZED: Skip write permission test for faster init - will be checked when actually needed
-    console.log('✅ Fast filesystem initialization complete');
-    
-    res.json({ 
-      success: true, 
-      message: 'Filesystem initialized (fast mode)', 
-      rootPath: await FILESYSTEM_ROOT_PATH(),
-      fastMode: true
-    });
-  } catch (error) {
-    console.error('Filesystem initialization error:', error);
-    res.status(500).json({ success: false, error: error.message });
-  }
-});
-
-// Diagnostic endpoint to check NFS status
-router.get('/nfs-status', async (req, res) => {
-  try {
-    const diagnostics = {
-      rootPath: FILESYSTEM_ROOT_PATH,
-      exists: false,
-      readable: false,
-      writable: false,
-      stats: null,
-      error: null
-    };
-
-    // Check if path exists
-    try {
-      const rootPath = await FILESYSTEM_ROOT_PATH();
-      const stats = await fs.stat(rootPath);
-      diagnostics.exists = true;
-      diagnostics.stats = {
-        isDirectory: stats.isDirectory(),
-        size: stats.size,
-        modified: stats.mtime
-      };
-    } catch (error) {
-      diagnostics.error = `Path doesn't exist: ${error.message}`;
-    }
-
-    // Check read permissions
-    if (diagnostics.exists) {
-      try {
-        const rootPath = await FILESYSTEM_ROOT_PATH();
-        await fs.access(rootPath, fs.constants.R_OK);
-        diagnostics.readable = true;
-      } catch (error) {
-        diagnostics.error = `Not readable: ${error.message}`;
-      }
-
-      // Check write permissions
-      try {
-        const rootPath = await FILESYSTEM_ROOT_PATH();
-        await fs.access(rootPath, fs.constants.W_OK);
-        diagnostics.writable = true;
-      } catch (error) {
-        diagnostics.error = diagnostics.error ? 
-          `${diagnostics.error}, Not writable: ${error.message}` : 
-          `Not writable: ${error.message}`;
-      }
-    }
-
-    res.json(diagnostics);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
-
-// Get personalized files for current user
-router.get('/personalized-files', async (req, res) => {
-  try {
-    // Import personalized files functions
-    const { getPersonalizedFiles } = await import('./chat.js');
-    const { extractUserIdFromToken } = await import('./auth.js');
-    
-    // Get user ID from token
-    const authHeader = req.headers.authorization;
-    const userId = extractUserIdFromToken(authHeader);
-    
-    if (!userId) {
-      return res.status(401).json({
-        success: false,
-        error: 'Authentication required',
-        personalizedFiles: []
-      });
-    }
-    
-    const personalizedFiles = getPersonalizedFiles(userId);
-    
-    res.json({
-      success: true,
-      personalizedFiles: personalizedFiles,
-      userId: userId,
-      count: personalizedFiles.length
-    });
-  } catch (error) {
-    console.error('Error getting personalized files:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      personalizedFiles: []
-    });
-  }
-});
-
-router.get('/list', async (req, res) => {
-  try {
-    console.log('\n=== FILESYSTEM LIST ENDPOINT ===');
-    
-    // Import personalized files functions
-    const { getPersonalizedFiles } = await import('./chat.js');
-    const { extractUserIdFromToken } = await import('./auth.js');
-    
-    const userPath = req.query.path || '';
-    console.log('List request for path:', userPath);
-    
-    const safePath = await validatePath(userPath);
-    if (!safePath) {
-      console.error('❌ Invalid path:', userPath);
-      return res.status(400).json({ success: false, error: `Invalid path: ${userPath}` });
-    }
-    console.log('Safe path resolved to:', safePath);
-    
-    // Check if the path exists and is accessible
-    try {
-      await fs.access(safePath);
-      console.log('✅ Path is accessible:', safePath);
-    } catch (accessError) {
-      console.error('❌ Path not accessible:', safePath, accessError.message);
-      return res.status(404).json({ 
-        success: false, 
-        error: `Path not accessible: ${accessError.message}`,
-        items: []
-      });
-    }
-    
-    // OPTIMIZED: Get user ID and personalized files once
-    const authHeader = req.headers.authorization;
-    const userId = extractUserIdFromToken(authHeader);
-    const personalizedFiles = userId ? getPersonalizedFiles(userId) : [];
-    console.log('User ID:', userId, 'Personalized files count:', personalizedFiles.length);
-    
-    // OPTIMIZED: Create a Set for faster lookup of personalized files
-    const personalizedSet = new Set(personalizedFiles);
-    
-    // OPTIMIZED: Read directory with file types (faster than individual stat calls)
-    let items;
-    try {
-      items = await fs.readdir(safePath, { withFileTypes: true });
-      console.log('✅ Directory read successfully, found', items.length, 'items');
-    } catch (readError) {
-      console.error('❌ Failed to read directory:', safePath, readError.message);
-      return res.status(500).json({ 
-        success: false, 
-        error: `Failed to read directory: ${readError.message}`,
-        items: []
-      });
-    }
-    
-    // OPTIMIZED: Get root path once
-    const rootPath = await FILESYSTEM_ROOT_PATH();
-    console.log('Root path:', rootPath);
-    
-    // Handle empty directory
-    if (items.length === 0) {
-      console.log('ℹ️ Directory is empty');
-      res.json({ 
-        success: true, 
-        items: [], 
-        currentPath: path.relative(rootPath, safePath).replace(/\\/g, '/') || '/',
-        timeframe: 'Directory listing (fast mode - empty)',
-        fastMode: true
-      });
-      return;
-    }
-    
-    // OPTIMIZED: Process files in parallel batches instead of sequential map
-    const BATCH_SIZE = 10;
-    const fileList = [];
-    
-    for (let i = 0; i < items.length; i += BATCH_SIZE) {
-      const batch = items.slice(i, i + BATCH_SIZE);
-      const batchResults = await Promise.all(
-        batch.map(async (item) => {
-          const itemPath = path.join(safePath, item.name);
-          
-          try {
-            // OPTIMIZED: Single stat call per file
-            const stats = await fs.stat(itemPath);
-            const relativePath = path.relative(rootPath, itemPath).replace(/\\/g, '/');
-            
-            // OPTIMIZED: Faster personalization check using Set and simple path matching
-            const windowsPath = `X:/${relativePath.replace(/\//g, '\\')}`;
-            const isPersonalized = personalizedSet.has(windowsPath) || 
-                                  personalizedSet.has(`X:\\${relativePath.replace(/\//g, '\\')}`) ||
-                                  Array.from(personalizedSet).some(pFile => pFile.includes(item.name));
-            
-            return {
-              name: item.name,
-              type: item.isDirectory() ? 'directory' : 'file',
-              size: stats.size,
-              modified: stats.mtime,
-              relativePath: relativePath,
-              isRecentUpload: !item.isDirectory(),
-              isPersonalized: isPersonalized
-            };
-          } catch (statError) {
-            console.warn(`⚠️ Failed to stat ${itemPath}:`, statError.message);
-            // Return basic info even if stat fails
-            return {
-              name: item.name,
-              type: item.isDirectory() ? 'directory' : 'file',
-              size: 0,
-              modified: new Date(),
-              relativePath: path.relative(rootPath, itemPath).replace(/\\/g, '/'),
-              isRecentUpload: !item.isDirectory(),
-              isPersonalized: false
-            };
-          }
-        })
-      );
-      fileList.push(...batchResults);
-    }
-    
-    // OPTIMIZED: Simple sort - directories first, then by name (skip expensive time-based sorting)
-    fileList.sort((a, b) => {
-      if (a.type === 'directory' && b.type !== 'directory') return -1;
-      if (a.type !== 'directory' && b.type === 'directory') return 1;
-      return a.name.localeCompare(b.name); // Simple alphabetical sort
-    });
-    
-    console.log('✅ Successfully processed', fileList.length, 'items for listing');
-    
-    res.json({ 
-      success: true, 
-      items: fileList, 
-      currentPath: path.relative(rootPath, safePath).replace(/\\/g, '/') || '/',
-      timeframe: 'Directory listing (fast mode)',
-      fastMode: true
-    });
-  } catch (error) {
-    console.error('❌ Filesystem list endpoint error:', error);
-    console.error('Error stack:', error.stack);
-    res.status(500).json({ 
-      success: false, 
-      error: error.message, 
-      items: [],
-      debugInfo: {
-        errorName: error.name,
-        errorCode: error.code,
-        timestamp: new Date().toISOString()
-      }
-    });
-  }
-});
-
-// Upload endpoint - handles copying files from host to Jetson via NFS
-router.post('/upload', (req, res) => {
-  console.log('\n=== HOST TO JETSON COPY ENDPOINT ===');
-  console.log('Headers:', req.headers);
-  console.log('Content-Type:', req.headers['content-type']);
-  
-  // Use multer to handle multiple files for host-to-Jetson copying
-  upload.array('files')(req, res, async (err) => {
-    if (err) {
-      console.error('Multer error details:', {
-        name: err.name,
-        message: err.message,
-        code: err.code,
-        field: err.field,
-        storageErrors: err.storageErrors
-      });
-      
-      if (err instanceof multer.MulterError) {
-        if (err.code === 'LIMIT_FILE_SIZE') {
-          return res.status(400).json({ success: false, error: 'File too large (max 100MB)' });
-        }
-        return res.status(400).json({ success: false, error: `Upload error: ${err.message}` });
-      }
-      return res.status(500).json({ success: false, error: `Upload failed: ${err.message}` });
-    }
-
-    try {
-      console.log('Files received for Jetson copy:', req.files ? req.files.length : 0);
-      console.log('Folder paths received:', req.body.folderPaths);
-      
-      if (!req.files || req.files.length === 0) {
-        return res.status(400).json({ 
-          success: false, 
-          error: 'No files provided for copying to Jetson. Use form field name "files"' 
-        });
-      }
-
-      const results = [];
-      const folderPaths = req.body.folderPaths ? (Array.isArray(req.body.folderPaths) ? req.body.folderPaths : [req.body.folderPaths]) : [];
-      
-      for (let i = 0; i < req.files.length; i++) {
-        const file = req.files[i];
-        const folderPath = folderPaths[i] || file.originalname; // Use folder path if available, otherwise just filename
-        
-        console.log('\nProcessing file for Jetson copy:', {
-          originalname: file.originalname,
-          folderPath: folderPath,
-          size: file.size,
-          uploadPath: file.path
-        });
-
-        try {
-          // Import NFSManager dynamically to get the proper user path
-          const { default: nfsManager } = await import('./nfsManager.js');
-          const nfsStatus = nfsManager.getStatus();
-          
-          // Get the user-specific path - with new structure X: IS the user directory
-          let jetsonPath;
-          if (nfsStatus.isNFSMounted && nfsStatus.currentUsername) {
-            // X: directly maps to user's home directory, preserve folder structure
-            jetsonPath = path.join(nfsStatus.nfsMountPoint, folderPath);
-            console.log('Target Jetson user path:', jetsonPath);
-          } else {
-            // Fallback to root if no user is set (shouldn't happen but safety first)
-            jetsonPath = path.join('X:\\', folderPath);
-            console.log('Target Jetson path (fallback):', jetsonPath);
-          }
-          
-          // Ensure parent directories exist before copying
-          const parentDir = path.dirname(jetsonPath);
-          await fs.mkdir(parentDir, { recursive: true });
-          console.log('Parent directories ensured:', parentDir);
-          
-          // Copy file to Jetson
-          await fs.copyFile(file.path, jetsonPath);
-          console.log('File copied successfully to Jetson');
-
-          // Clean up the uploaded file from uploads folder
-          // await fs.unlink(file.path);
-          console.log('Temporary file cleaned up');
-
-          results.push({
-            success: true,
-            originalName: file.originalname,
-            folderPath: folderPath,
-            jetsonPath: jetsonPath.replace(/\\/g, '/'), // Convert to forward slashes for consistency
-            absolutePath: jetsonPath.replace(/\\/g, '/'), // Convert to forward slashes for LLM
-            size: file.size,
-            message: `File ${folderPath} successfully copied to Jetson filesystem`
-          });
-        } catch (fileError) {
-          console.error('Error copying file to Jetson:', fileError);
-          
-          // Clean up file even if copying failed
-          try {
-            await fs.unlink(file.path);
-          } catch (unlinkError) {
-            console.error('Failed to clean up temporary file:', unlinkError);
-          }
-
-          // Check if it's a permission error
-          if (fileError.code === 'EACCES' || fileError.code === 'EPERM') {
-            results.push({
-              success: false,
-              originalName: file.originalname,
-              error: 'Permission denied - ensure NFS mount has write access to Jetson',
-              code: fileError.code,
-              details: 'Check that X: drive is mounted with write permissions'
-            });
-          } else if (fileError.code === 'ENOENT') {
-            results.push({
-              success: false,
-              originalName: file.originalname,
-              error: 'NFS mount not accessible - check if X: drive is properly mounted',
-              code: fileError.code,
-              details: 'Verify that the Jetson NFS mount is active'
-            });
-          } else {
-            results.push({
-              success: false,
-              originalName: file.originalname,
-              error: `Copy failed: ${fileError.message}`,
-              code: fileError.code
-            });
-          }
-        }
-      }
-
-      // Determine overall success
-      const successCount = results.filter(r => r.success).length;
-      const failureCount = results.length - successCount;
-
+import express from 'express';
+import path from 'path';
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import multer from 'multer';
+import fetch from 'node-fetch';
+import { fileURLToPath } from 'url';
+import { httpsAgent } from './httpsAgent.js';
+import { ensureDirectoryExists, getFilesystemRoot, getFilesystemStatus, FILESYSTEM_ROOT_PATH, UPLOAD_TEMP_DIR, getUserUploadDir } from './filesystemUtils.js';
+import config from './config.js';
+import { recordUploadBytes } from './metrics.js';
+import storage, { normalizeStoragePath } from './storageDriver.js';
+import { requireRole } from './authMiddleware.js';
+import { validate, requestValidationErrors, validationError, schemaTypes } from './openapi.js';
+import { AppError, toErrorSummary } from './errors.js';
+import { createLogger } from './logger.js';
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+
+const router = express.Router();
+const log = createLogger('filesystem');
+
+const uploadDir = UPLOAD_TEMP_DIR;
+
+// Cleanup function for temporary files
+// With a user, only that user's storage "temp" folder and staged uploads are removed;
+// without one (startup) the whole local upload directory is cleared
+const cleanupTempFiles = async (user = null) => {
+  try {
+    // Clean up the user's temp directory on the Jetson storage
+    if (user) {
+      try {
+        const tempExists = await storage.exists(user, 'temp');
+        if (tempExists) {
+          const jetsonFiles = await storage.list(user, 'temp');
+          for (const file of jetsonFiles) {
+            try {
+              await storage.delete(user, file.path);
+              log.debug('Cleaned up Jetson temp file', { file: file.name });
+            } catch (error) {
+              log.warn('Could not clean up Jetson temp file', { file: file.name, error: error.message });
+            }
+          }
+          log.info('Jetson temp directory cleaned', { filesRemoved: jetsonFiles.length });
+        }
+      } catch (error) {
+        log.warn('Error cleaning Jetson temp directory', { error: error.message });
+      }
+    }
+    
+    // Clean up local upload directory
+    const localDir = user ? getUserUploadDir(user) : uploadDir;
+    try {
+      const uploadExists = await fs.access(localDir).then(() => true).catch(() => false);
+      if (uploadExists) {
+        const uploadFiles = await fs.readdir(localDir);
+        for (const file of uploadFiles) {
+          try {
+            await fs.rm(path.join(localDir, file), { recursive: true });
+            log.debug('Cleaned up upload temp file', { file });
+          } catch (error) {
+            log.warn('Could not clean up upload temp file', { file, error: error.message });
+          }
+        }
+        log.info('Upload temp directory cleaned', { directory: localDir, filesRemoved: uploadFiles.length });
+      }
+    } catch (error) {
+      log.warn('Error cleaning upload temp directory', { directory: localDir, error: error.message });
+    }
+  } catch (error) {
+    log.error('Error during temp files cleanup', { error: error.message });
+  }
+};
+
+// Stage each user's uploads in their own temp directory so logout can clean them up
+const upload = multer({ 
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      const userUploadDir = getUserUploadDir(req.user);
+      fs.mkdir(userUploadDir, { recursive: true })
+        .then(() => cb(null, userUploadDir))
+        .catch(error => cb(error));
+    }
+  }),
+  limits: {
+    fileSize: config.UPLOAD_MAX_FILE_SIZE,
+    fieldSize: 1024 * 1024
+  },
+  fileFilter: (req, file, cb) => cb(null, true)
+});
+
+// Ensure upload directory exists and cleanup temp files on startup (non-blocking)
+(async () => {
+  try {
+    if (uploadDir && typeof uploadDir === 'string' && uploadDir.trim()) {
+      await ensureDirectoryExists(uploadDir);
+    }
+    // Clean up temporary files from previous session
+    await cleanupTempFiles();
+  } catch (error) {
+    log.error('Error initializing upload directory or cleaning temp files', { directory: uploadDir, error: error.message });
+  }
+})();
+
+// Filesystem status endpoint
+router.get('/status', validate({ summary: 'Storage status for the caller' }), async (req, res, next) => {
+  try {
+    const status = await getFilesystemStatus(req.user);
+    const currentRoot = await getFilesystemRoot(req.user);
+    
+    // Add additional information not in the NFS status
+    let diskInfo = null;
+    if (currentRoot) {
+      // In a production environment, you might use a disk space library
+      // For now, we'll just check if the root is reachable through the storage driver
+      const probe = await storage.probe(req.user);
+      diskInfo = probe.readable
+        ? { available: true, path: currentRoot }
+        : { available: false, reason: probe.error };
+    } else {
+      log.warn('Unable to get disk info - no valid filesystem root available');
+      diskInfo = { 
+        available: false, 
+        reason: 'No user-specific NFS path available' 
+      };
+    }
+    
+    res.json({
+      success: true,
+      status: {
+        ...status,
+        currentRoot: currentRoot || null,
+        diskInfo,
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// API endpoints
+router.post('/init', validate({ summary: 'Initialize the caller\'s storage root' }), async (req, res, next) => {
+  try {
+    const currentRoot = await getFilesystemRoot(req.user);
+    log.info('Initializing filesystem', { root: currentRoot });
+    
+    if (!currentRoot) {
+      throw new AppError('STORAGE_NOT_MOUNTED', 'User-specific NFS filesystem is not mounted or user session not established', {
+        details: { requiresUserLogin: true }
+      });
+    }
+    
+    // OPTIMIZED: Fast initialization - just check if the root exists, skip expensive operations
+    try {
+      await storage.stat(req.user, '');
+    } catch (accessError) {
+      log.info('Root path not accessible, creating it', { root: currentRoot, error: accessError.message });
+      try {
+        await storage.mkdir(req.user, '', { recursive: true });
+      } catch (createError) {
+        log.error('Failed to create root path', { root: currentRoot, error: createError.message });
+        throw new AppError('STORAGE_ERROR', 'Failed to create filesystem root', { cause: createError });
+      }
+    }
+    
+    // OPTIMIZED: Skip write permission test for faster init - will be checked when actually needed
+    
+    res.json({ 
+      success: true, 
+      message: 'Filesystem initialized (fast mode)', 
+      rootPath: await FILESYSTEM_ROOT_PATH(req.user),
+      fastMode: true
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Diagnostic endpoint to check NFS status (admin only - exposes the root path and stats)
+router.get('/nfs-status', requireRole('admin'), validate({ summary: 'NFS diagnostics (admin)' }), async (req, res, next) => {
+  try {
+    const rootPath = await FILESYSTEM_ROOT_PATH(req.user);
+    const diagnostics = {
+      rootPath,
+      driver: storage.name,
+      exists: false,
+      readable: false,
+      writable: false,
+      stats: null,
+      error: null
+    };
+
+    // Check the root exists, then probe read and write access
+    try {
+      const stats = await storage.stat(req.user, '');
+      diagnostics.stats = {
+        isDirectory: stats.isDirectory,
+        size: stats.size,
+        modified: stats.modified
+      };
+    } catch (error) {
+      diagnostics.error = `Path doesn't exist: ${error.message}`;
+    }
+
+    if (diagnostics.stats) {
+      const probe = await storage.probe(req.user);
+      diagnostics.exists = probe.exists;
+      diagnostics.readable = probe.readable;
+      diagnostics.writable = probe.writable;
+      diagnostics.error = probe.error;
+    }
+
+    res.json(diagnostics);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get personalized files for current user
+router.get('/personalized-files', validate({ summary: 'Files the caller has personalized the chat with' }), async (req, res, next) => {
+  try {
+    // Import personalized files functions
+    const { getPersonalizedFiles } = await import('./chat.js');
+    
+    // User is verified by the authenticate middleware
+    const userId = req.user.id;
+    
+    const personalizedFiles = getPersonalizedFiles(userId);
+    
+    res.json({
+      success: true,
+      personalizedFiles: personalizedFiles,
+      userId: userId,
+      count: personalizedFiles.length
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/list', validate({
+  summary: 'List a directory',
+  query: { type: 'object', properties: { path: schemaTypes.storagePath } }
+}), async (req, res, next) => {
+  try {
+    // Import personalized files functions
+    const { getPersonalizedFiles } = await import('./chat.js');
+    
+    const userPath = req.query.path || '';
+    
+    const safePath = normalizeStoragePath(userPath);
+    if (safePath === null) {
+      throw new AppError('PATH_TRAVERSAL', `Invalid path: ${userPath}`);
+    }
+    
+    // OPTIMIZED: Get user ID and personalized files once
+    const userId = req.user.id;
+    const personalizedFiles = userId ? getPersonalizedFiles(userId) : [];
+    
+    // OPTIMIZED: Create a Set for faster lookup of personalized files
+    const personalizedSet = new Set(personalizedFiles);
+    
+    // Read the directory through the storage driver (entries come back with their stats)
+    let items;
+    try {
+      items = await storage.list(req.user, safePath);
+    } catch (readError) {
+      log.warn('Failed to read directory', { path: safePath || '/', error: readError.message });
+      throw readError;
+    }
+    
+    // Handle empty directory
+    if (items.length === 0) {
+      res.json({ 
+        success: true, 
+        items: [], 
+        currentPath: safePath || '/',
+        timeframe: 'Directory listing (fast mode - empty)',
+        fastMode: true
+      });
+      return;
+    }
+    
+    const fileList = items.map((item) => {
+      const relativePath = item.path;
+      
+      if (item.unreadable) {
+        log.warn('Failed to stat directory entry', { path: relativePath });
+        // Return basic info even if stat fails
+        return {
+          name: item.name,
+          type: item.isDirectory ? 'directory' : 'file',
+          size: 0,
+          modified: new Date(),
+          relativePath: relativePath,
+          isRecentUpload: !item.isDirectory,
+          isPersonalized: false
+        };
+      }
+      
+      // OPTIMIZED: Faster personalization check using Set and simple path matching
+      const windowsPath = `X:/${relativePath.replace(/\//g, '\\')}`;
+      const isPersonalized = personalizedSet.has(windowsPath) || 
+                            personalizedSet.has(`X:\\${relativePath.replace(/\//g, '\\')}`) ||
+                            Array.from(personalizedSet).some(pFile => pFile.includes(item.name));
+      
+      return {
+        name: item.name,
+        type: item.isDirectory ? 'directory' : 'file',
+        size: item.size,
+        modified: item.modified,
+        relativePath: relativePath,
+        isRecentUpload: !item.isDirectory,
+        isPersonalized: isPersonalized
+      };
+    });
+    
+    // OPTIMIZED: Simple sort - directories first, then by name (skip expensive time-based sorting)
+    fileList.sort((a, b) => {
+      if (a.type === 'directory' && b.type !== 'directory') return -1;
+      if (a.type !== 'directory' && b.type === 'directory') return 1;
+      return a.name.localeCompare(b.name); // Simple alphabetical sort
+    });
+    
+    log.debug('Listed directory', { path: safePath || '/', items: fileList.length, personalizedFiles: personalizedFiles.length });
+    
+    res.json({ 
+      success: true, 
+      items: fileList, 
+      currentPath: safePath || '/',
+      timeframe: 'Directory listing (fast mode)',
+      fastMode: true
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Multer runs inside the handler, so the form fields are checked once it has parsed them
+const uploadSchema = {
+  summary: 'Copy files to the caller\'s storage, keeping their folder structure',
+  multipart: true,
+  body: {
+    type: 'object',
+    properties: {
+      folderPaths: { ...schemaTypes.stringOrList, description: 'Relative target path for each file, in upload order' }
+    }
+  }
+};
+
+// Upload endpoint - handles copying files from host to Jetson via NFS
+router.post('/upload', validate(uploadSchema), (req, res, next) => {
+  // Use multer to handle multiple files for host-to-Jetson copying
+  upload.array('files')(req, res, async (err) => {
+    if (err) {
+      log.warn('Upload rejected by multer', {
+        name: err.name,
+        message: err.message,
+        code: err.code,
+        field: err.field,
+        storageErrors: err.storageErrors
+      });
+      return next(err);
+    }
+
+    try {
+      log.info('Files received for Jetson copy', { files: req.files ? req.files.length : 0 });
+
+      const validationErrors = requestValidationErrors(uploadSchema, req, ['body']);
+      if (validationErrors.length > 0) {
+        await Promise.all((req.files || []).map(file => fs.rm(file.path, { force: true })));
+        return next(validationError(validationErrors));
+      }
+      
+      if (!req.files || req.files.length === 0) {
+        return next(new AppError('NO_FILES', 'No files provided for copying to Jetson. Use form field name "files"'));
+      }
+      recordUploadBytes('filesystem', req.files);
+
+      const results = [];
+      const folderPaths = req.body.folderPaths ? (Array.isArray(req.body.folderPaths) ? req.body.folderPaths : [req.body.folderPaths]) : [];
+      
+      for (let i = 0; i < req.files.length; i++) {
+        const file = req.files[i];
+        const folderPath = folderPaths[i] || file.originalname; // Use folder path if available, otherwise just filename
+        
+        log.debug('Processing file for Jetson copy', {
+          originalname: file.originalname,
+          folderPath: folderPath,
+          size: file.size,
+          uploadPath: file.path
+        });
+
+        try {
+          // Preserve folder structure under the caller's own root
+          const targetPath = normalizeStoragePath(folderPath);
+          if (!targetPath) {
+            throw new AppError('INVALID_PATH', `Invalid target path: ${folderPath}`);
+          }
+          if (!storage.isAvailable(req.user)) {
+            throw new AppError('STORAGE_NOT_MOUNTED', 'NFS not mounted for this user');
+          }
+          const jetsonPath = storage.describePath(req.user, targetPath);
+          
+          // Copy file to Jetson (parent directories are created by the driver)
+          await storage.importFile(req.user, file.path, targetPath);
+          log.debug('File copied to Jetson', { path: jetsonPath });
+
+          // Clean up the uploaded file from uploads folder
+          // await fs.unlink(file.path);
+
+          results.push({
+            success: true,
+            originalName: file.originalname,
+            folderPath: folderPath,
+            jetsonPath: jetsonPath, // Forward slashes for consistency
+            absolutePath: jetsonPath, // Forward slashes for LLM
+            size: file.size,
+            message: `File ${folderPath} successfully copied to Jetson filesystem`
+          });
+        } catch (fileError) {
+          log.error('Error copying file to Jetson', { file: file.originalname, error: fileError });
+          
+          // Clean up file even if copying failed
+          try {
+            await fs.unlink(file.path);
+          } catch (unlinkError) {
+            log.error('Failed to clean up temporary file', { file: file.path, error: unlinkError });
+          }
+
+          results.push({
+            success: false,
+            originalName: file.originalname,
+            ...toErrorSummary(fileError)
+          });
+        }
+      }
+
+      // Determine overall success
+      const successCount = results.filter(r => r.success).length;
+      const failureCount = results.length - successCount;
+
@@ -0,0 +1,198 @@
+import fetch from 'node-fetch';
+import config from './config.js';
+import { httpsAgent } from './httpsAgent.js';
+import { createLogger } from './logger.js';
+import { getRequestId } from './userContext.js';
+
+// Foreign server client settings
+// - FOREIGN_SERVER_URL: base URL for relative endpoints (IDENTITY_FOREIGN_URL is honoured for compatibility)
+// - FOREIGN_TIMEOUT_MS: default per-call timeout
+// - FOREIGN_RETRIES / FOREIGN_RETRY_BASE_MS: retries for idempotent calls and the backoff base
+// - FOREIGN_BREAKER_THRESHOLD / FOREIGN_BREAKER_RESET_MS: consecutive failures that open the
+//   circuit, and how long it stays open before a trial call is let through
+const FOREIGN_SERVER_URL = config.FOREIGN_SERVER_URL;
+const FOREIGN_TIMEOUT_MS = config.FOREIGN_TIMEOUT_MS;
+const FOREIGN_RETRIES = config.FOREIGN_RETRIES;
+const FOREIGN_RETRY_BASE_MS = config.FOREIGN_RETRY_BASE_MS;
+const FOREIGN_BREAKER_THRESHOLD = config.FOREIGN_BREAKER_THRESHOLD;
+const FOREIGN_BREAKER_RESET_MS = config.FOREIGN_BREAKER_RESET_MS;
+
+const log = createLogger('foreign-client');
+
+// Normalized failure of a foreign server call. `status` is the HTTP status routes should answer with.
+export class ForeignServerError extends Error {
+  constructor(message, code, { status = 502, upstreamStatus = null, retryAfterSec = null, cause = null } = {}) {
+    super(message);
+    this.name = 'ForeignServerError';
+    this.code = code;
+    this.status = status;
+    this.upstreamStatus = upstreamStatus;
+    this.retryAfterSec = retryAfterSec;
+    this.cause = cause;
+  }
+}
+
+const NETWORK_ERROR_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EHOSTUNREACH', 'ENETUNREACH', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN'];
+
+// Map a fetch failure to a ForeignServerError
+const normalizeFetchError = (error, url, timeoutMs) => {
+  if (error.name === 'AbortError') {
+    return new ForeignServerError(`Foreign server did not respond within ${timeoutMs}ms`, 'FOREIGN_TIMEOUT', { status: 504, cause: error });
+  }
+  const code = error.code || error.errno;
+  if (NETWORK_ERROR_CODES.includes(code) || error.type === 'system') {
+    return new ForeignServerError(`Foreign server is unreachable (${code || error.message})`, 'FOREIGN_UNAVAILABLE', { status: 503, cause: error });
+  }
+  return new ForeignServerError(`Request to ${url} failed: ${error.message}`, 'FOREIGN_REQUEST_FAILED', { status: 502, cause: error });
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Full jitter: a random delay up to base * 2^attempt
+const backoffDelay = (attempt) => Math.random() * FOREIGN_RETRY_BASE_MS * 2 ** attempt;
+
+// Parse a JSON body, keeping the raw text when it is not JSON
+const parseBody = (text) => {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return { error: 'Invalid JSON from foreign server', details: text };
+  }
+};
+
+export class ForeignServerClient {
+  // `agent` is used for https URLs; pass null to use Node's default CA store (e.g. for public IdPs)
+  constructor(baseUrl = FOREIGN_SERVER_URL, { agent = httpsAgent } = {}) {
+    this.baseUrl = baseUrl;
+    this.agent = agent;
+    this.breaker = { state: 'closed', failures: 0, openedAt: null, trialInFlight: false };
+  }
+
+  // Breaker bookkeeping - only transport failures and 5xx responses count
+  beforeCall() {
+    const breaker = this.breaker;
+    if (breaker.state === 'open') {
+      const waited = Date.now() - breaker.openedAt;
+      if (waited < FOREIGN_BREAKER_RESET_MS) {
+        throw new ForeignServerError('Foreign server is unavailable (circuit open)', 'FOREIGN_CIRCUIT_OPEN', {
+          status: 503,
+          retryAfterSec: Math.ceil((FOREIGN_BREAKER_RESET_MS - waited) / 1000)
+        });
+      }
+      breaker.state = 'half-open';
+    }
+    if (breaker.state === 'half-open') {
+      if (breaker.trialInFlight) {
+        throw new ForeignServerError('Foreign server is recovering (circuit half-open)', 'FOREIGN_CIRCUIT_OPEN', { status: 503, retryAfterSec: 1 });
+      }
+      breaker.trialInFlight = true;
+    }
+  }
+
+  recordSuccess() {
+    if (this.breaker.state !== 'closed') {
+      log.info('Foreign server circuit closed', { baseUrl: this.baseUrl });
+    }
+    this.breaker = { state: 'closed', failures: 0, openedAt: null, trialInFlight: false };
+  }
+
+  recordFailure() {
+    const breaker = this.breaker;
+    breaker.failures++;
+    breaker.trialInFlight = false;
+    if (breaker.state === 'half-open' || breaker.failures >= FOREIGN_BREAKER_THRESHOLD) {
+      if (breaker.state !== 'open') {
+        log.warn('Foreign server circuit opened', { baseUrl: this.baseUrl, failures: breaker.failures });
+      }
+      breaker.state = 'open';
+      breaker.openedAt = Date.now();
+    }
+  }
+
+  getState() {
+    return { baseUrl: this.baseUrl, state: this.breaker.state, failures: this.breaker.failures };
+  }
+
+  // One attempt with a timeout. Resolves { status, ok, text } or throws ForeignServerError.
+  async attempt(url, options, timeoutMs) {
+    this.beforeCall();
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+    try {
+      const agent = this.agent && url.startsWith('https:') ? this.agent : undefined;
+      const response = await fetch(url, { ...options, signal: controller.signal, agent });
+      const text = await response.text();
+      if (response.status >= 500) {
+        this.recordFailure();
+        throw new ForeignServerError(`Foreign server error (${response.status})`, 'FOREIGN_SERVER_ERROR', {
+          status: 502,
+          upstreamStatus: response.status,
+          cause: Object.assign(new Error(text), { body: parseBody(text) })
+        });
+      }
+      this.recordSuccess();
+      return { status: response.status, ok: response.ok, text };
+    } catch (error) {
+      if (error instanceof ForeignServerError) {
+        throw error;
+      }
+      this.recordFailure();
+      throw normalizeFetchError(error, url, timeoutMs);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Call the foreign server. 4xx responses are returned; timeouts, network
+   * errors, 5xx responses and an open circuit throw ForeignServerError.
+   * Only calls marked idempotent are retried.
+   * `form` sends an application/x-www-form-urlencoded body instead of JSON.
+   * Resolves { status, ok, body, text } with body parsed as JSON when possible.
+   */
+  async request(method, endpoint, { body, form, token, headers = {}, timeoutMs = FOREIGN_TIMEOUT_MS, idempotent = false, retries = FOREIGN_RETRIES } = {}) {
+    const url = /^https?:\/\//.test(endpoint) ? endpoint : `${this.baseUrl}${endpoint}`;
+    const options = {
+      method,
+      headers: {
+        'Content-Type': form ? 'application/x-www-form-urlencoded' : 'application/json',
+        ...(token && { Authorization: token.startsWith('Bearer ') ? token : `Bearer ${token}` }),
+        // Lets the foreign server's logs be matched to the request or socket event that caused the call
+        ...(getRequestId() && { 'X-Request-ID': getRequestId() }),
+        ...headers
+      },
+      ...(form && { body: new URLSearchParams(form).toString() }),
+      ...(!form && body !== undefined && { body: JSON.stringify(body) })
+    };
+    const maxAttempts = idempotent ? retries + 1 : 1;
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const response = await this.attempt(url, options, timeoutMs);
+        return { ...response, body: parseBody(response.text) };
+      } catch (error) {
+        const retryable = error.code !== 'FOREIGN_CIRCUIT_OPEN' && attempt + 1 < maxAttempts;
+        if (!retryable) {
+          throw error;
+        }
+        const delay = backoffDelay(attempt);
+        log.warn('Foreign server call failed, retrying', { method, url, code: error.code, attempt: attempt + 1, delayMs: Math.round(delay) });
+        await sleep(delay);
+      }
+    }
+  }
+
+  get(endpoint, options = {}) {
+    return this.request('GET', endpoint, { idempotent: true, ...options });
+  }
+
+  post(endpoint, body, options = {}) {
+    return this.request('POST', endpoint, { ...options, body });
+  }
+}
+
+// Shared client - one circuit breaker for the foreign server across auth and chat
+const foreignClient = new ForeignServerClient();
+
+export default foreignClient;
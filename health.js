@@ -0,0 +1,167 @@
+import express from 'express';
+import fs from 'fs/promises';
+import path from 'path';
+import process from 'process';
+import config from './config.js';
+import rabbitmqSupervisor from './rabbitmqSupervisor.js';
+import storage from './storageDriver.js';
+import mountRegistry from './mountRegistry.js';
+import foreignClient, { ForeignServerClient } from './foreignClient.js';
+import { UPLOAD_TEMP_DIR } from './filesystemUtils.js';
+import { checkCluster } from './cluster.js';
+import { createLogger } from './logger.js';
+
+// Health check settings
+// - HEALTH_PROBE_TIMEOUT_MS: how long each dependency probe may take before it counts as down
+// - FOREIGN_HEALTH_PATH: foreign server path probed by /readyz (any non-5xx answer means reachable)
+const HEALTH_PROBE_TIMEOUT_MS = config.HEALTH_PROBE_TIMEOUT_MS;
+const FOREIGN_HEALTH_PATH = config.FOREIGN_HEALTH_PATH;
+
+const log = createLogger('health');
+
+// Own client so probes neither retry nor count towards the shared circuit breaker
+const probeClient = new ForeignServerClient();
+
+class ProbeTimeoutError extends Error {
+  constructor(ms) {
+    super(`Probe timed out after ${ms}ms`);
+    this.name = 'ProbeTimeoutError';
+  }
+}
+
+const withTimeout = (promise, ms) => {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new ProbeTimeoutError(ms)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// Run one probe and time it. Probes resolve { status, details } or throw (status 'down').
+const runProbe = async (probe) => {
+  const startedAt = Date.now();
+  try {
+    const { status, details } = await withTimeout(probe(), HEALTH_PROBE_TIMEOUT_MS);
+    return { status, latency_ms: Date.now() - startedAt, ...(details && { details }) };
+  } catch (error) {
+    return { status: 'down', latency_ms: Date.now() - startedAt, error: error.message };
+  }
+};
+
+// Write, read back and remove a small file in a directory
+const probeDirectory = async (dir) => {
+  const probePath = path.join(dir, `.aipb-health-${process.pid}-${Date.now()}`);
+  try {
+    await fs.writeFile(probePath, 'ok');
+    if ((await fs.readFile(probePath, 'utf8')) !== 'ok') {
+      throw new Error(`Read back unexpected content from ${dir}`);
+    }
+  } finally {
+    await fs.rm(probePath, { force: true });
+  }
+};
+
+// Connection state is tracked by the supervisor, which checks and reconnects on its own
+const checkRabbitMQ = async () => {
+  const status = rabbitmqSupervisor.getStatus();
+  if (status.state !== 'connected') {
+    throw new Error(`RabbitMQ is ${status.state}${status.last_error ? ` (${status.last_error})` : ''}`);
+  }
+  return { status: 'up', details: { since: status.since, consumers: status.consumers } };
+};
+
+// The upload staging directory must be writable. User mounts are probed through their mount
+// points directly - going through the driver would count as use and postpone idle unmounts.
+const checkStorage = async () => {
+  await fs.mkdir(UPLOAD_TEMP_DIR, { recursive: true });
+  await probeDirectory(UPLOAD_TEMP_DIR);
+
+  let mountPoints = [];
+  if (storage.name === 'nfs') {
+    mountPoints = mountRegistry.list().map(mount => mount.nfsMountPoint).filter(Boolean);
+  } else if (storage.name === 'local') {
+    await fs.mkdir(config.STORAGE_LOCAL_ROOT, { recursive: true });
+    mountPoints = [config.STORAGE_LOCAL_ROOT];
+  }
+
+  const results = await Promise.allSettled(mountPoints.map(probeDirectory));
+  const failed = results.filter(result => result.status === 'rejected');
+  return {
+    // A broken user mount affects that user; only an unwritable staging directory takes us out
+    status: failed.length > 0 ? 'degraded' : 'up',
+    details: {
+      driver: storage.name,
+      mounts: mountPoints.length,
+      failed_mounts: failed.length,
+      ...(failed.length > 0 && { error: failed[0].reason.message })
+    }
+  };
+};
+
+const checkForeignServer = async () => {
+  const response = await probeClient.get(FOREIGN_HEALTH_PATH, { retries: 0, timeoutMs: HEALTH_PROBE_TIMEOUT_MS });
+  const circuit = foreignClient.getState().state;
+  return {
+    // Reachable again but the shared breaker has not let traffic through yet
+    status: circuit === 'closed' ? 'up' : 'degraded',
+    details: { upstream_status: response.status, circuit }
+  };
+};
+
+const checkSocketIO = (io, server) => async () => {
+  if (!server.listening) {
+    throw new Error('HTTP server is not listening');
+  }
+  return { status: 'up', details: { connected_clients: io.engine.clientsCount } };
+};
+
+/**
+ * Liveness and readiness endpoints for load balancers and orchestrators.
+ * - GET /healthz: the process is up and serving requests
+ * - GET /readyz: every dependency answers; each check reports its state and latency
+ * Both answer 503 once isShuttingDown() is true, so traffic drains before the process exits.
+ */
+export const createHealthRouter = ({ io, server, isShuttingDown }) => {
+  const router = express.Router();
+
+  const checks = {
+    rabbitmq: checkRabbitMQ,
+    storage: checkStorage,
+    foreign_server: checkForeignServer,
+    socketio: checkSocketIO(io, server),
+    cluster: checkCluster
+  };
+
+  router.get('/healthz', (req, res) => {
+    const shuttingDown = isShuttingDown();
+    res.status(shuttingDown ? 503 : 200).json({
+      status: shuttingDown ? 'shutting_down' : 'ok',
+      uptime_sec: Math.round(process.uptime()),
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  router.get('/readyz', async (req, res) => {
+    if (isShuttingDown()) {
+      return res.status(503).json({ status: 'shutting_down', timestamp: new Date().toISOString() });
+    }
+
+    const names = Object.keys(checks);
+    const results = await Promise.all(names.map(name => runProbe(checks[name])));
+    const report = Object.fromEntries(names.map((name, i) => [name, results[i]]));
+    const ready = results.every(result => result.status !== 'down');
+
+    if (!ready) {
+      const down = names.filter(name => report[name].status === 'down');
+      log.warn('Not ready', { down });
+    }
+
+    res.status(ready ? 200 : 503).json({
+      status: ready ? 'ready' : 'not_ready',
+      checks: report,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  return router;
+};
@@ -0,0 +1,31 @@
+import https from 'https';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import path from 'path';
+import { createLogger } from './logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const log = createLogger('https-agent');
+
+// Load CA certificate for HTTPS requests to the foreign server
+let httpsAgent;
+try {
+  // Use absolute path to ensure CA cert is found regardless of working directory
+  const caCertPath = path.join(__dirname, 'ca-certificate.pem');
+  const caCert = fs.readFileSync(caCertPath);
+  log.info('CA certificate loaded', { path: caCertPath });
+  httpsAgent = new https.Agent({
+    ca: caCert,
+    rejectUnauthorized: true // Keep true for security
+  });
+} catch (error) {
+  log.warn('CA certificate not found, using fallback SSL configuration', { error: error.message });
+  // Fallback: disable SSL verification (NOT recommended for production)
+  httpsAgent = new https.Agent({
+    rejectUnauthorized: false
+  });
+}
+
+export { httpsAgent };
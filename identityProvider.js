@@ -0,0 +1,307 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { promisify } from 'util';
+import config from './config.js';
+import foreignClient, { ForeignServerError } from './foreignClient.js';
+import { signAccessToken, verifyAccessToken } from './authMiddleware.js';
+import { AppError } from './errors.js';
+import { isValidStorageUsername } from './mountRegistry.js';
+import { createLogger } from './logger.js';
+
+const scryptAsync = promisify(crypto.scrypt);
+
+// Identity provider settings
+// - IDENTITY_PROVIDER: 'foreign' (the existing auth server, default) or 'local'
+// - IDENTITY_LOCAL_USERS_PATH: JSON file holding the local provider's users
+// - IDENTITY_LOCAL_TOKEN_TTL: lifetime of tokens issued by the local provider
+const IDENTITY_PROVIDER = config.IDENTITY_PROVIDER;
+const IDENTITY_LOCAL_USERS_PATH = config.IDENTITY_LOCAL_USERS_PATH;
+const IDENTITY_LOCAL_TOKEN_TTL = config.IDENTITY_LOCAL_TOKEN_TTL;
+
+const log = createLogger('identity');
+
+// Identity provider interface. Every method resolves to a normalized result:
+//   { status, success, body, user: { id, username, roles } | null, token, sessionId, personalizedFiles }
+// `body` keeps the response shape the frontend already understands.
+export class IdentityProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  async register(details) { throw new Error(`${this.name}: register not implemented`); }
+  async login(credentials) { throw new Error(`${this.name}: login not implemented`); }
+  async logout(user) { throw new Error(`${this.name}: logout not implemented`); }
+  // Change a signed-in user's password after checking the current one
+  async changePassword(user, currentPassword, newPassword) { throw new Error(`${this.name}: changePassword not implemented`); }
+  // Set a new password once the backend has verified a reset token
+  async resetPassword(username, newPassword) { throw new Error(`${this.name}: resetPassword not implemented`); }
+  // Whether an account exists - reset tokens are only issued for accounts that do
+  async userExists(username) { throw new Error(`${this.name}: userExists not implemented`); }
+}
+
+// The existing foreign auth server. Calls go through the shared foreign client, so
+// timeouts, outages and an open circuit surface as ForeignServerError.
+export class ForeignIdentityProvider extends IdentityProvider {
+  constructor(client = foreignClient) {
+    super('foreign');
+    this.client = client;
+  }
+
+  async post(endpoint, body, options = {}) {
+    const { status, body: responseBody } = await this.client.post(endpoint, body, options);
+    log.debug('Foreign identity server responded', { endpoint, status });
+    return { status, body: responseBody };
+  }
+
+  async register(details) {
+    // Not retried - a repeated signup could create the account twice
+    const { status, body } = await this.post('/signup', details);
+    return {
+      status,
+      success: status === 200 || status === 201,
+      body,
+      user: body.user_id ? { id: String(body.user_id), username: details.user_name } : null
+    };
+  }
+
+  async login(credentials) {
+    // Retried on outages - a repeated login only issues another token
+    const { status, body } = await this.post('/login', credentials, { idempotent: true });
+    const success = status === 200 && body.message === 'Login successful';
+    // Roles are taken only from a token that verifies - the connection to the server may not
+    // check certificates (httpsAgent.js falls back without a CA), so the response alone is not trusted
+    let claims = {};
+    if (success) {
+      try {
+        ({ claims } = verifyAccessToken(body.token));
+      } catch (error) {
+        log.error('Foreign login returned a token that does not verify', { username: credentials.user_name, type: error.type, error: error.message });
+        throw new AppError('UPSTREAM_ERROR', 'The identity server returned an invalid token', { reason: error.type, cause: error });
+      }
+    }
+    return {
+      status,
+      success,
+      body,
+      user: success ? { id: body.user_id, username: credentials.user_name, roles: claims.roles || claims.role } : null,
+      token: body.token || null,
+      sessionId: body.session_id || 0,
+      personalizedFiles: Array.isArray(body.personalized_files) ? body.personalized_files : []
+    };
+  }
+
+  async logout(user) {
+    const { status, body } = await this.post('/logout', { user_id: user.id }, { token: user.token, idempotent: true });
+    return { status, success: status >= 200 && status < 300, body, user };
+  }
+
+  async changePassword(user, currentPassword, newPassword) {
+    const { status, body } = await this.post('/password/change', {
+      user_name: user.username,
+      current_password: currentPassword,
+      new_password: newPassword
+    }, { token: user.token });
+    return { status, success: status >= 200 && status < 300, body, user };
+  }
+
+  async resetPassword(username, newPassword) {
+    const { status, body } = await this.post('/password/reset', { user_name: username, new_password: newPassword });
+    return { status, success: status >= 200 && status < 300, body, user: null };
+  }
+
+  async userExists(username) {
+    const { status, body } = await this.post('/user/exists', { user_name: username }, { idempotent: true });
+    if (status === 404) {
+      return false;
+    }
+    if (status < 200 || status >= 300) {
+      throw new ForeignServerError(`Foreign server answered ${status} to a user lookup`, 'FOREIGN_REQUEST_FAILED', { upstreamStatus: status });
+    }
+    return body.exists === true;
+  }
+}
+
+// Passwords are stored as scrypt$<salt>$<hash> (hex)
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16);
+  const hash = await scryptAsync(password, salt, 64);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+};
+
+const verifyPassword = async (password, stored) => {
+  const [scheme, saltHex, hashHex] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !saltHex || !hashHex) {
+    return false;
+  }
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = await scryptAsync(password, Buffer.from(saltHex, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+};
+
+// Checked against when the user does not exist, so an unknown username costs the same scrypt
+// run as a wrong password and response times do not reveal which usernames are registered
+let dummyPasswordHash = null;
+const getDummyPasswordHash = () => {
+  dummyPasswordHash = dummyPasswordHash || hashPassword(crypto.randomUUID());
+  return dummyPasswordHash;
+};
+
+// File-backed provider for offline development and integration tests.
+// Users live in a JSON file and logins are answered with locally signed JWTs.
+export class LocalIdentityProvider extends IdentityProvider {
+  constructor(usersPath = IDENTITY_LOCAL_USERS_PATH) {
+    super('local');
+    this.usersPath = usersPath;
+    this.writeQueue = Promise.resolve();
+  }
+
+  async loadUsers() {
+    try {
+      return JSON.parse(await fs.readFile(this.usersPath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { users: {} };
+      }
+      throw error;
+    }
+  }
+
+  // Serialize read-modify-write cycles on the users file
+  updateUsers(mutate) {
+    const run = this.writeQueue.then(async () => {
+      const data = await this.loadUsers();
+      const result = await mutate(data);
+      await fs.mkdir(path.dirname(this.usersPath), { recursive: true });
+      const tempPath = `${this.usersPath}.tmp`;
+      await fs.writeFile(tempPath, JSON.stringify(data, null, 2));
+      await fs.rename(tempPath, this.usersPath);
+      return result;
+    });
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  async register(details) {
+    const { user_name, password } = details;
+    if (!user_name || !password) {
+      return { status: 400, success: false, body: { error: 'Username and password are required' }, user: null };
+    }
+    // The username names the user's storage directory or mount point
+    if (!isValidStorageUsername(user_name)) {
+      return { status: 400, success: false, body: { error: 'Username may only contain letters, digits, ".", "_", "@" and "-"' }, user: null };
+    }
+
+    const passwordHash = await hashPassword(password);
+    return this.updateUsers((data) => {
+      if (data.users[user_name]) {
+        return { status: 409, success: false, body: { error: 'User already exists' }, user: null };
+      }
+
+      const user = {
+        id: crypto.randomUUID(),
+        username: user_name,
+        passwordHash,
+        personalizedFiles: [],
+        lastSessionId: 0,
+        createdAt: new Date().toISOString()
+      };
+      data.users[user_name] = user;
+      log.info('Registered local user', { username: user_name });
+
+      return {
+        status: 201,
+        success: true,
+        body: { message: 'User registered successfully', user_id: user.id, user_name },
+        user: { id: user.id, username: user_name }
+      };
+    });
+  }
+
+  async login(credentials) {
+    const { user_name, password } = credentials;
+    const { users } = await this.loadUsers();
+    const record = Object.hasOwn(users, user_name) ? users[user_name] : null;
+    const passwordMatches = await verifyPassword(password, record ? record.passwordHash : await getDummyPasswordHash());
+
+    if (!record || !passwordMatches) {
+      return { status: 401, success: false, body: { error: 'Invalid username or password' }, user: null };
+    }
+
+    const user = { id: record.id, username: record.username, roles: record.role };
+    const token = signAccessToken(user, IDENTITY_LOCAL_TOKEN_TTL);
+    const personalizedFiles = record.personalizedFiles || [];
+    const sessionId = record.lastSessionId || 0;
+
+    return {
+      status: 200,
+      success: true,
+      body: {
+        message: 'Login successful',
+        token,
+        user_id: user.id,
+        user_name: user.username,
+        session_id: sessionId,
+        personalized_files: personalizedFiles
+      },
+      user,
+      token,
+      sessionId,
+      personalizedFiles
+    };
+  }
+
+  async logout(user) {
+    // Local tokens are stateless; revocation is handled by the auth middleware
+    return { status: 200, success: true, body: { message: 'Logout successful' }, user };
+  }
+
+  async changePassword(user, currentPassword, newPassword) {
+    const { users } = await this.loadUsers();
+    const record = users[user.username];
+    if (!record || !(await verifyPassword(currentPassword, record.passwordHash))) {
+      return { status: 401, success: false, body: { error: 'Current password is incorrect' }, user };
+    }
+    return this.resetPassword(user.username, newPassword);
+  }
+
+  async resetPassword(username, newPassword) {
+    const passwordHash = await hashPassword(newPassword);
+    return this.updateUsers((data) => {
+      const record = data.users[username];
+      if (!record) {
+        return { status: 404, success: false, body: { error: 'User not found' }, user: null };
+      }
+      record.passwordHash = passwordHash;
+      record.passwordChangedAt = new Date().toISOString();
+      return {
+        status: 200,
+        success: true,
+        body: { message: 'Password updated successfully' },
+        user: { id: record.id, username }
+      };
+    });
+  }
+
+  async userExists(username) {
+    const { users } = await this.loadUsers();
+    return Object.hasOwn(users, username);
+  }
+}
+
+export const createIdentityProvider = (name = IDENTITY_PROVIDER) => {
+  switch (name) {
+    case 'foreign':
+      return new ForeignIdentityProvider();
+    case 'local':
+      return new LocalIdentityProvider();
+    default:
+      throw new Error(`Unknown identity provider: ${name}`);
+  }
+};
+
+// Provider selected by configuration, used by the auth routes
+const identityProvider = createIdentityProvider();
+log.info('Identity provider selected', { provider: identityProvider.name });
+
+export default identityProvider;
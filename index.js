@@ -1,214 +1,388 @@
-import dotenv from 'dotenv';
-import express from 'express';
-import cors from 'cors';
-import bodyParser from 'body-parser';
-import { createServer } from 'http';
-import { Server as SocketIOServer } from 'socket.io';
-import process from 'process';
-import filesystemRouter from './filesystem.js'
-import auth from './auth.js'
-import nfsManager from './nfsManager.js';
-import sendRouter from './send.js';
-import chatRouter from './chat.js';
-import systemRouter from './system.js';
-import mydriveRouter from './mydrive.js';
-import rabbitmq from './rabbitmq.js';
-import { initializeSocketChat } from './socketChat.js';
-
-// Load environment variables from .env file
-dotenv.config();
-
-const app = express();
-const PORT = process.env.PORT || 3000;
-
-// Create HTTP server and Socket.IO server
-const server = createServer(app);
-const io = new SocketIOServer(server, {
-  cors: {
-    origin: ["http://localhost:5173", "http://localhost:5174", "http://10.66.10.103:5173"],
-    methods: ["GET", "POST"]
-  }
-});
-
-// Global state
-let isShuttingDown = false;
-let httpServer = null;
-
-// Socket.IO connection handling
-io.on('connection', (socket) => {
-  console.log('🔌 Client connected:', socket.id);
-  
-  socket.on('join-chat-room', (data) => {
-    const { roomId, userId, sessionId } = data;
-    socket.join(roomId);
-    console.log(`👥 Socket ${socket.id} joined chat room: ${roomId} for user: ${userId}, session: ${sessionId}`);
-    
-    // Acknowledge room join
-    socket.emit('room-joined', { roomId, status: 'success' });
-  });
-  
-  socket.on('leave-chat-room', (data) => {
-    const { roomId } = data;
-    socket.leave(roomId);
-    console.log(`👋 Socket ${socket.id} left chat room: ${roomId}`);
-  });
-  
-  socket.on('disconnect', () => {
-    console.log('🔌 Client disconnected:', socket.id);
-  });
-});
-
-// Export io instance for use in other modules
-export { io };
-
-// Initialize RabbitMQ connection
-async function initializeRabbitMQ() {
-  try {
-    await rabbitmq.connect();
-    console.log('✅ RabbitMQ connected successfully');
-  } catch (error) {
-    console.error('❌ RabbitMQ connection failed:', error);
-    // Don't exit - allow app to run without RabbitMQ for now
-  }
-}
-
-app.use(cors({
-  origin: ["http://localhost:5173", "http://localhost:5174", "http:// 10.66.10.103:5173"],
-  credentials: true,
-  methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"]
-}));
-app.use(bodyParser.json({ limit: '10mb' }));
-app.use(bodyParser.urlencoded({ extended: true, limit: '10mb' }));
-
-// Welcome message
-app.get('/api', (req, res) => {
-  res.json({ message: 'Welcome to the AIPB API!' });
-});
-
-// NFS Status endpoint
-app.get('/api/nfs-status', (req, res) => {
-  const status = nfsManager.getStatus();
-  res.json({
-    status: 'success',
-    data: status,
-    timestamp: new Date().toISOString()
-  });
-});
-
-// ======= AUTH API ENDPOINTS =======
-app.use('/api', auth);
-
-// ======= FILE SYSTEM API ENDPOINTS =======
-app.use('/api/filesystem', filesystemRouter);
-app.use('/api/fs', filesystemRouter); // Additional alias for filesystem
-app.use('/api/files', filesystemRouter); // Additional alias for files (for temp uploads)
-app.use('/api', sendRouter);
-
-// ======= CHAT API ENDPOINTS =======
-app.use('/api/chat', chatRouter);
-
-// ======= MYDRIVE API ENDPOINTS =======
-app.use('/api/mydrive', mydriveRouter);
-
-// ======= SYSTEM API ENDPOINTS =======
-app.use('/api/system', systemRouter);
-
-// Graceful shutdown handler
-async function gracefulShutdown(signal) {
-  if (isShuttingDown) {
-    console.log('⚠️  Shutdown already in progress...');
-    return;
-  }
-  
-  isShuttingDown = true;
-  console.log(`\n📡 Received ${signal}. Starting graceful shutdown...`);
-  
-  try {
-    // Close HTTP server first
-    if (httpServer) {
-      console.log('🔄 Closing HTTP server...');
-      httpServer.close(() => {
-        console.log('✅ HTTP server closed');
-      });
-    }
-    
-    // Close RabbitMQ connection
-    if (rabbitmq) {
-      console.log('🔄 Closing RabbitMQ connection...');
-      await rabbitmq.close();
-      console.log('✅ RabbitMQ connection closed');
-    }
-    
-    // Shutdown NFS manager (unmount and stop file operations)
-    await nfsManager.gracefulShutdown();
-    
-    console.log('✅ Graceful shutdown complete');
-    process.exit(0);
-  } catch (error) {
-    console.error('❌ Error during shutdown:', error);
-    process.exit(1);
-  }
-}
-
-// Register shutdown handlers
-process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
-process.on('SIGINT', () => gracefulShutdown('SIGINT'));
-process.on('SIGHUP', () => gracefulShutdown('SIGHUP'));
-
-// Handle Windows specific signals
-if (process.platform === 'win32') {
-  process.on('message', (msg) => {
-    if (msg === 'shutdown') {
-      gracefulShutdown('Windows shutdown');
-    }
-  });
-}
-
-// Start HTTP server immediately (non-blocking)
-async function startHTTPServer() {
-  console.log('🚀 Starting HTTP server...');
-  
-  httpServer = server.listen(PORT, '0.0.0.0', () => {
-    console.log(`✅ HTTP Server running on http://0.0.0.0:${PORT}`);
-    console.log(`📡 Server accessible at http://10.66.10.103:${PORT}`);
-    console.log('🔌 Socket.IO server initialized');
-    console.log('📡 All HTTP endpoints are now available');
-    
-    // Initialize Socket.IO chat handlers
-    initializeSocketChat(io);
-    console.log('💬 Socket.IO chat handlers initialized');
-  });
-  
-  httpServer.on('error', (error) => {
-    console.error('❌ HTTP Server error:', error);
-  });
-}
-
-// Start server immediately without NFS dependency
-async function startServer() {
-  console.log('🚀 Starting AIPB Backend Server...');
-  
-  try {
-    // Initialize RabbitMQ connection
-    await initializeRabbitMQ();
-    
-    // Start HTTP server immediately (NFS will be mounted on login)
-    console.log('🔄 Starting HTTP server...');
-    await startHTTPServer();
-    
-    console.log('🎉 Server startup complete - HTTP services ready!');
-    console.log('📡 NFS will be mounted when user logs in');
-  } catch (error) {
-    console.error('❌ Server startup failed:', error.message);
-    console.error('💡 Please ensure:');
-    console.error('   1. RabbitMQ server is running (optional for basic operation)');
-    process.exit(1);
-  }
-}
-
-// Start the server
-startServer().catch(error => {
-  console.error('❌ Failed to start server:', error);
-  process.exit(1);
-});
-
+// Imported first so console output from every module goes through the structured logger
+import { createLogger, requestLogger, socketRequestContext } from './logger.js';
+import express from 'express';
+import cors from 'cors';
+import bodyParser from 'body-parser';
+import { createServer } from 'http';
+import { Server as SocketIOServer } from 'socket.io';
+import process from 'process';
+import config, { getRedactedConfig } from './config.js';
+import filesystemRouter from './filesystem.js'
+import auth from './auth.js'
+import { authenticate, requireRole, requireScope, requireDriveScope } from './authMiddleware.js';
+import mountRegistry from './mountRegistry.js';
+import { getFilesystemStatus } from './filesystemUtils.js';
+import sendRouter from './send.js';
+import chatRouter from './chat.js';
+import systemRouter from './system.js';
+import mydriveRouter from './mydrive.js';
+import tokensRouter from './tokens.js';
+import sessionsRouter from './sessions.js';
+import auditRouter from './audit.js';
+import passwordRouter from './password.js';
+import rabbitmqSupervisor from './rabbitmqSupervisor.js';
+import { initializeSocketChat, stopAcceptingChatMessages, countActiveChatStreams, cancelAllChatStreams } from './socketChat.js';
+import { authenticateSocket, registerRoomHandlers, registerTokenRenewal } from './socketAuth.js';
+import { trackSocket } from './sessionRegistry.js';
+import { createHealthRouter } from './health.js';
+import { Gauge, httpMetrics, metricsHandler } from './metrics.js';
+import { validate, buildOpenApiDocument } from './openapi.js';
+import { AppError, apiNotFound, errorHandler } from './errors.js';
+import { attachSocketAdapter, closeCluster } from './cluster.js';
+
+const app = express();
+const PORT = config.PORT;
+// How long shutdown waits for in-flight requests and chat streams before cutting them off
+const SHUTDOWN_DRAIN_TIMEOUT_MS = config.SHUTDOWN_DRAIN_TIMEOUT_MS;
+
+const log = createLogger('server');
+
+// Create HTTP server and Socket.IO server
+const server = createServer(app);
+const io = new SocketIOServer(server, {
+  cors: {
+    origin: config.CORS_ORIGINS,
+    methods: ["GET", "POST"]
+  }
+});
+
+// Global state
+let isShuttingDown = false;
+let httpServer = null;
+let inFlightRequests = 0;
+
+// No new socket connections once shutdown has started
+io.use((socket, next) => {
+  next(isShuttingDown ? new Error('Server is shutting down') : undefined);
+});
+
+// Only sockets with a valid token in the handshake auth payload may connect
+io.use(authenticateSocket);
+
+// Socket.IO connection handling
+io.on('connection', (socket) => {
+  log.info('Socket client connected', { socketId: socket.id, username: socket.data.user.username });
+  
+  // Every event handler runs under its own correlation id
+  socket.use(socketRequestContext);
+
+  // Room joins are bound to the verified user
+  registerRoomHandlers(socket);
+  registerTokenRenewal(socket);
+  trackSocket(socket);
+  
+  // Current RabbitMQ state; changes follow as 'rabbitmq-status' events
+  socket.emit('rabbitmq-status', rabbitmqSupervisor.getStatus());
+  
+  socket.on('disconnect', () => {
+    log.info('Socket client disconnected', { socketId: socket.id });
+  });
+});
+
+new Gauge({
+  name: 'aipb_socketio_connected_clients',
+  help: 'Connected Socket.IO clients',
+  collect: () => io.engine.clientsCount
+});
+
+// Export io instance for use in other modules
+export { io };
+
+// Initialize RabbitMQ connection. If the broker is down, the supervisor keeps reconnecting
+// in the background - the app runs without chat streaming until it is back.
+async function initializeRabbitMQ() {
+  const connected = await rabbitmqSupervisor.start();
+  if (!connected) {
+    log.warn('RabbitMQ unavailable - chat streaming resumes once it reconnects');
+  }
+}
+
+// Each node tells its own clients about its RabbitMQ connection (chat is unavailable while it is down)
+rabbitmqSupervisor.onStateChange((status) => {
+  io.local.emit('rabbitmq-status', status);
+});
+
+// Correlation id and access log for every request
+app.use(requestLogger);
+
+// Request counts and latency per route for /metrics
+app.use(httpMetrics);
+
+// Count in-flight requests (uploads included) so shutdown can wait for them. Runs before the body
+// parsers so a request still sending its body counts. While draining, new requests are refused -
+// except health probes, which report the shutdown themselves.
+app.use((req, res, next) => {
+  if (isShuttingDown && req.path !== '/healthz' && req.path !== '/readyz') {
+    res.set('Connection', 'close');
+    return next(new AppError('SHUTTING_DOWN', undefined, { retryAfterSec: 5 }));
+  }
+  inFlightRequests++;
+  res.on('close', () => {
+    inFlightRequests--;
+  });
+  next();
+});
+
+app.use(cors({
+  origin: config.CORS_ORIGINS,
+  credentials: true,
+  methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"]
+}));
+app.use(bodyParser.json({ limit: config.REQUEST_BODY_LIMIT }));
+app.use(bodyParser.urlencoded({ extended: true, limit: config.REQUEST_BODY_LIMIT }));
+
+// Welcome message
+app.get('/api', (req, res) => {
+  res.json({ message: 'Welcome to the AIPB API!' });
+});
+
+// Liveness and readiness probes (unauthenticated, for load balancers)
+app.use(createHealthRouter({ io, server, isShuttingDown: () => isShuttingDown }));
+
+// Prometheus metrics (protected by METRICS_TOKEN when set)
+app.get('/metrics', metricsHandler);
+
+// ======= NFS STATUS ENDPOINTS =======
+const nfsStatusRouter = express.Router();
+
+// The caller's own mount (mount details for admins only)
+nfsStatusRouter.get('/', authenticate, validate({ summary: 'The caller\'s storage mount status' }), (req, res) => {
+  const status = getFilesystemStatus(req.user);
+  res.json({
+    status: 'success',
+    data: status,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// All active user mounts (admin only)
+nfsStatusRouter.get('/mounts', authenticate, requireRole('admin'), validate({ summary: 'All active user mounts (admin)' }), (req, res) => {
+  const mounts = mountRegistry.list();
+  res.json({
+    status: 'success',
+    data: mounts,
+    count: mounts.length,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// ======= ADMIN ENDPOINTS =======
+const adminRouter = express.Router();
+
+// Effective configuration with secrets redacted
+adminRouter.get('/config', validate({ summary: 'Effective configuration, secrets redacted (admin)' }), (req, res) => {
+  res.json({
+    success: true,
+    environment: config.NODE_ENV,
+    settings: getRedactedConfig(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// ======= API ROUTES =======
+// Mounted in this order under /api/v1 and, for existing clients, under the legacy /api prefix
+const API_ROUTES = [
+  { prefix: '/nfs-status', router: nfsStatusRouter, tag: 'storage' },
+  { prefix: '/admin', middleware: [authenticate, requireRole('admin')], router: adminRouter, tag: 'admin' },
+  { prefix: '', router: auth, tag: 'auth' },
+  { prefix: '/password', router: passwordRouter, tag: 'password' },
+  { prefix: '/filesystem', middleware: [authenticate, requireDriveScope], router: filesystemRouter, tag: 'filesystem' },
+  { prefix: '', router: sendRouter, tag: 'send' },
+  { prefix: '/chat', middleware: [authenticate, requireScope('chat')], router: chatRouter, tag: 'chat' },
+  { prefix: '/mydrive', middleware: [authenticate, requireDriveScope], router: mydriveRouter, tag: 'mydrive' },
+  { prefix: '/tokens', middleware: [authenticate], router: tokensRouter, tag: 'tokens' },
+  { prefix: '/sessions', middleware: [authenticate], router: sessionsRouter, tag: 'sessions' },
+  { prefix: '/audit', middleware: [authenticate, requireRole('admin')], router: auditRouter, tag: 'audit' },
+  { prefix: '/system', middleware: [authenticate, requireRole('admin')], router: systemRouter, tag: 'system' }
+];
+
+const mountApiRoutes = (base) => {
+  for (const { prefix, middleware = [], router } of API_ROUTES) {
+    app.use(`${base}${prefix}`, ...middleware, router);
+  }
+};
+
+// Built on first request - every router is complete by then
+let openApiDocument = null;
+app.get('/api/v1/openapi.json', (req, res) => {
+  openApiDocument = openApiDocument || buildOpenApiDocument({
+    title: 'AIPB API',
+    version: '1.0.0',
+    basePath: '/api/v1',
+    mounts: API_ROUTES.map(({ prefix, middleware = [], router, tag }) => ({
+      prefix,
+      router,
+      tag,
+      secured: middleware.includes(authenticate)
+    }))
+  });
+  res.json(openApiDocument);
+});
+
+mountApiRoutes('/api/v1');
+
+// Legacy unversioned routes. Successor links point at the /api/v1 equivalent; the old
+// /api/fs and /api/files aliases of the filesystem router map to /api/v1/filesystem.
+const LEGACY_DEPRECATION = `@${Math.floor(Date.parse(config.LEGACY_API_DEPRECATION_DATE) / 1000)}`;
+const LEGACY_SUNSET = new Date(config.LEGACY_API_SUNSET_DATE).toUTCString();
+
+app.use('/api', (req, res, next) => {
+  if (req.path === '/' || req.path === '/v1' || req.path.startsWith('/v1/')) {
+    return next();
+  }
+  const successor = `/api/v1${req.path.replace(/^\/(fs|files)(?=\/|$)/, '/filesystem')}`;
+  res.set({
+    Deprecation: LEGACY_DEPRECATION,
+    Sunset: LEGACY_SUNSET,
+    Link: `<${successor}>; rel="successor-version"`
+  });
+  next();
+});
+
+mountApiRoutes('/api');
+app.use('/api/fs', authenticate, requireDriveScope, filesystemRouter);
+app.use('/api/files', authenticate, requireDriveScope, filesystemRouter);
+
+// Unmatched API paths and every error passed to next() are answered as application/problem+json
+app.use('/api', apiNotFound);
+app.use(errorHandler);
+
+// Resolves once condition() holds or the deadline passes; returns whether it held
+const waitUntil = async (condition, deadline) => {
+  while (!condition() && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, 250));
+  }
+  return condition();
+};
+
+// Graceful shutdown handler. Drain first: stop taking requests and chat messages, tell clients,
+// and give running requests and chat streams until the deadline before cancelling them.
+async function gracefulShutdown(signal) {
+  if (isShuttingDown) {
+    log.warn('Shutdown already in progress', { signal });
+    return;
+  }
+  
+  isShuttingDown = true;
+  const deadline = Date.now() + SHUTDOWN_DRAIN_TIMEOUT_MS;
+  log.info('Starting graceful shutdown', { signal, drainTimeoutMs: SHUTDOWN_DRAIN_TIMEOUT_MS });
+  
+  // Last resort if a close below hangs
+  setTimeout(() => {
+    log.error('Graceful shutdown timed out - exiting');
+    process.exit(1);
+  }, SHUTDOWN_DRAIN_TIMEOUT_MS + 15000).unref();
+  
+  try {
+    // Stop accepting connections; idle keep-alive connections are closed now, busy ones when done
+    if (httpServer) {
+      httpServer.close(() => {
+        log.info('HTTP server closed');
+      });
+      httpServer.closeIdleConnections();
+    }
+    
+    // Refuse new chat messages and let this node's clients know - the other replicas keep serving theirs
+    stopAcceptingChatMessages();
+    io.local.emit('server-shutdown', {
+      message: 'The server is restarting',
+      drain_deadline: new Date(deadline).toISOString(),
+      timestamp: new Date().toISOString()
+    });
+    
+    log.info('Draining requests and chat streams', { requests: inFlightRequests, chatStreams: countActiveChatStreams() });
+    const drained = await waitUntil(() => inFlightRequests === 0 && countActiveChatStreams() === 0, deadline);
+    
+    if (drained) {
+      log.info('In-flight requests and chat streams finished');
+    } else {
+      log.warn('Drain timeout reached', { requests: inFlightRequests, chatStreams: countActiveChatStreams() });
+    }
+    
+    // Cancel streams that did not finish (their rooms are told) and detach the last consumer
+    const cancelledStreams = await cancelAllChatStreams(io);
+    if (cancelledStreams > 0) {
+      log.info('Cancelled chat streams', { chatStreams: cancelledStreams });
+    }
+    if (!drained) {
+      httpServer?.closeAllConnections();
+    }
+    
+    // Disconnect Socket.IO clients
+    await new Promise(resolve => io.close(() => resolve()));
+    await closeCluster();
+    log.info('Socket.IO closed');
+    
+    // Close RabbitMQ connection (and stop reconnecting)
+    await rabbitmqSupervisor.stop();
+    log.info('RabbitMQ connection closed');
+    
+    // Unmount every user's storage
+    await mountRegistry.unmountAll();
+    
+    log.info('Graceful shutdown complete');
+    process.exit(0);
+  } catch (error) {
+    log.error('Error during shutdown', { error });
+    process.exit(1);
+  }
+}
+
+// Register shutdown handlers
+process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
+process.on('SIGINT', () => gracefulShutdown('SIGINT'));
+process.on('SIGHUP', () => gracefulShutdown('SIGHUP'));
+
+// Handle Windows specific signals
+if (process.platform === 'win32') {
+  process.on('message', (msg) => {
+    if (msg === 'shutdown') {
+      gracefulShutdown('Windows shutdown');
+    }
+  });
+}
+
+// Start HTTP server immediately (non-blocking)
+async function startHTTPServer() {
+  httpServer = server.listen(PORT, '0.0.0.0', () => {
+    log.info('HTTP server listening', { port: PORT, publicUrl: config.PUBLIC_URL });
+    
+    // Initialize Socket.IO chat handlers
+    initializeSocketChat(io);
+  });
+  
+  httpServer.on('error', (error) => {
+    log.error('HTTP server error', { error });
+  });
+}
+
+// Start server immediately without NFS dependency
+async function startServer() {
+  log.info('Starting AIPB Backend Server');
+  
+  try {
+    // Socket.IO adapter first - with several replicas, rooms must span them before clients connect
+    await attachSocketAdapter(io);
+    
+    // Initialize RabbitMQ connection
+    await initializeRabbitMQ();
+    
+    // Start HTTP server immediately (NFS will be mounted on login)
+    await startHTTPServer();
+    
+    log.info('Server startup complete - NFS is mounted when users log in');
+  } catch (error) {
+    log.error('Server startup failed', {
+      error: error.message,
+      hint: 'RabbitMQ is optional at startup; Redis must be reachable at REDIS_URL when CLUSTER_ADAPTER=redis'
+    });
+    process.exit(1);
+  }
+}
+
+// Start the server
+startServer().catch(error => {
+  log.error('Failed to start server', { error });
+  process.exit(1);
+});
+
@@ -0,0 +1,153 @@
+import crypto from 'crypto';
+import process from 'process';
+import util from 'util';
+import config from './config.js';
+import { getContextUser, getRequestId, runWithRequestId } from './userContext.js';
+
+// Logging settings
+// - LOG_LEVEL: lowest level written (debug, info, warn, error)
+// - LOG_FORMAT: 'json' (one JSON object per line, for log shippers) or 'text' (for a terminal)
+const LOG_LEVEL = config.LOG_LEVEL;
+const LOG_FORMAT = config.LOG_FORMAT;
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Field names whose values are never written, at any depth (authToken, refresh_token, password, ...)
+const SECRET_KEY_PATTERN = /pass(word)?|secret|authorization|cookie|api[-_]?key|credential|token$/i;
+// Secrets that turn up inside free text
+const SECRET_TEXT_PATTERNS = [
+  [/\b(Bearer|Basic)\s+[A-Za-z0-9._~+/=-]+/gi, '$1 [redacted]'],
+  [/\beyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*/g, '[redacted-jwt]'],
+  [/\baipb_pat_[A-Za-z0-9_-]+/g, '[redacted-pat]']
+];
+
+// Correlation ids supplied by clients are only accepted when short and plain
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+const redactText = (text) => SECRET_TEXT_PATTERNS.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), text);
+
+/**
+ * Copy of a value with secrets removed - sensitive keys are replaced and strings are scrubbed
+ */
+export const redact = (value, seen = new WeakSet()) => {
+  if (typeof value === 'string') {
+    return redactText(value);
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  if (seen.has(value)) {
+    return '[circular]';
+  }
+  seen.add(value);
+
+  if (value instanceof Error) {
+    return { name: value.name, message: redactText(value.message), ...(value.code && { code: value.code }), stack: redactText(value.stack || '') };
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, seen));
+  }
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    copy[key] = SECRET_KEY_PATTERN.test(key) && item ? '[redacted]' : redact(item, seen);
+  }
+  return copy;
+};
+
+// Write straight to the streams - console may be routed through this logger
+const write = (level, line) => {
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+};
+
+const emit = (level, component, message, fields = {}) => {
+  if (LEVELS[level] < LEVELS[LOG_LEVEL]) {
+    return;
+  }
+
+  const user = getContextUser();
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    ...(component && { component }),
+    msg: redactText(String(message)),
+    ...(getRequestId() && { requestId: getRequestId() }),
+    ...(user && { userId: user.id }),
+    ...redact(fields)
+  };
+
+  if (LOG_FORMAT === 'json') {
+    write(level, JSON.stringify(entry));
+    return;
+  }
+  const { time, msg, requestId, component: _component, level: _level, ...rest } = entry;
+  const extra = Object.keys(rest).length > 0 ? ` ${util.inspect(rest, { depth: 4, breakLength: Infinity })}` : '';
+  write(level, `${time} ${level.toUpperCase().padEnd(5)}${component ? ` [${component}]` : ''}${requestId ? ` (${requestId})` : ''} ${msg}${extra}`);
+};
+
+/**
+ * Logger for a component: logger.info('message', { extra: 'fields' }).
+ * Entries carry the current request id and user automatically.
+ */
+export const createLogger = (component = null) => ({
+  debug: (message, fields) => emit('debug', component, message, fields),
+  info: (message, fields) => emit('info', component, message, fields),
+  warn: (message, fields) => emit('warn', component, message, fields),
+  error: (message, fields) => emit('error', component, message, fields)
+});
+
+// Fresh correlation id, or the caller's when it is safe to reuse
+export const newRequestId = (candidate) => (
+  typeof candidate === 'string' && REQUEST_ID_PATTERN.test(candidate) ? candidate : crypto.randomUUID()
+);
+
+const httpLogger = createLogger('http');
+
+/**
+ * Express middleware - assigns a correlation id (honouring X-Request-ID), echoes it back,
+ * runs the request inside it and logs each completed request
+ */
+export const requestLogger = (req, res, next) => {
+  const requestId = newRequestId(req.get('x-request-id'));
+  const startedAt = process.hrtime.bigint();
+  req.id = requestId;
+  res.set('X-Request-ID', requestId);
+
+  runWithRequestId(requestId, () => {
+    res.on('finish', () => {
+      const durationMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+      const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+      httpLogger[level](`${req.method} ${req.originalUrl.split('?')[0]} ${res.statusCode}`, {
+        method: req.method,
+        status: res.statusCode,
+        durationMs: Math.round(durationMs * 10) / 10,
+        ip: req.ip
+      });
+    });
+    next();
+  });
+};
+
+/**
+ * Socket.IO packet middleware - each incoming event runs under its own correlation id.
+ * Clients may pass { requestId } in the event payload to tie it to their own logs.
+ */
+export const socketRequestContext = (packet, next) => {
+  runWithRequestId(newRequestId(packet[1]?.requestId), next);
+};
+
+/**
+ * Route console.* through the logger, so existing console logging gets levels,
+ * JSON output, correlation ids and redaction without touching every call site.
+ * Runs when this module is first imported - index.js imports it before anything that logs.
+ */
+export const installConsoleLogger = () => {
+  const consoleLogger = createLogger(null);
+  const format = (args) => util.formatWithOptions({ depth: 4, breakLength: Infinity }, ...args.map(arg => redact(arg)));
+  console.debug = (...args) => consoleLogger.debug(format(args));
+  console.log = (...args) => consoleLogger.info(format(args));
+  console.info = (...args) => consoleLogger.info(format(args));
+  console.warn = (...args) => consoleLogger.warn(format(args));
+  console.error = (...args) => consoleLogger.error(format(args));
+};
+
+installConsoleLogger();
@@ -0,0 +1,288 @@
+import fs from 'fs/promises';
+import path from 'path';
+import config from './config.js';
+import { recordAuditEvent, AUDIT_EVENTS } from './auditLog.js';
+import { AppError } from './errors.js';
+import { createLogger } from './logger.js';
+
+// Login throttling settings
+// - LOGIN_MAX_FAILURES / LOGIN_MAX_FAILURES_PER_IP: failures before a temporary lockout
+// - LOGIN_BACKOFF_BASE_MS / LOGIN_BACKOFF_MAX_MS: delay after a failure, doubled per failure
+// - LOGIN_LOCKOUT_MS: how long a lockout lasts
+// - LOGIN_FAILURE_WINDOW_MS: failures older than this are forgotten
+// - LOGIN_LOCKOUT_STORE: 'memory' (default) or 'file'; LOGIN_LOCKOUT_FILE for the file store
+const LOGIN_MAX_FAILURES = config.LOGIN_MAX_FAILURES;
+const LOGIN_MAX_FAILURES_PER_IP = config.LOGIN_MAX_FAILURES_PER_IP;
+const LOGIN_BACKOFF_BASE_MS = config.LOGIN_BACKOFF_BASE_MS;
+const LOGIN_BACKOFF_MAX_MS = config.LOGIN_BACKOFF_MAX_MS;
+const LOGIN_LOCKOUT_MS = config.LOGIN_LOCKOUT_MS;
+const LOGIN_FAILURE_WINDOW_MS = config.LOGIN_FAILURE_WINDOW_MS;
+const LOGIN_LOCKOUT_STORE = config.LOGIN_LOCKOUT_STORE;
+const LOGIN_LOCKOUT_FILE = config.LOGIN_LOCKOUT_FILE;
+
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+const log = createLogger('login-throttle');
+
+// Lockout store interface. Records are keyed by 'user:<name>' or 'ip:<address>' and look like:
+//   { key, failures, firstFailureAt, lastFailureAt, blockedUntil, lockedOut }
+export class MemoryLockoutStore {
+  constructor() {
+    this.name = 'memory';
+    this.records = new Map();
+  }
+
+  async get(key) { return this.records.get(key) || null; }
+  async set(key, record) { this.records.set(key, record); }
+  async delete(key) { return this.records.delete(key); }
+  async list() { return Array.from(this.records.values()); }
+}
+
+// Persists records to a JSON file so lockouts survive restarts
+export class FileLockoutStore extends MemoryLockoutStore {
+  constructor(filePath = LOGIN_LOCKOUT_FILE) {
+    super();
+    this.name = 'file';
+    this.filePath = filePath;
+    this.loaded = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  load() {
+    if (!this.loaded) {
+      this.loaded = fs.readFile(this.filePath, 'utf8')
+        .then(text => {
+          for (const record of JSON.parse(text)) {
+            this.records.set(record.key, record);
+          }
+        })
+        .catch(error => {
+          if (error.code !== 'ENOENT') {
+            log.error('Failed to load login lockouts', { error: error.message });
+          }
+        });
+    }
+    return this.loaded;
+  }
+
+  persist() {
+    this.writeQueue = this.writeQueue.then(async () => {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.writeFile(this.filePath, JSON.stringify(Array.from(this.records.values()), null, 2));
+    }).catch(error => log.error('Failed to persist login lockouts', { error: error.message }));
+    return this.writeQueue;
+  }
+
+  async get(key) { await this.load(); return super.get(key); }
+  async list() { await this.load(); return super.list(); }
+
+  async set(key, record) {
+    await this.load();
+    await super.set(key, record);
+    await this.persist();
+  }
+
+  async delete(key) {
+    await this.load();
+    const deleted = await super.delete(key);
+    await this.persist();
+    return deleted;
+  }
+}
+
+export const createLockoutStore = (name = LOGIN_LOCKOUT_STORE) => {
+  switch (name) {
+    case 'memory':
+      return new MemoryLockoutStore();
+    case 'file':
+      return new FileLockoutStore();
+    default:
+      throw new Error(`Unknown login lockout store: ${name}`);
+  }
+};
+
+const store = createLockoutStore();
+
+const clientIp = (req) => req.ip || req.socket?.remoteAddress || 'unknown';
+const normalizeUsername = (username) => String(username || '').trim().toLowerCase();
+
+// Keys and failure limits that apply to a login request. `serial` keys allow one attempt in flight
+// at a time; the IP key does not, so users behind one address (NAT, proxies) can sign in side by side.
+const throttleKeys = (req) => {
+  const keys = [{ key: `ip:${clientIp(req)}`, maxFailures: LOGIN_MAX_FAILURES_PER_IP, serial: false }];
+  const username = normalizeUsername(req.body?.user_name);
+  if (username) {
+    keys.push({ key: `user:${username}`, maxFailures: LOGIN_MAX_FAILURES, serial: true });
+  }
+  return keys;
+};
+
+const isStale = (record, now) => record.lastFailureAt + LOGIN_FAILURE_WINDOW_MS < now && record.blockedUntil < now;
+
+// Delay after the given number of failures
+const backoffMs = (failures) => Math.min(LOGIN_BACKOFF_BASE_MS * 2 ** (failures - 1), LOGIN_BACKOFF_MAX_MS);
+
+// Login attempts still waiting for the identity provider, per key (this process only). Until an
+// attempt finishes it counts as a failure, so parallel guesses can't all pass the check before
+// the first failure is recorded.
+const pendingAttempts = new Map(); // key -> count
+
+// Reserve an attempt on every key; returns the function that releases it (safe to call twice)
+const reserveAttempt = (keys) => {
+  for (const { key } of keys) {
+    pendingAttempts.set(key, (pendingAttempts.get(key) || 0) + 1);
+  }
+  let released = false;
+  return () => {
+    if (released) {
+      return;
+    }
+    released = true;
+    for (const { key } of keys) {
+      const count = (pendingAttempts.get(key) || 0) - 1;
+      if (count > 0) {
+        pendingAttempts.set(key, count);
+      } else {
+        pendingAttempts.delete(key);
+      }
+    }
+  };
+};
+
+/**
+ * Express middleware for /login - answers 429 with Retry-After while the
+ * username or client IP is backing off or locked out. Attempts still in flight
+ * count as failures. A passing request reserves its attempt until the response ends.
+ */
+export const loginThrottle = async (req, res, next) => {
+  const keys = throttleKeys(req);
+
+  try {
+    const now = Date.now();
+    let retryAfterMs = 0;
+    let lockedOut = false;
+
+    for (const { key, maxFailures, serial } of keys) {
+      const record = await store.get(key);
+      if (record && record.blockedUntil > now) {
+        retryAfterMs = Math.max(retryAfterMs, record.blockedUntil - now);
+        lockedOut = lockedOut || record.lockedOut;
+        continue;
+      }
+
+      // Attempts in flight are treated as failures: wait while their failing would lock the key,
+      // or, on serial keys, start a backoff
+      const pending = pendingAttempts.get(key) || 0;
+      if (pending > 0) {
+        const failures = (record && !isStale(record, now) ? record.failures : 0) + pending;
+        const waitMs = failures >= maxFailures ? Math.max(backoffMs(failures), 1000)
+          : serial ? backoffMs(failures) : 0;
+        retryAfterMs = Math.max(retryAfterMs, waitMs);
+      }
+    }
+
+    if (retryAfterMs > 0) {
+      const retryAfterSec = Math.ceil(retryAfterMs / 1000);
+      log.warn('Login throttled', { username: req.body?.user_name, ip: clientIp(req), retryAfterSec });
+      recordAuditEvent(AUDIT_EVENTS.LOGIN_THROTTLED, { locked: lockedOut, retryAfterSec }, {
+        req,
+        user: { id: null, username: req.body?.user_name || null },
+        severity: lockedOut ? 'high' : 'medium'
+      });
+      return next(new AppError('RATE_LIMITED', lockedOut
+        ? 'Too many failed login attempts. Account temporarily locked.'
+        : 'Too many login attempts. Please wait before retrying.', {
+        reason: lockedOut ? 'LOCKED_OUT' : 'THROTTLED',
+        details: { locked: lockedOut, retry_after: retryAfterSec },
+        retryAfterSec
+      }));
+    }
+  } catch (error) {
+    // Never block logins because the store is unavailable
+    log.error('Login throttle check failed', { error: error.message });
+  }
+
+  // Held through the identity provider call and the failure/success bookkeeping
+  res.on('close', reserveAttempt(keys));
+  next();
+};
+
+/**
+ * Record a failed login for the request's username and IP
+ */
+export const recordLoginFailure = async (req) => {
+  const now = Date.now();
+
+  for (const { key, maxFailures } of throttleKeys(req)) {
+    const existing = await store.get(key);
+    const record = existing && !isStale(existing, now)
+      ? existing
+      : { key, failures: 0, firstFailureAt: now, lastFailureAt: now, blockedUntil: 0, lockedOut: false };
+
+    record.failures++;
+    record.lastFailureAt = now;
+
+    if (record.failures >= maxFailures) {
+      record.lockedOut = true;
+      record.blockedUntil = now + LOGIN_LOCKOUT_MS;
+      log.warn('Locked out after failed logins', { key, failures: record.failures });
+    } else {
+      record.blockedUntil = now + backoffMs(record.failures);
+    }
+
+    await store.set(key, record);
+  }
+};
+
+/**
+ * Clear the username's failure record after a successful login. The IP record
+ * is kept so one valid account can't be used to reset throttling for an address.
+ */
+export const recordLoginSuccess = async (req) => {
+  const username = normalizeUsername(req.body?.user_name);
+  if (username) {
+    await store.delete(`user:${username}`);
+  }
+};
+
+// Delete records whose failures and block have both expired; resolves to the records still in force
+const pruneStaleRecords = async (now = Date.now()) => {
+  const active = [];
+  for (const record of await store.list()) {
+    if (isStale(record, now)) {
+      await store.delete(record.key);
+    } else {
+      active.push(record);
+    }
+  }
+  return active;
+};
+
+// Every username that fails a login gets a record, existing or not, so stale ones are swept regularly
+setInterval(() => {
+  pruneStaleRecords().catch(error => log.error('Failed to prune login throttle records', { error: error.message }));
+}, PRUNE_INTERVAL_MS).unref();
+
+// Current throttle records (expired ones are pruned)
+export const listLockouts = async () => {
+  const now = Date.now();
+  return (await pruneStaleRecords(now)).map(record => ({
+    ...record,
+    blocked: record.blockedUntil > now,
+    blockedUntil: record.blockedUntil ? new Date(record.blockedUntil).toISOString() : null,
+    firstFailureAt: new Date(record.firstFailureAt).toISOString(),
+    lastFailureAt: new Date(record.lastFailureAt).toISOString()
+  }));
+};
+
+// Clear a lockout by username or IP
+export const clearLockout = async ({ username, ip }) => {
+  const cleared = [];
+  if (username && await store.delete(`user:${normalizeUsername(username)}`)) {
+    cleared.push(`user:${normalizeUsername(username)}`);
+  }
+  if (ip && await store.delete(`ip:${ip}`)) {
+    cleared.push(`ip:${ip}`);
+  }
+  return cleared;
+};
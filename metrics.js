@@ -0,0 +1,201 @@
+import process from 'process';
+import config from './config.js';
+import storage from './storageDriver.js';
+import mountRegistry from './mountRegistry.js';
+import { createLogger } from './logger.js';
+
+// Metrics settings
+// - METRICS_TOKEN: when set, /metrics requires "Authorization: Bearer <token>"
+const METRICS_TOKEN = config.METRICS_TOKEN;
+
+const log = createLogger('metrics');
+
+// Minimal Prometheus registry (text exposition format 0.0.4) - counters, gauges and histograms
+// with labels. Gauges may compute their value at scrape time with a `collect` callback.
+const metrics = [];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  return entries.length === 0 ? '' : `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}`;
+};
+
+// Series are keyed by their label values in labelNames order
+const seriesKey = (labelNames, labels) => JSON.stringify(labelNames.map(name => String(labels[name] ?? '')));
+const keyToLabels = (labelNames, key) => Object.fromEntries(JSON.parse(key).map((value, i) => [labelNames[i], value]));
+
+class Metric {
+  constructor(type, { name, help, labelNames = [] }) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+    metrics.push(this);
+  }
+
+  header() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+  }
+}
+
+export class Counter extends Metric {
+  constructor(options) {
+    super('counter', options);
+  }
+
+  inc(labels = {}, value = 1) {
+    const key = seriesKey(this.labelNames, labels);
+    this.series.set(key, (this.series.get(key) || 0) + value);
+  }
+
+  render() {
+    return [...this.header(), ...Array.from(this.series, ([key, value]) => `${this.name}${formatLabels(keyToLabels(this.labelNames, key))} ${value}`)];
+  }
+}
+
+export class Gauge extends Metric {
+  // `collect` returns a number, or [{ labels, value }] for labelled gauges
+  constructor({ collect = null, ...options }) {
+    super('gauge', options);
+    this.collect = collect;
+  }
+
+  set(labels, value) {
+    this.series.set(seriesKey(this.labelNames, labels), value);
+  }
+
+  render() {
+    let samples = Array.from(this.series, ([key, value]) => ({ labels: keyToLabels(this.labelNames, key), value }));
+    if (this.collect) {
+      const collected = this.collect();
+      samples = Array.isArray(collected) ? collected : [{ labels: {}, value: collected }];
+    }
+    return [...this.header(), ...samples.map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${Number(value) || 0}`)];
+  }
+}
+
+export class Histogram extends Metric {
+  constructor({ buckets = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10], ...options }) {
+    super('histogram', options);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels, value) {
+    const key = seriesKey(this.labelNames, labels);
+    let entry = this.series.get(key);
+    if (!entry) {
+      entry = { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+      this.series.set(key, entry);
+    }
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) entry.counts[i]++;
+    });
+    entry.sum += value;
+    entry.count++;
+  }
+
+  render() {
+    const lines = this.header();
+    for (const [key, entry] of this.series) {
+      const labels = keyToLabels(this.labelNames, key);
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${entry.counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${entry.count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${entry.sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${entry.count}`);
+    }
+    return lines;
+  }
+}
+
+// HTTP
+const httpRequests = new Counter({
+  name: 'aipb_http_requests_total',
+  help: 'HTTP requests by route and status code',
+  labelNames: ['method', 'route', 'status']
+});
+const httpDuration = new Histogram({
+  name: 'aipb_http_request_duration_seconds',
+  help: 'HTTP request latency by route',
+  labelNames: ['method', 'route', 'status']
+});
+
+// Chat streaming
+const timeToFirstToken = new Histogram({
+  name: 'aipb_chat_time_to_first_token_seconds',
+  help: 'Time from a chat request to the first streamed token, by model',
+  labelNames: ['model'],
+  buckets: [0.1, 0.25, 0.5, 1, 2, 5, 10, 20, 30, 60]
+});
+const tokensPerSecond = new Histogram({
+  name: 'aipb_chat_tokens_per_second',
+  help: 'Streaming rate of completed chat responses, by model',
+  labelNames: ['model'],
+  buckets: [1, 2, 5, 10, 20, 50, 100, 200]
+});
+
+// Storage
+const uploadBytes = new Counter({
+  name: 'aipb_upload_bytes_total',
+  help: 'Bytes received through file uploads',
+  labelNames: ['area']
+});
+new Gauge({
+  name: 'aipb_storage_mounts',
+  help: 'Active user storage mounts',
+  labelNames: ['driver'],
+  collect: () => [{ labels: { driver: storage.name }, value: storage.name === 'nfs' ? mountRegistry.list().length : 0 }]
+});
+new Gauge({
+  name: 'aipb_storage_mounts_pending',
+  help: 'User storage mounts in progress',
+  collect: () => mountRegistry.pending.size
+});
+
+/**
+ * Express middleware recording request counts and latency. Routes are labelled with their
+ * pattern (e.g. /api/mydrive/download/:id) so label values stay bounded.
+ */
+export const httpMetrics = (req, res, next) => {
+  const startedAt = process.hrtime.bigint();
+  res.on('finish', () => {
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+    const labels = { method: req.method, route, status: res.statusCode };
+    httpRequests.inc(labels);
+    httpDuration.observe(labels, Number(process.hrtime.bigint() - startedAt) / 1e9);
+  });
+  next();
+};
+
+export const observeTimeToFirstToken = (model, seconds) => timeToFirstToken.observe({ model }, seconds);
+
+export const observeTokensPerSecond = (model, rate) => tokensPerSecond.observe({ model }, rate);
+
+// Count bytes of accepted uploads ('filesystem' or 'mydrive')
+export const recordUploadBytes = (area, files = []) => {
+  const bytes = files.reduce((total, file) => total + (file.size || 0), 0);
+  if (bytes > 0) uploadBytes.inc({ area }, bytes);
+};
+
+/**
+ * GET /metrics handler - every registered metric in Prometheus text format
+ */
+export const metricsHandler = (req, res) => {
+  if (METRICS_TOKEN && req.get('authorization') !== `Bearer ${METRICS_TOKEN}`) {
+    return res.status(401).json({ success: false, error: 'Authentication required' });
+  }
+
+  const lines = [];
+  for (const metric of metrics) {
+    try {
+      lines.push(...metric.render());
+    } catch (error) {
+      log.warn('Failed to collect metric', { metric: metric.name, error: error.message });
+    }
+  }
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.send(`${lines.join('\n')}\n`);
+};
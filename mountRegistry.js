@@ -0,0 +1,261 @@
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import fs from 'fs/promises';
+import path from 'path';
+import process from 'process';
+import config from './config.js';
+import { createLogger } from './logger.js';
+
+// Promisify execFile for async/await usage - arguments are passed as an array, never through a shell
+const execFileAsync = promisify(execFile);
+
+// Mount settings
+// - NFS_SERVER / NFS_EXPORT_BASE: each user's export is <server>:<base>/<username>
+// - NFS_MOUNT_BASE: parent directory for per-user mount points (Linux/macOS)
+// - NFS_DRIVE_LETTERS: pool of drive letters handed out to users (Windows)
+// - NFS_IDLE_UNMOUNT_MS: how long an unused mount stays up after its last release
+const NFS_SERVER = config.NFS_SERVER;
+const NFS_EXPORT_BASE = config.NFS_EXPORT_BASE;
+const NFS_MOUNT_BASE = config.NFS_MOUNT_BASE;
+const NFS_DRIVE_LETTERS = config.NFS_DRIVE_LETTERS.split('');
+const NFS_IDLE_UNMOUNT_MS = config.NFS_IDLE_UNMOUNT_MS;
+
+const isWindows = process.platform === 'win32';
+
+const log = createLogger('mounts');
+
+// Usernames become NFS export paths, mount point directories and mount arguments, so only
+// plain names are accepted: letters, digits, '.', '_', '@' and '-', starting with a letter or
+// digit (no '..', no separators, nothing that reads as a command-line option)
+const STORAGE_USERNAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._@-]{0,127}$/;
+
+export const isValidStorageUsername = (username) => typeof username === 'string' && STORAGE_USERNAME_PATTERN.test(username);
+
+// Registry of storage mounts keyed by username, with reference counting so a
+// user logged in from several devices shares one mount and one user's logout
+// never unmounts anyone else.
+class MountRegistry {
+  constructor() {
+    this.mounts = new Map();   // username -> mount entry
+    this.pending = new Map();  // username -> in-flight mount or unmount (settles when it is done)
+    this.freeDriveLetters = [...NFS_DRIVE_LETTERS];
+  }
+
+  // Pick a mount point for a new mount
+  allocateMountPoint(username) {
+    if (isWindows) {
+      const letter = this.freeDriveLetters.shift();
+      if (!letter) {
+        throw new Error('No free drive letters available for another user mount');
+      }
+      return `${letter}:`;
+    }
+    return path.join(NFS_MOUNT_BASE, username);
+  }
+
+  releaseMountPoint(mountPoint) {
+    if (isWindows) {
+      this.freeDriveLetters.push(mountPoint.charAt(0));
+    }
+  }
+
+  async runMount(username, mountPoint) {
+    const exportPath = `${NFS_EXPORT_BASE.replace(/\/+$/, '')}/${username}`;
+
+    // Clear any stale mount left behind on this mount point
+    await this.runUnmount(mountPoint).catch(() => {});
+
+    if (isWindows) {
+      const uncPath = `\\\\${NFS_SERVER}${exportPath.replace(/\//g, '\\')}`;
+      await execFileAsync('mount', ['-o', 'anon', '-o', 'nolock', uncPath, mountPoint]);
+    } else {
+      await fs.mkdir(mountPoint, { recursive: true });
+      await execFileAsync('mount', ['-t', 'nfs', `${NFS_SERVER}:${exportPath}`, mountPoint]);
+    }
+  }
+
+  async runUnmount(mountPoint) {
+    await execFileAsync('umount', [mountPoint]);
+  }
+
+  /**
+   * Mount (or reuse) the user's storage and take a reference on it.
+   * Returns the user's mount point.
+   */
+  async acquire(username) {
+    if (!username) {
+      throw new Error('Username is required to mount user storage');
+    }
+    if (!isValidStorageUsername(username)) {
+      throw new Error(`Username ${JSON.stringify(username)} cannot be used for a storage mount`);
+    }
+
+    // Another login for the same user is already mounting, or an idle unmount is running - wait
+    // for it, then reuse the mount or mount again. A failed mount fails the waiting logins too.
+    if (this.pending.has(username)) {
+      await this.pending.get(username);
+      return this.acquire(username);
+    }
+
+    const existing = this.mounts.get(username);
+    if (existing) {
+      existing.refCount++;
+      this.cancelIdleTimer(existing);
+      existing.lastUsedAt = Date.now();
+      log.debug('Reusing mount', { username, mountPoint: existing.mountPoint, refCount: existing.refCount });
+      return existing.mountPoint;
+    }
+
+    const mountPromise = (async () => {
+      const mountPoint = this.allocateMountPoint(username);
+      const startTime = Date.now();
+      try {
+        log.info('Mounting storage', { username, mountPoint });
+        await this.runMount(username, mountPoint);
+      } catch (error) {
+        this.releaseMountPoint(mountPoint);
+        throw error;
+      }
+
+      this.mounts.set(username, {
+        username,
+        mountPoint,
+        refCount: 0,
+        mountedAt: Date.now(),
+        lastUsedAt: Date.now(),
+        idleTimer: null,
+        idleUnmountAt: null
+      });
+      log.info('Mounted storage', { username, mountPoint, durationMs: Date.now() - startTime });
+    })();
+
+    this.pending.set(username, mountPromise);
+    try {
+      await mountPromise;
+    } finally {
+      this.pending.delete(username);
+    }
+
+    return this.acquire(username);
+  }
+
+  /**
+   * Drop a reference on the user's mount. The mount is unmounted once it has
+   * been unreferenced for NFS_IDLE_UNMOUNT_MS.
+   */
+  release(username) {
+    const entry = this.mounts.get(username);
+    if (!entry) {
+      return false;
+    }
+
+    entry.refCount = Math.max(0, entry.refCount - 1);
+    log.debug('Released mount', { username, refCount: entry.refCount });
+
+    if (entry.refCount === 0) {
+      this.scheduleIdleUnmount(entry);
+    }
+    return true;
+  }
+
+  scheduleIdleUnmount(entry) {
+    this.cancelIdleTimer(entry);
+    entry.idleUnmountAt = Date.now() + NFS_IDLE_UNMOUNT_MS;
+    entry.idleTimer = setTimeout(() => {
+      this.unmount(entry.username).catch(error => {
+        log.error('Idle unmount failed', { username: entry.username, error: error.message });
+      });
+    }, NFS_IDLE_UNMOUNT_MS);
+    entry.idleTimer.unref?.();
+  }
+
+  cancelIdleTimer(entry) {
+    if (entry.idleTimer) {
+      clearTimeout(entry.idleTimer);
+      entry.idleTimer = null;
+      entry.idleUnmountAt = null;
+    }
+  }
+
+  // Get the mount point for a user (null when the user has no active mount)
+  getMountPoint(username) {
+    const entry = this.mounts.get(username);
+    if (!entry) {
+      return null;
+    }
+    entry.lastUsedAt = Date.now();
+    return entry.mountPoint;
+  }
+
+  // Status for one user, shaped like the previous single-mount NFS status
+  getStatus(username) {
+    const entry = username ? this.mounts.get(username) : null;
+    return {
+      isNFSMounted: Boolean(entry),
+      isNFSAvailable: Boolean(entry),
+      isMounting: this.pending.has(username) && !entry,
+      nfsMountPoint: entry?.mountPoint || null,
+      currentUsername: username || null,
+      userPath: entry ? `${NFS_SERVER}:${NFS_EXPORT_BASE.replace(/\/+$/, '')}/${username}` : null,
+      refCount: entry?.refCount || 0,
+      mountedAt: entry ? new Date(entry.mountedAt).toISOString() : null,
+      lastUsedAt: entry ? new Date(entry.lastUsedAt).toISOString() : null,
+      idleUnmountAt: entry?.idleUnmountAt ? new Date(entry.idleUnmountAt).toISOString() : null
+    };
+  }
+
+  // All active mounts
+  list() {
+    return Array.from(this.mounts.keys()).map(username => this.getStatus(username));
+  }
+
+  /**
+   * Unmount the user's storage. The mount stays tracked until umount succeeds, and acquire()
+   * waits for a running unmount rather than mounting the same mount point underneath it.
+   * A failed unmount leaves the mount in place; an unreferenced one gets another idle unmount.
+   */
+  async unmount(username) {
+    while (this.pending.has(username)) {
+      await this.pending.get(username).catch(() => {});
+    }
+    const entry = this.mounts.get(username);
+    if (!entry) {
+      return false;
+    }
+
+    this.cancelIdleTimer(entry);
+    const unmountPromise = this.runUnmount(entry.mountPoint);
+    this.pending.set(username, unmountPromise.catch(() => {}));
+    try {
+      await unmountPromise;
+    } catch (error) {
+      if (entry.refCount === 0) {
+        this.scheduleIdleUnmount(entry);
+      }
+      throw error;
+    } finally {
+      this.pending.delete(username);
+    }
+
+    this.mounts.delete(username);
+    this.releaseMountPoint(entry.mountPoint);
+    log.info('Unmounted storage', { username, mountPoint: entry.mountPoint });
+    return true;
+  }
+
+  // Unmount everything (used on shutdown)
+  async unmountAll() {
+    const usernames = Array.from(this.mounts.keys());
+    log.info('Unmounting all user mounts', { count: usernames.length });
+    const results = await Promise.allSettled(usernames.map(username => this.unmount(username)));
+    results.forEach((result, i) => {
+      if (result.status === 'rejected') {
+        log.error('Failed to unmount storage', { username: usernames[i], error: result.reason?.message });
+      }
+    });
+  }
+}
+
+const mountRegistry = new MountRegistry();
+
+export default mountRegistry;
@@ -0,0 +1,224 @@
+import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
+import config from './config.js';
+import { ForeignServerClient } from './foreignClient.js';
+import { createLogger } from './logger.js';
+
+// OpenID Connect settings (authorization code flow with PKCE)
+// - OIDC_ISSUER: issuer URL; endpoints are read from <issuer>/.well-known/openid-configuration.
+//   Plain http is accepted so a local mock provider can be used in development.
+// - OIDC_CLIENT_ID / OIDC_CLIENT_SECRET: client registration (the secret is optional for public clients)
+// - OIDC_REDIRECT_URI: must point at /api/auth/oidc/callback and match the IdP registration
+// - OIDC_SCOPES: scopes requested at the authorization endpoint
+// - OIDC_USER_ID_CLAIM / OIDC_USERNAME_CLAIM / OIDC_ROLES_CLAIM: ID token claims mapped to the local
+//   user_id, user name and roles
+// - OIDC_POST_LOGIN_REDIRECT: frontend URL the callback redirects to with tokens in the URL fragment;
+//   when empty the callback answers with the same JSON body as /login
+// The IdP is called with Node's default CA store; use NODE_EXTRA_CA_CERTS for a corporate CA.
+const OIDC_ISSUER = config.OIDC_ISSUER.replace(/\/+$/, '');
+const OIDC_CLIENT_ID = config.OIDC_CLIENT_ID;
+const OIDC_CLIENT_SECRET = config.OIDC_CLIENT_SECRET;
+const OIDC_REDIRECT_URI = config.OIDC_REDIRECT_URI;
+const OIDC_SCOPES = config.OIDC_SCOPES;
+const OIDC_USER_ID_CLAIM = config.OIDC_USER_ID_CLAIM;
+const OIDC_USERNAME_CLAIM = config.OIDC_USERNAME_CLAIM;
+const OIDC_ROLES_CLAIM = config.OIDC_ROLES_CLAIM;
+export const OIDC_POST_LOGIN_REDIRECT = config.OIDC_POST_LOGIN_REDIRECT;
+
+// How long a started sign-in may take before its state is discarded
+const PENDING_LOGIN_TTL_MS = 10 * 60 * 1000;
+const DISCOVERY_CACHE_MS = 60 * 60 * 1000;
+const CLOCK_TOLERANCE_SEC = 60;
+
+const log = createLogger('oidc');
+
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'PS256'];
+
+export class OidcError extends Error {
+  constructor(message, type = 'OIDC_ERROR', status = 400) {
+    super(message);
+    this.name = 'OidcError';
+    this.type = type;
+    this.status = status;
+  }
+}
+
+// Own client so an IdP outage doesn't trip the foreign server's circuit breaker
+const idpClient = new ForeignServerClient(OIDC_ISSUER, { agent: null });
+
+// state -> { codeVerifier, nonce, expiresAt }. Each state can complete one sign-in.
+const pendingLogins = new Map();
+
+let discovery = null;     // { config, fetchedAt }
+let signingKeys = null;   // kid -> KeyObject
+
+export const isOidcConfigured = () => Boolean(OIDC_ISSUER && OIDC_CLIENT_ID);
+
+const base64url = (buffer) => buffer.toString('base64url');
+
+// PKCE pair - the challenge goes to the IdP now, the verifier proves it was us at code exchange
+const createPkcePair = () => {
+  const codeVerifier = base64url(crypto.randomBytes(32));
+  const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+  return { codeVerifier, codeChallenge };
+};
+
+const prunePendingLogins = () => {
+  const now = Date.now();
+  for (const [state, pending] of pendingLogins) {
+    if (pending.expiresAt < now) pendingLogins.delete(state);
+  }
+};
+
+const getDiscovery = async () => {
+  if (discovery && Date.now() - discovery.fetchedAt < DISCOVERY_CACHE_MS) {
+    return discovery.config;
+  }
+
+  const response = await idpClient.get(`${OIDC_ISSUER}/.well-known/openid-configuration`);
+  if (!response.ok || !response.body.authorization_endpoint || !response.body.token_endpoint) {
+    throw new OidcError(`OIDC discovery failed (${response.status})`, 'OIDC_DISCOVERY_FAILED', 502);
+  }
+  discovery = { config: response.body, fetchedAt: Date.now() };
+  signingKeys = null;
+  log.info('Loaded OIDC configuration', { issuer: OIDC_ISSUER });
+  return discovery.config;
+};
+
+const loadSigningKeys = async (config) => {
+  if (!config.jwks_uri) {
+    throw new OidcError('OIDC provider does not publish a jwks_uri', 'OIDC_DISCOVERY_FAILED', 502);
+  }
+  const response = await idpClient.get(config.jwks_uri);
+  if (!response.ok) {
+    throw new OidcError(`Failed to load OIDC signing keys (${response.status})`, 'OIDC_DISCOVERY_FAILED', 502);
+  }
+
+  signingKeys = new Map();
+  for (const jwk of response.body.keys || []) {
+    if (jwk.use && jwk.use !== 'sig') continue;
+    signingKeys.set(jwk.kid || 'default', crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+  }
+  log.info('Loaded OIDC signing keys', { count: signingKeys.size });
+  return signingKeys;
+};
+
+// Key for an ID token header. An unknown kid reloads the JWKS once, in case the IdP rotated keys.
+const resolveSigningKey = async (config, header) => {
+  if (header.alg && header.alg.startsWith('HS')) {
+    if (!OIDC_CLIENT_SECRET) {
+      throw new OidcError('HMAC-signed ID token but no client secret is configured', 'INVALID_ID_TOKEN', 401);
+    }
+    return { key: OIDC_CLIENT_SECRET, algorithms: ['HS256'] };
+  }
+
+  const pick = (keys) => keys.get(header.kid || 'default') || (!header.kid && keys.size === 1 ? keys.values().next().value : null);
+  let key = signingKeys ? pick(signingKeys) : null;
+  if (!key) {
+    key = pick(await loadSigningKeys(config));
+  }
+  if (!key) {
+    throw new OidcError(`Unknown ID token signing key: ${header.kid}`, 'INVALID_ID_TOKEN', 401);
+  }
+  return { key, algorithms: ID_TOKEN_ALGORITHMS };
+};
+
+const verifyIdToken = async (config, idToken, nonce) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) {
+    throw new OidcError('Malformed ID token', 'INVALID_ID_TOKEN', 401);
+  }
+
+  const { key, algorithms } = await resolveSigningKey(config, decoded.header);
+  let claims;
+  try {
+    claims = jwt.verify(idToken, key, {
+      algorithms,
+      issuer: config.issuer || OIDC_ISSUER,
+      audience: OIDC_CLIENT_ID,
+      clockTolerance: CLOCK_TOLERANCE_SEC
+    });
+  } catch (error) {
+    throw new OidcError(`ID token rejected: ${error.message}`, 'INVALID_ID_TOKEN', 401);
+  }
+
+  if (claims.nonce !== nonce) {
+    throw new OidcError('ID token nonce does not match the sign-in request', 'INVALID_ID_TOKEN', 401);
+  }
+  return claims;
+};
+
+/**
+ * Start a sign-in: remember the PKCE verifier and nonce under a fresh state
+ * and return the IdP authorization URL to send the browser to.
+ */
+export const createAuthorizationRequest = async () => {
+  const config = await getDiscovery();
+  prunePendingLogins();
+
+  const state = base64url(crypto.randomBytes(16));
+  const nonce = base64url(crypto.randomBytes(16));
+  const { codeVerifier, codeChallenge } = createPkcePair();
+  pendingLogins.set(state, { codeVerifier, nonce, expiresAt: Date.now() + PENDING_LOGIN_TTL_MS });
+
+  const url = new URL(config.authorization_endpoint);
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: OIDC_CLIENT_ID,
+    redirect_uri: OIDC_REDIRECT_URI,
+    scope: OIDC_SCOPES,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  }).toString();
+
+  return { authorizationUrl: url.toString(), state };
+};
+
+/**
+ * Finish a sign-in: exchange the code for tokens and verify the ID token.
+ * Returns the verified ID token claims; throws OidcError otherwise.
+ */
+export const completeAuthorization = async ({ state, code }) => {
+  prunePendingLogins();
+  const pending = state ? pendingLogins.get(String(state)) : null;
+  // A state is single-use, whatever the outcome
+  pendingLogins.delete(String(state));
+  if (!pending) {
+    throw new OidcError('Unknown or expired sign-in state', 'INVALID_STATE');
+  }
+  if (!code) {
+    throw new OidcError('Authorization code is missing', 'MISSING_CODE');
+  }
+
+  const config = await getDiscovery();
+  const response = await idpClient.request('POST', config.token_endpoint, {
+    form: {
+      grant_type: 'authorization_code',
+      code: String(code),
+      redirect_uri: OIDC_REDIRECT_URI,
+      client_id: OIDC_CLIENT_ID,
+      code_verifier: pending.codeVerifier,
+      ...(OIDC_CLIENT_SECRET && { client_secret: OIDC_CLIENT_SECRET })
+    }
+  });
+  if (!response.ok || !response.body.id_token) {
+    const reason = response.body.error_description || response.body.error || `status ${response.status}`;
+    throw new OidcError(`Token exchange failed: ${reason}`, 'TOKEN_EXCHANGE_FAILED', 401);
+  }
+
+  return verifyIdToken(config, response.body.id_token, pending.nonce);
+};
+
+/**
+ * Map verified ID token claims to the local user shape { id, username, roles }
+ */
+export const mapClaimsToUser = (claims) => {
+  const id = claims[OIDC_USER_ID_CLAIM];
+  const username = claims[OIDC_USERNAME_CLAIM] || claims.email || claims.sub;
+  if (!id || !username) {
+    throw new OidcError(`ID token is missing the ${OIDC_USER_ID_CLAIM} or ${OIDC_USERNAME_CLAIM} claim`, 'MISSING_CLAIMS', 401);
+  }
+  return { id: String(id), username: String(username), roles: [].concat(claims[OIDC_ROLES_CLAIM] || []) };
+};
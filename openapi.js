@@ -0,0 +1,272 @@
+import { AppError, ERROR_CODES } from './errors.js';
+
+// Request schemas, validation and the OpenAPI document.
+// Routes declare their inputs with validate({ summary, query, body, ... }); the same schema
+// objects are collected from the routers to build /api/v1/openapi.json, so the document
+// cannot drift from what the server enforces. Schemas use the JSON Schema subset below.
+
+const QUERY_COERCIONS = {
+  integer: (value) => (/^-?\d+$/.test(value) ? Number(value) : value),
+  number: (value) => (value !== '' && !Number.isNaN(Number(value)) ? Number(value) : value),
+  boolean: (value) => (value === 'true' ? true : value === 'false' ? false : value)
+};
+
+const typeOf = (value) => {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+};
+
+/**
+ * Validate a value against a schema. Supported keywords: type (string or list), enum,
+ * minLength, maxLength, pattern, minimum, maximum, items, minItems, maxItems, properties,
+ * required, additionalProperties (false only) and anyOf.
+ * Returns a list of { field, message }; empty when the value is valid.
+ */
+export const validateSchema = (schema, value, field = '') => {
+  if (!schema) {
+    return [];
+  }
+  const errors = [];
+  const fail = (message) => errors.push({ field: field || '(root)', message });
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => matchesType(value, type))) {
+      fail(`must be ${types.join(' or ')}`);
+      return errors;
+    }
+  }
+
+  if (schema.anyOf && !schema.anyOf.some(option => validateSchema(option, value, field).length === 0)) {
+    fail(schema.anyOfMessage || 'does not match any allowed form');
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`must be one of ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) fail(`must be at least ${schema.minLength} character(s)`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) fail(`must be at most ${schema.maxLength} characters`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) fail(schema.patternMessage || `must match ${schema.pattern}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) fail(`must be at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail(`must be at most ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) fail(`must contain at least ${schema.minItems} item(s)`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) fail(`must contain at most ${schema.maxItems} item(s)`);
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validateSchema(schema.items, item, `${field}[${i}]`)));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const prefix = field ? `${field}.` : '';
+    for (const name of schema.required || []) {
+      if (value[name] === undefined || value[name] === null || value[name] === '') {
+        errors.push({ field: `${prefix}${name}`, message: 'is required' });
+      }
+    }
+    for (const [name, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[name] !== undefined && value[name] !== null && value[name] !== '') {
+        errors.push(...validateSchema(propertySchema, value[name], `${prefix}${name}`));
+      }
+    }
+    if (schema.additionalProperties === false) {
+      for (const name of Object.keys(value)) {
+        if (!schema.properties?.[name]) {
+          errors.push({ field: `${prefix}${name}`, message: 'is not allowed' });
+        }
+      }
+    }
+  }
+
+  return errors;
+};
+
+// Query strings arrive as text - declared numeric and boolean parameters are checked as such.
+// Handlers still read the original strings.
+const coerceQuery = (querySchema, query = {}) => {
+  const coerced = { ...query };
+  for (const [name, schema] of Object.entries(querySchema?.properties || {})) {
+    const coerce = QUERY_COERCIONS[schema.type];
+    if (coerce && typeof coerced[name] === 'string') {
+      coerced[name] = coerce(coerced[name]);
+    }
+  }
+  return coerced;
+};
+
+/**
+ * Errors for a request against a route schema, each tagged with where it was found.
+ * Usable directly when the body is only parsed inside the handler (e.g. by multer).
+ */
+export const requestValidationErrors = (schema, req, parts = ['params', 'query', 'body']) => {
+  const details = [];
+  for (const part of parts) {
+    if (!schema[part]) continue;
+    const value = part === 'query' ? coerceQuery(schema.query, req.query) : req[part] ?? {};
+    details.push(...validateSchema(schema[part], value).map(error => ({ location: part, ...error })));
+  }
+  return details;
+};
+
+export const validationError = (details) => new AppError('VALIDATION_FAILED', undefined, { details });
+
+/**
+ * Route middleware validating params, query and body against `schema`
+ * ({ summary, description, params, query, body, multipart }). `multipart: true` documents
+ * the body as form data with a `files` field; place the middleware after multer so the
+ * form fields are parsed by the time they are checked.
+ */
+export const validate = (schema) => {
+  const middleware = (req, res, next) => {
+    const details = requestValidationErrors(schema, req);
+    next(details.length > 0 ? validationError(details) : undefined);
+  };
+  middleware.apiSchema = schema;
+  return middleware;
+};
+
+// Shared schema fragments
+export const schemaTypes = {
+  storagePath: { type: 'string', maxLength: 4096, description: 'Path relative to the user\'s storage root' },
+  fileName: {
+    type: 'string',
+    minLength: 1,
+    maxLength: 255,
+    pattern: '^[^\\\\/:*?"<>|]+$',
+    patternMessage: 'can\'t contain any of the following characters: \\ / : * ? " < > |'
+  },
+  pathList: { type: 'array', minItems: 1, maxItems: 1000, items: { type: 'string', maxLength: 4096 } },
+  stringOrList: { type: ['string', 'array'], items: { type: 'string' } }
+};
+
+// RFC 7807 body rendered by errorHandler (errors.js)
+const PROBLEM_SCHEMA = {
+  type: 'object',
+  required: ['type', 'title', 'status', 'code'],
+  properties: {
+    type: { type: 'string', format: 'uri' },
+    title: { type: 'string' },
+    status: { type: 'integer' },
+    detail: { type: 'string' },
+    instance: { type: 'string' },
+    code: { type: 'string', enum: Object.keys(ERROR_CODES) },
+    reason: { type: 'string' },
+    requestId: { type: 'string' },
+    details: {},
+    success: { type: 'boolean', const: false },
+    error: { type: 'string' }
+  }
+};
+
+const problemResponse = (description) => ({
+  description,
+  content: { 'application/problem+json': { schema: { $ref: '#/components/schemas/Problem' } } }
+});
+
+const toOpenApiPath = (expressPath) => expressPath.replace(/:(\w+)/g, '{$1}');
+
+// Drop keywords that are ours, not JSON Schema
+const toOpenApiSchema = (schema) => JSON.parse(JSON.stringify(schema, (key, value) => (
+  ['patternMessage', 'anyOfMessage'].includes(key) ? undefined : value
+)));
+
+const describeOperation = (route, schema, { tag, secured }) => {
+  const requiresAuth = secured || route.stack.some(layer => layer.name === 'authenticate');
+  const operation = {
+    tags: [tag],
+    summary: schema?.summary || '',
+    ...(schema?.description && { description: schema.description }),
+    parameters: [],
+    responses: {
+      200: { description: 'Success' },
+      ...(schema && { 400: problemResponse('Request validation failed (code VALIDATION_FAILED)') }),
+      ...(requiresAuth && { 401: { description: 'Authentication required' } }),
+      default: problemResponse('Error - see `code` for the machine-readable reason')
+    },
+    ...(requiresAuth && { security: [{ bearerAuth: [] }] })
+  };
+
+  for (const [location, parameterIn] of [['params', 'path'], ['query', 'query']]) {
+    const properties = schema?.[location]?.properties || {};
+    const required = schema?.[location]?.required || [];
+    for (const [name, parameterSchema] of Object.entries(properties)) {
+      operation.parameters.push({
+        name,
+        in: parameterIn,
+        required: parameterIn === 'path' || required.includes(name),
+        schema: toOpenApiSchema(parameterSchema)
+      });
+    }
+  }
+
+  if (schema?.multipart) {
+    operation.requestBody = {
+      required: true,
+      content: {
+        'multipart/form-data': {
+          schema: toOpenApiSchema({
+            ...schema.body,
+            type: 'object',
+            properties: { files: { type: 'array', items: { type: 'string', format: 'binary' } }, ...schema.body?.properties }
+          })
+        }
+      }
+    };
+  } else if (schema?.body) {
+    operation.requestBody = {
+      required: (schema.body.required || []).length > 0,
+      content: { 'application/json': { schema: toOpenApiSchema(schema.body) } }
+    };
+  }
+  return operation;
+};
+
+/**
+ * Build the OpenAPI 3.1 document for routers mounted under `basePath`.
+ * `mounts` is a list of { prefix, router, tag, secured } in mount order - secured marks
+ * routers mounted behind the authenticate middleware.
+ */
+export const buildOpenApiDocument = ({ title, version, basePath, mounts }) => {
+  const paths = {};
+  for (const { prefix, router, tag, secured = false } of mounts) {
+    for (const layer of router.stack) {
+      const route = layer.route;
+      if (!route) continue;
+      const schema = route.stack.map(routeLayer => routeLayer.handle.apiSchema).find(Boolean);
+      const routePath = route.path === '/' && prefix ? '' : route.path;
+      const fullPath = toOpenApiPath(`${basePath}${prefix}${routePath}`);
+      paths[fullPath] = paths[fullPath] || {};
+      for (const method of Object.keys(route.methods).filter(name => name !== '_all')) {
+        // Like Express, the first matching route wins
+        paths[fullPath][method] = paths[fullPath][method] || describeOperation(route, schema, { tag, secured });
+      }
+    }
+  }
+
+  return {
+    openapi: '3.1.0',
+    info: { title, version },
+    servers: [{ url: '/' }],
+    paths,
+    components: {
+      schemas: { Problem: PROBLEM_SCHEMA },
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT or personal access token' }
+      }
+    }
+  };
+};
@@ -0,0 +1,121 @@
+import express from 'express';
+import identityProvider from './identityProvider.js';
+import { authenticate, requireSessionToken } from './authMiddleware.js';
+import { revokeAllSessions, revokeAllSessionsForUsername } from './sessionRegistry.js';
+import { checkPasswordPolicy, requestPasswordReset, consumePasswordResetToken, passwordResetThrottle } from './passwordReset.js';
+import { clearLockout } from './loginThrottle.js';
+import { recordAuditEvent, AUDIT_EVENTS } from './auditLog.js';
+import { AppError } from './errors.js';
+import { validate } from './openapi.js';
+import { createLogger } from './logger.js';
+
+const router = express.Router();
+const log = createLogger('password');
+
+// Length is checked by the password policy, so a too-short password gets its PASSWORD_POLICY reason
+const PASSWORD_SCHEMA = { type: 'string', maxLength: 1024 };
+
+// Change the signed-in user's password. Other sessions are logged out.
+router.post('/change', authenticate, requireSessionToken, validate({
+  summary: 'Change the signed-in user\'s password',
+  body: {
+    type: 'object',
+    required: ['current_password', 'new_password'],
+    properties: { current_password: PASSWORD_SCHEMA, new_password: PASSWORD_SCHEMA }
+  }
+}), async (req, res, next) => {
+  const { current_password, new_password } = req.body;
+  const policyError = checkPasswordPolicy(new_password);
+  if (policyError) {
+    return next(new AppError('VALIDATION_FAILED', policyError, { reason: 'PASSWORD_POLICY' }));
+  }
+
+  try {
+    const result = await identityProvider.changePassword(req.user, current_password, new_password);
+    if (!result.success) {
+      return res.status(result.status).json({ success: false, ...result.body });
+    }
+
+    const revoked = await revokeAllSessions(req.user.id, { except: req.user.sessionId, reason: 'PASSWORD_CHANGED' });
+    recordAuditEvent(AUDIT_EVENTS.PASSWORD_CHANGED, { sessionsRevoked: revoked.length }, { req });
+    log.info('Password changed', { username: req.user.username, sessionsRevoked: revoked.length });
+
+    res.json({ success: true, message: 'Password changed successfully', sessions_revoked: revoked.length });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Request a reset token. The answer is the same whether or not the user exists, but a token is
+// only issued for an existing user.
+router.post('/reset/request', validate({
+  summary: 'Request a password reset token',
+  body: {
+    type: 'object',
+    required: ['user_name'],
+    properties: { user_name: { type: 'string', minLength: 1, maxLength: 128 } }
+  }
+}), passwordResetThrottle, async (req, res, next) => {
+  const { user_name } = req.body;
+
+  try {
+    if (await identityProvider.userExists(user_name)) {
+      await requestPasswordReset(user_name);
+      recordAuditEvent(AUDIT_EVENTS.PASSWORD_RESET_REQUESTED, {}, { req, user: { id: null, username: user_name } });
+    } else {
+      log.info('Password reset requested for an unknown user', { username: user_name });
+    }
+  } catch (error) {
+    // Don't reveal lookup or delivery problems to the caller
+    log.error('Failed to issue password reset token', { error });
+  }
+
+  res.status(202).json({
+    success: true,
+    message: 'If the account exists, password reset instructions have been sent'
+  });
+});
+
+// Set a new password with a reset token. Every session for the user is logged out.
+router.post('/reset/confirm', validate({
+  summary: 'Set a new password with a reset token',
+  body: {
+    type: 'object',
+    required: ['token', 'new_password'],
+    properties: { token: { type: 'string', maxLength: 256 }, new_password: PASSWORD_SCHEMA }
+  }
+}), async (req, res, next) => {
+  const { token, new_password } = req.body;
+  const policyError = checkPasswordPolicy(new_password);
+  if (policyError) {
+    return next(new AppError('VALIDATION_FAILED', policyError, { reason: 'PASSWORD_POLICY' }));
+  }
+
+  // Tokens are single use - the token is spent even if the provider call below fails
+  const username = consumePasswordResetToken(token);
+  if (!username) {
+    return next(new AppError('VALIDATION_FAILED', 'Reset token is invalid or has expired', { reason: 'INVALID_RESET_TOKEN' }));
+  }
+
+  try {
+    const result = await identityProvider.resetPassword(username, new_password);
+    if (!result.success) {
+      return res.status(result.status).json({ success: false, ...result.body });
+    }
+
+    const revoked = await revokeAllSessionsForUsername(username, 'PASSWORD_RESET');
+    await clearLockout({ username });
+    recordAuditEvent(AUDIT_EVENTS.PASSWORD_RESET, { sessionsRevoked: revoked.length }, {
+      req,
+      user: result.user || { id: null, username },
+      severity: 'medium'
+    });
+    log.info('Password reset', { username, sessionsRevoked: revoked.length });
+
+    res.json({ success: true, message: 'Password has been reset. Please log in again.', sessions_revoked: revoked.length });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
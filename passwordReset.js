@@ -0,0 +1,126 @@
+import crypto from 'crypto';
+import config from './config.js';
+import { ForeignServerClient } from './foreignClient.js';
+import { AppError } from './errors.js';
+import { createLogger } from './logger.js';
+
+// Password reset settings
+// - PASSWORD_RESET_TTL_MS: how long a reset token stays valid
+// - PASSWORD_RESET_DELIVERY: 'log' (only note the issued token in the server log, token redacted -
+//   for development) or 'webhook' (POST { user_name, token, expires_at } to PASSWORD_RESET_WEBHOOK_URL, e.g. a mailer)
+// - PASSWORD_RESET_MAX_REQUESTS / PASSWORD_RESET_REQUEST_WINDOW_MS: reset requests allowed per
+//   username and per client IP within the window
+// - PASSWORD_MIN_LENGTH: minimum length for new passwords
+const PASSWORD_RESET_TTL_MS = config.PASSWORD_RESET_TTL_MS;
+const PASSWORD_RESET_DELIVERY = config.PASSWORD_RESET_DELIVERY;
+const PASSWORD_RESET_WEBHOOK_URL = config.PASSWORD_RESET_WEBHOOK_URL;
+const PASSWORD_RESET_MAX_REQUESTS = config.PASSWORD_RESET_MAX_REQUESTS;
+const PASSWORD_RESET_REQUEST_WINDOW_MS = config.PASSWORD_RESET_REQUEST_WINDOW_MS;
+export const PASSWORD_MIN_LENGTH = config.PASSWORD_MIN_LENGTH;
+
+// sha256(token) -> { username, expiresAt }. Tokens are deleted when used, so each works once.
+const resetTokens = new Map();
+
+// 'user:<name>' or 'ip:<address>' -> times of the reset requests within the window
+const resetRequests = new Map();
+
+const log = createLogger('password-reset');
+
+// Separate client so mailer outages don't trip the foreign server's circuit breaker. The mailer is
+// not the foreign server, so its certificate is checked against Node's default CA store.
+const webhookClient = new ForeignServerClient(PASSWORD_RESET_WEBHOOK_URL, { agent: null });
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Returns an error message when the password is too weak, otherwise null
+export const checkPasswordPolicy = (password) => {
+  if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH) {
+    return `Password must be at least ${PASSWORD_MIN_LENGTH} characters`;
+  }
+  return null;
+};
+
+const deliverResetToken = async (username, token, expiresAt) => {
+  if (PASSWORD_RESET_DELIVERY === 'webhook') {
+    await webhookClient.post(PASSWORD_RESET_WEBHOOK_URL, {
+      user_name: username,
+      token,
+      expires_at: new Date(expiresAt).toISOString()
+    }, { idempotent: true });
+    return;
+  }
+  // Development only (config.js refuses log delivery in production). Logs are shipped and kept,
+  // so the token itself is redacted like any other credential.
+  log.warn('Password reset token issued (log delivery)', {
+    username,
+    expiresAt: new Date(expiresAt).toISOString(),
+    resetToken: token
+  });
+};
+
+const clientIp = (req) => req.ip || req.socket?.remoteAddress || 'unknown';
+
+/**
+ * Express middleware for /reset/request - answers 429 with Retry-After once the username or
+ * client IP has made PASSWORD_RESET_MAX_REQUESTS requests within the window. Every request,
+ * for an existing user or not, uses up one.
+ */
+export const passwordResetThrottle = (req, res, next) => {
+  const now = Date.now();
+  // Pruned on every request, so names that are never asked for again don't pile up
+  for (const [key, times] of resetRequests) {
+    if (times[times.length - 1] + PASSWORD_RESET_REQUEST_WINDOW_MS <= now) {
+      resetRequests.delete(key);
+    }
+  }
+
+  const username = String(req.body?.user_name || '').trim().toLowerCase();
+  const keys = [`ip:${clientIp(req)}`, ...(username ? [`user:${username}`] : [])];
+  const recent = keys.map(key => (resetRequests.get(key) || []).filter(time => time + PASSWORD_RESET_REQUEST_WINDOW_MS > now));
+
+  const full = recent.filter(times => times.length >= PASSWORD_RESET_MAX_REQUESTS);
+  if (full.length > 0) {
+    const retryAfterSec = Math.ceil(Math.max(...full.map(times => times[0] + PASSWORD_RESET_REQUEST_WINDOW_MS - now)) / 1000);
+    log.warn('Password reset request throttled', { username: req.body?.user_name, ip: clientIp(req), retryAfterSec });
+    return next(new AppError('RATE_LIMITED', 'Too many password reset requests. Please wait before retrying.', {
+      reason: 'THROTTLED',
+      details: { retry_after: retryAfterSec },
+      retryAfterSec
+    }));
+  }
+
+  keys.forEach((key, i) => resetRequests.set(key, [...recent[i], now]));
+  next();
+};
+
+/**
+ * Issue a reset token for a username and hand it to the delivery channel.
+ * Any earlier token for the same user stops working.
+ */
+export const requestPasswordReset = async (username) => {
+  const now = Date.now();
+  for (const [hash, record] of resetTokens) {
+    if (record.username === username || record.expiresAt < now) {
+      resetTokens.delete(hash);
+    }
+  }
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = now + PASSWORD_RESET_TTL_MS;
+  resetTokens.set(hashToken(token), { username, expiresAt });
+  await deliverResetToken(username, token, expiresAt);
+};
+
+/**
+ * Use up a reset token. Returns the username it was issued for, or null when
+ * the token is unknown, already used or expired.
+ */
+export const consumePasswordResetToken = (token) => {
+  const hash = hashToken(token);
+  const record = resetTokens.get(hash);
+  resetTokens.delete(hash);
+  if (!record || record.expiresAt < Date.now()) {
+    return null;
+  }
+  return record.username;
+};
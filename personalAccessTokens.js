@@ -0,0 +1,168 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import config from './config.js';
+import { createLogger } from './logger.js';
+
+// Personal access token settings
+// - PAT_STORE_PATH: JSON file holding token records (only hashes are stored)
+// - PAT_DEFAULT_LIFETIME_DAYS / PAT_MAX_LIFETIME_DAYS: expiry when none is given, and the upper bound
+const PAT_STORE_PATH = config.PAT_STORE_PATH;
+const PAT_DEFAULT_LIFETIME_DAYS = config.PAT_DEFAULT_LIFETIME_DAYS;
+const PAT_MAX_LIFETIME_DAYS = config.PAT_MAX_LIFETIME_DAYS;
+
+// Tokens look like aipb_pat_<id>_<secret>; the id locates the record, the secret is verified against its hash
+export const PAT_PREFIX = 'aipb_pat_';
+export const PAT_SCOPES = ['drive:read', 'drive:write', 'chat'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const log = createLogger('personal-access-tokens');
+
+// Records are kept in memory so token checks stay synchronous; changes are written back to the file
+let records = null;
+let writeQueue = Promise.resolve();
+let lastUsedFlushTimer = null;
+
+const loadRecords = () => {
+  if (!records) {
+    records = new Map();
+    try {
+      for (const record of JSON.parse(fs.readFileSync(PAT_STORE_PATH, 'utf8'))) {
+        records.set(record.id, record);
+      }
+      log.info('Loaded personal access tokens', { count: records.size, path: PAT_STORE_PATH });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        log.error('Failed to load personal access tokens', { error: error.message });
+      }
+    }
+  }
+  return records;
+};
+
+const persist = () => {
+  const snapshot = JSON.stringify(Array.from(loadRecords().values()), null, 2);
+  writeQueue = writeQueue.then(async () => {
+    await fs.promises.mkdir(path.dirname(PAT_STORE_PATH), { recursive: true });
+    await fs.promises.writeFile(PAT_STORE_PATH, snapshot, { mode: 0o600 });
+  }).catch(error => log.error('Failed to persist personal access tokens', { error: error.message }));
+  return writeQueue;
+};
+
+// last-used timestamps change on every request, so write them back at most once a minute
+const scheduleLastUsedFlush = () => {
+  if (!lastUsedFlushTimer) {
+    lastUsedFlushTimer = setTimeout(() => {
+      lastUsedFlushTimer = null;
+      persist();
+    }, 60 * 1000);
+    lastUsedFlushTimer.unref?.();
+  }
+};
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest();
+
+// Public view of a record (never includes the hash)
+const describe = (record) => ({
+  id: record.id,
+  name: record.name,
+  scopes: record.scopes,
+  createdAt: record.createdAt,
+  expiresAt: record.expiresAt,
+  lastUsedAt: record.lastUsedAt,
+  revokedAt: record.revokedAt
+});
+
+export const isPersonalAccessToken = (token) => typeof token === 'string' && token.startsWith(PAT_PREFIX);
+
+/**
+ * Create a token for a user. The plain token is only returned here.
+ * Throws an Error with code 'INVALID_SCOPE' or 'INVALID_EXPIRY' for bad input.
+ */
+export const createPersonalAccessToken = async (user, { name, scopes, expiresInDays = PAT_DEFAULT_LIFETIME_DAYS }) => {
+  const requestedScopes = [...new Set(scopes || [])];
+  const unknown = requestedScopes.filter(scope => !PAT_SCOPES.includes(scope));
+  if (requestedScopes.length === 0 || unknown.length > 0) {
+    throw Object.assign(new Error(`Scopes must be one or more of: ${PAT_SCOPES.join(', ')}`), { code: 'INVALID_SCOPE' });
+  }
+
+  const days = Number(expiresInDays);
+  if (!Number.isFinite(days) || days <= 0 || days > PAT_MAX_LIFETIME_DAYS) {
+    throw Object.assign(new Error(`Expiry must be between 1 and ${PAT_MAX_LIFETIME_DAYS} days`), { code: 'INVALID_EXPIRY' });
+  }
+
+  const id = crypto.randomBytes(8).toString('hex');
+  const secret = crypto.randomBytes(32).toString('base64url');
+  const now = Date.now();
+
+  const record = {
+    id,
+    userId: user.id,
+    username: user.username,
+    // Tokens never carry admin rights, even when created by an admin
+    role: user.role === 'readonly' ? 'readonly' : 'user',
+    name: String(name || 'Personal access token').slice(0, 100),
+    scopes: requestedScopes,
+    hash: hashSecret(secret).toString('hex'),
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + days * DAY_MS).toISOString(),
+    lastUsedAt: null,
+    revokedAt: null
+  };
+
+  loadRecords().set(id, record);
+  await persist();
+  log.info('Created personal access token', { patId: id, username: user.username, scopes: requestedScopes });
+
+  return { token: `${PAT_PREFIX}${id}_${secret}`, ...describe(record) };
+};
+
+// A user's tokens (revoked and expired ones included, so the UI can show their history)
+export const listPersonalAccessTokens = (user) => Array.from(loadRecords().values())
+  .filter(record => record.userId === user.id)
+  .map(describe);
+
+/**
+ * Revoke one of the user's tokens. Returns false when the user has no such token.
+ */
+export const revokePersonalAccessToken = async (user, id) => {
+  const record = loadRecords().get(id);
+  if (!record || record.userId !== user.id) {
+    return false;
+  }
+  if (!record.revokedAt) {
+    record.revokedAt = new Date().toISOString();
+    await persist();
+    log.info('Revoked personal access token', { patId: id, username: user.username });
+  }
+  return true;
+};
+
+/**
+ * Look up a presented token. Returns { record } when it is valid, or
+ * { error, type } describing why it was rejected. Marks the token as used.
+ */
+export const findPersonalAccessToken = (token) => {
+  const match = /^aipb_pat_([0-9a-f]{16})_([A-Za-z0-9_-]+)$/.exec(token);
+  if (!match) {
+    return { error: 'Malformed personal access token', type: 'MALFORMED_TOKEN' };
+  }
+
+  const [, id, secret] = match;
+  const record = loadRecords().get(id);
+  const expected = record ? Buffer.from(record.hash, 'hex') : null;
+  if (!expected || !crypto.timingSafeEqual(hashSecret(secret), expected)) {
+    return { error: 'Unknown personal access token', type: 'INVALID_TOKEN' };
+  }
+  if (record.revokedAt) {
+    return { error: 'Personal access token has been revoked', type: 'TOKEN_REVOKED' };
+  }
+  if (Date.parse(record.expiresAt) <= Date.now()) {
+    return { error: 'Personal access token has expired', type: 'TOKEN_EXPIRED' };
+  }
+
+  record.lastUsedAt = new Date().toISOString();
+  scheduleLastUsedFlush();
+  return { record };
+};
@@ -0,0 +1,405 @@
+import config from './config.js';
+import rabbitmq from './rabbitmq.js';
+import { Counter, Gauge } from './metrics.js';
+import { createLogger } from './logger.js';
+
+// RabbitMQ supervision settings
+// - RABBITMQ_RECONNECT_BASE_MS / RABBITMQ_RECONNECT_MAX_MS: reconnect delay, doubled per failed attempt up to the max
+// - RABBITMQ_CHECK_INTERVAL_MS: how often the connection is checked, for losses that raise no close event
+// - RABBITMQ_DEAD_LETTER_EXCHANGE / RABBITMQ_DEAD_LETTER_QUEUE: where messages that cannot be parsed or
+//   handled are moved (a fanout exchange bound to the queue; the original queue is the routing key)
+const RABBITMQ_RECONNECT_BASE_MS = config.RABBITMQ_RECONNECT_BASE_MS;
+const RABBITMQ_RECONNECT_MAX_MS = config.RABBITMQ_RECONNECT_MAX_MS;
+const RABBITMQ_CHECK_INTERVAL_MS = config.RABBITMQ_CHECK_INTERVAL_MS;
+const RABBITMQ_DEAD_LETTER_EXCHANGE = config.RABBITMQ_DEAD_LETTER_EXCHANGE;
+const RABBITMQ_DEAD_LETTER_QUEUE = config.RABBITMQ_DEAD_LETTER_QUEUE;
+
+const log = createLogger('rabbitmq');
+
+const reconnects = new Counter({
+  name: 'aipb_rabbitmq_reconnects_total',
+  help: 'RabbitMQ connections re-established after a failed attempt or a lost connection'
+});
+const deadLettered = new Counter({
+  name: 'aipb_rabbitmq_dead_lettered_total',
+  help: 'Unparseable or undeliverable RabbitMQ messages moved to the dead-letter exchange, by source queue',
+  labelNames: ['queue']
+});
+
+// Half to full exponential delay, so replicas that lost the broker together do not return together
+const reconnectDelay = (attempt) => {
+  const delay = Math.min(RABBITMQ_RECONNECT_BASE_MS * 2 ** attempt, RABBITMQ_RECONNECT_MAX_MS);
+  return Math.round(delay / 2 + Math.random() * delay / 2);
+};
+
+// Message bodies are JSON - empty bodies and anything that does not parse are unparseable
+const decodeMessage = (content) => {
+  const text = content.toString('utf8');
+  if (!text.trim()) {
+    return { error: 'empty message' };
+  }
+  try {
+    return { message: JSON.parse(text) };
+  } catch (error) {
+    return { error: `invalid JSON: ${error.message}` };
+  }
+};
+
+// Best effort - the channel may already be closed, which takes its consumers with it
+const cancelQuietly = (channel, consumerTag) => {
+  Promise.resolve().then(() => channel.cancel(consumerTag)).catch(() => {});
+};
+
+/**
+ * Supervises the RabbitMQ client (rabbitmq.js): connects, notices a lost connection,
+ * reconnects with exponential backoff and re-subscribes every active consumer.
+ * The client's connect() opens the amqplib `connection` and `channel` and declares its queues,
+ * so each reconnect re-declares them. Consumers run on that channel directly: each message is
+ * decoded here, handed to the handler and acked once the handler has finished, or dead-lettered
+ * and nacked when it does not parse or the handler fails.
+ */
+export class RabbitMQSupervisor {
+  // state: connecting -> connected <-> reconnecting, closed before start() and after stop()
+  constructor(client = rabbitmq) {
+    this.client = client;
+    this.state = 'closed';
+    this.changedAt = Date.now();
+    this.attempt = 0;
+    this.lastError = null;
+    this.nextRetryAt = null;
+    this.retryTimer = null;
+    this.checkTimer = null;
+    this.stopped = true;
+    this.subscriptions = new Set(); // { queue, handler, channel, consumer, attaching, processing }
+    this.listeners = new Set();
+    this.watched = new WeakSet();
+  }
+
+  getStatus() {
+    return {
+      state: this.state,
+      since: new Date(this.changedAt).toISOString(),
+      attempt: this.attempt,
+      consumers: this.subscriptions.size,
+      ...(this.lastError && { last_error: this.lastError }),
+      ...(this.nextRetryAt && { next_retry_at: new Date(this.nextRetryAt).toISOString() })
+    };
+  }
+
+  isConnected() {
+    return this.state === 'connected';
+  }
+
+  // listener(status) runs on every state change; returns a function that removes it
+  onStateChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  setState(state) {
+    if (state === this.state) {
+      return;
+    }
+    this.state = state;
+    this.changedAt = Date.now();
+    const status = this.getStatus();
+    for (const listener of this.listeners) {
+      try {
+        listener(status);
+      } catch (error) {
+        log.error('RabbitMQ state listener failed', { error });
+      }
+    }
+  }
+
+  /**
+   * Connect and keep the connection up until stop(). Resolves after the first attempt -
+   * a failed attempt schedules a reconnect instead of failing startup.
+   */
+  async start() {
+    if (!this.stopped) {
+      return this.isConnected();
+    }
+    this.stopped = false;
+    this.setState('connecting');
+    this.checkTimer = setInterval(() => this.check(), RABBITMQ_CHECK_INTERVAL_MS);
+    this.checkTimer.unref();
+    return this.connect();
+  }
+
+  async connect() {
+    try {
+      await this.client.connect();
+      this.watchClient();
+      await this.declareDeadLetter();
+      await this.resubscribe();
+      if (this.attempt > 0) {
+        reconnects.inc();
+      }
+      this.attempt = 0;
+      this.lastError = null;
+      this.nextRetryAt = null;
+      this.setState('connected');
+      log.info('RabbitMQ connected');
+      return true;
+    } catch (error) {
+      log.error('RabbitMQ connection failed', { error: error.message });
+      this.lastError = error.message;
+      // The attempt may have failed after the client connected - the next one opens a new connection
+      await this.closeClient();
+      this.scheduleReconnect();
+      return false;
+    }
+  }
+
+  // Best effort - the connection may be half set up or already gone
+  async closeClient() {
+    try {
+      await this.client.close();
+    } catch (error) {
+      log.warn('Could not close RabbitMQ connection', { error: error.message });
+    }
+  }
+
+  async declareDeadLetter() {
+    const { channel } = this.client;
+    await channel.assertExchange(RABBITMQ_DEAD_LETTER_EXCHANGE, 'fanout', { durable: true });
+    await channel.assertQueue(RABBITMQ_DEAD_LETTER_QUEUE, { durable: true });
+    await channel.bindQueue(RABBITMQ_DEAD_LETTER_QUEUE, RABBITMQ_DEAD_LETTER_EXCHANGE, '');
+  }
+
+  scheduleReconnect() {
+    if (this.stopped || this.retryTimer) {
+      return;
+    }
+    const delay = reconnectDelay(this.attempt);
+    this.attempt++;
+    this.nextRetryAt = Date.now() + delay;
+    this.setState('reconnecting');
+    log.warn('RabbitMQ reconnect scheduled', { attempt: this.attempt, delayMs: delay });
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.connect();
+    }, delay);
+  }
+
+  connectionLost(reason) {
+    if (this.stopped || !this.isConnected()) {
+      return;
+    }
+    log.error('RabbitMQ connection lost', { reason });
+    this.lastError = reason;
+    // The consumers went with the channel; resubscribe() replaces them after reconnecting
+    for (const subscription of this.subscriptions) {
+      this.detach(subscription);
+    }
+    this.scheduleReconnect();
+  }
+
+  watchClient() {
+    for (const [name, target] of [['connection', this.client.connection], ['channel', this.client.channel]]) {
+      if (!this.watched.has(target)) {
+        this.watched.add(target);
+        target.on('close', () => this.connectionLost(`${name} closed`));
+      }
+    }
+  }
+
+  async check() {
+    if (!this.isConnected()) {
+      return;
+    }
+    let connected = false;
+    try {
+      connected = await this.client.ensureConnection();
+    } catch (error) {
+      log.error('RabbitMQ connection check failed', { error: error.message });
+    }
+    if (!connected) {
+      this.connectionLost('connection check failed');
+    }
+  }
+
+  /**
+   * Consume a queue until cancel(), across reconnects. Returns the subscription - it stands in
+   * for the client's consumer (it has a consumerTag) and is what cancel() takes.
+   * handler(message) gets the decoded JSON body; it may return a promise, and the message is
+   * acked when that resolves and dead-lettered when it rejects. Messages reach the handler one
+   * at a time, in delivery order.
+   */
+  async consume(queue, handler) {
+    const subscription = {
+      queue,
+      handler,
+      channel: null,
+      consumer: null,
+      attaching: null,
+      processing: Promise.resolve(), // the message being handled; the next one waits for it
+      get consumerTag() {
+        return this.consumer?.consumerTag;
+      }
+    };
+    this.subscriptions.add(subscription);
+    try {
+      await this.attach(subscription);
+    } catch (error) {
+      this.subscriptions.delete(subscription);
+      throw error;
+    }
+    return subscription;
+  }
+
+  // Returns whether a live consumer was cancelled
+  async cancel(subscription) {
+    if (!subscription || !this.subscriptions.delete(subscription)) {
+      return false;
+    }
+    const { channel, consumer } = subscription;
+    this.detach(subscription);
+    // A consumer on a lost connection is already gone
+    if (!consumer || !this.isConnected() || channel !== this.client.channel) {
+      return false;
+    }
+    await channel.cancel(consumer.consumerTag);
+    return true;
+  }
+
+  /**
+   * Start consuming on the current channel. Safe to call again: a subscription that already
+   * consumes (or is subscribing) on this channel is left alone, and one left on an earlier
+   * channel - by a reconnect that failed partway - is cancelled there first.
+   */
+  attach(subscription) {
+    const { channel } = this.client;
+    if (subscription.channel === channel && subscription.attaching) {
+      return subscription.attaching;
+    }
+    if (subscription.consumer) {
+      cancelQuietly(subscription.channel, subscription.consumer.consumerTag);
+    }
+    subscription.channel = channel;
+    subscription.consumer = null;
+    subscription.attaching = channel.consume(subscription.queue, (message) => this.receive(subscription, channel, message))
+      .then(({ consumerTag }) => {
+        if (subscription.channel !== channel) {
+          // Cancelled, or the connection was lost, while subscribing
+          cancelQuietly(channel, consumerTag);
+          return null;
+        }
+        subscription.consumer = { consumerTag };
+        return subscription.consumer;
+      })
+      .catch((error) => {
+        this.detach(subscription);
+        throw error;
+      });
+    return subscription.attaching;
+  }
+
+  detach(subscription) {
+    subscription.channel = null;
+    subscription.consumer = null;
+    subscription.attaching = null;
+  }
+
+  async resubscribe() {
+    let restored = 0;
+    for (const subscription of this.subscriptions) {
+      if (subscription.channel !== this.client.channel) {
+        restored++;
+      }
+      await this.attach(subscription);
+    }
+    if (restored > 0) {
+      log.info('Re-established RabbitMQ consumers', { consumers: restored });
+    }
+  }
+
+  // Queue a delivery behind the subscription's earlier ones
+  receive(subscription, channel, message) {
+    if (message === null) {
+      // The broker cancelled the consumer (e.g. the queue was deleted)
+      log.warn('RabbitMQ consumer cancelled by the broker', { queue: subscription.queue, consumerTag: subscription.consumerTag });
+      this.detach(subscription);
+      return;
+    }
+    subscription.processing = subscription.processing.then(() => this.process(subscription, channel, message));
+  }
+
+  // Hand a delivery to the subscription's handler, or dead-letter it when the body does not parse
+  // or the handler fails. Never rejects.
+  async process(subscription, channel, message) {
+    const decoded = decodeMessage(message.content);
+    if (decoded.error) {
+      this.deadLetter(channel, subscription.queue, message, decoded.error);
+      return;
+    }
+    try {
+      await subscription.handler(decoded.message);
+    } catch (error) {
+      log.error('RabbitMQ message handler failed', { queue: subscription.queue, error });
+      this.deadLetter(channel, subscription.queue, message, `handler failed: ${error.message}`);
+      return;
+    }
+    try {
+      channel.ack(message);
+    } catch (error) {
+      // The channel closed - the broker redelivers the message once a consumer is back
+      log.warn('Could not ack RabbitMQ message', { queue: subscription.queue, error: error.message });
+    }
+  }
+
+  /**
+   * Queues are declared by the client, so they need not carry x-dead-letter-exchange: the body is
+   * published to the dead-letter exchange here, then nacked without requeue to leave the source queue.
+   * If the channel is gone the message stays unacked and is redelivered after the reconnect.
+   */
+  deadLetter(channel, queue, message, reason) {
+    try {
+      channel.publish(RABBITMQ_DEAD_LETTER_EXCHANGE, queue, message.content, {
+        contentType: message.properties.contentType,
+        persistent: true,
+        headers: {
+          ...message.properties.headers,
+          'x-original-queue': queue,
+          'x-dead-letter-reason': reason,
+          'x-dead-lettered-at': new Date().toISOString()
+        }
+      });
+      channel.nack(message, false, false);
+      deadLettered.inc({ queue });
+      log.warn('Moved RabbitMQ message to the dead-letter exchange', {
+        queue,
+        exchange: RABBITMQ_DEAD_LETTER_EXCHANGE,
+        reason
+      });
+    } catch (error) {
+      log.error('Failed to dead-letter RabbitMQ message', { queue, reason, error: error.message });
+    }
+  }
+
+  // Stop reconnecting and close the connection (shutdown)
+  async stop() {
+    this.stopped = true;
+    clearTimeout(this.retryTimer);
+    clearInterval(this.checkTimer);
+    this.retryTimer = null;
+    this.checkTimer = null;
+    this.subscriptions.clear();
+    this.attempt = 0;
+    this.lastError = null;
+    this.nextRetryAt = null;
+    this.setState('closed');
+    await this.client.close();
+  }
+}
+
+new Gauge({
+  name: 'aipb_rabbitmq_connected',
+  help: 'Whether the RabbitMQ connection is up (1) or not (0)',
+  collect: () => (rabbitmqSupervisor.isConnected() ? 1 : 0)
+});
+
+const rabbitmqSupervisor = new RabbitMQSupervisor();
+
+export default rabbitmqSupervisor;
@@ -0,0 +1,129 @@
+import crypto from 'crypto';
+import config from './config.js';
+import { createLogger } from './logger.js';
+
+// Refresh token settings
+// - REFRESH_TOKEN_TTL_MS: how long one refresh token can be used
+// - REFRESH_FAMILY_MAX_AGE_MS: hard limit on a login's lifetime, however often it is refreshed
+const REFRESH_TOKEN_TTL_MS = config.REFRESH_TOKEN_TTL_MS;
+const REFRESH_FAMILY_MAX_AGE_MS = config.REFRESH_FAMILY_MAX_AGE_MS;
+
+const log = createLogger('refresh-tokens');
+
+// Each login starts a token family. Refreshing rotates to a new token in the same family;
+// presenting an already-used token means it was stolen, so the whole family is revoked.
+const families = new Map(); // familyId -> { id, user, createdAt, expiresAt, refreshableUntil, revokedAt, revokedReason }
+const tokens = new Map();   // sha256(token) -> { familyId, expiresAt, usedAt }
+
+export class RefreshTokenError extends Error {
+  constructor(message, type = 'INVALID_REFRESH_TOKEN', familyId = null) {
+    super(message);
+    this.name = 'RefreshTokenError';
+    this.type = type;
+    this.familyId = familyId;
+    this.status = 401;
+  }
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// A family has one unused token at a time; refreshableUntil is when that token expires
+const issueToken = (family) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = Math.min(Date.now() + REFRESH_TOKEN_TTL_MS, family.expiresAt);
+  tokens.set(hashToken(token), { familyId: family.id, expiresAt, usedAt: null });
+  family.refreshableUntil = expiresAt;
+  return token;
+};
+
+// Drop tokens and families that can no longer be used
+const prune = () => {
+  const now = Date.now();
+  for (const [hash, record] of tokens) {
+    if (record.expiresAt < now) tokens.delete(hash);
+  }
+  for (const [id, family] of families) {
+    if (family.expiresAt < now) families.delete(id);
+  }
+};
+
+/**
+ * Start a token family for a fresh login.
+ * Returns { familyId, refreshToken }.
+ */
+export const createRefreshTokenFamily = (user) => {
+  prune();
+  const now = Date.now();
+  const family = {
+    id: crypto.randomUUID(),
+    user: { id: user.id, username: user.username, role: user.role },
+    createdAt: now,
+    expiresAt: now + REFRESH_FAMILY_MAX_AGE_MS,
+    refreshableUntil: null,
+    revokedAt: null,
+    revokedReason: null
+  };
+  families.set(family.id, family);
+  return { familyId: family.id, refreshToken: issueToken(family) };
+};
+
+/**
+ * Exchange a refresh token for a new one in the same family.
+ * Returns { familyId, user, refreshToken }; throws RefreshTokenError otherwise.
+ */
+export const rotateRefreshToken = (refreshToken) => {
+  if (!refreshToken) {
+    throw new RefreshTokenError('Refresh token is required', 'MISSING_REFRESH_TOKEN');
+  }
+
+  const hash = hashToken(refreshToken);
+  const record = tokens.get(hash);
+  const family = record ? families.get(record.familyId) : null;
+  if (!record || !family) {
+    throw new RefreshTokenError('Unknown refresh token');
+  }
+
+  if (family.revokedAt) {
+    throw new RefreshTokenError('Session has been revoked', 'SESSION_REVOKED');
+  }
+
+  if (record.usedAt) {
+    // Someone is replaying a rotated token - assume it leaked and end the whole login
+    revokeRefreshTokenFamily(family.id, 'REUSE_DETECTED');
+    log.warn('Refresh token reuse detected - revoked session', { username: family.user.username, sessionId: family.id });
+    throw new RefreshTokenError('Refresh token has already been used', 'REFRESH_TOKEN_REUSED', family.id);
+  }
+
+  if (record.expiresAt < Date.now()) {
+    throw new RefreshTokenError('Refresh token has expired', 'REFRESH_TOKEN_EXPIRED');
+  }
+
+  record.usedAt = Date.now();
+  return { familyId: family.id, user: family.user, refreshToken: issueToken(family) };
+};
+
+/**
+ * Revoke a token family so its refresh tokens and access tokens stop working
+ */
+export const revokeRefreshTokenFamily = (familyId, reason = 'LOGOUT') => {
+  const family = families.get(familyId);
+  if (!family || family.revokedAt) {
+    return false;
+  }
+  family.revokedAt = Date.now();
+  family.revokedReason = reason;
+  for (const [hash, record] of tokens) {
+    if (record.familyId === familyId) tokens.delete(hash);
+  }
+  return true;
+};
+
+// True while the family can still be refreshed - an abandoned login stops being active once its
+// last refresh token expires, well before the family's maximum age
+export const isRefreshTokenFamilyActive = (familyId) => {
+  const family = families.get(familyId);
+  return Boolean(family && !family.revokedAt && family.refreshableUntil > Date.now());
+};
+
+// True when access tokens carrying this family id must be rejected
+export const isRefreshTokenFamilyRevoked = (familyId) => Boolean(families.get(familyId)?.revokedAt);
@@ -0,0 +1,168 @@
+import { revokeRefreshTokenFamily, isRefreshTokenFamilyActive } from './refreshTokens.js';
+import { createLogger } from './logger.js';
+
+// Login sessions, keyed by the refresh token family id that /login creates.
+// Each entry records the device and the Socket.IO connections opened with the session's tokens,
+// and owns the storage mount reference the login took (released when the session ends).
+const sessions = new Map(); // sessionId -> { id, userId, username, userAgent, ip, createdAt, lastSeenAt, sockets, releaseStorage }
+
+// How often sessions are checked for expiry, so an abandoned login still gives back its mount
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+const log = createLogger('sessions');
+
+// Public view of a session
+const describe = (session) => ({
+  id: session.id,
+  userAgent: session.userAgent,
+  ip: session.ip,
+  createdAt: new Date(session.createdAt).toISOString(),
+  lastSeenAt: new Date(session.lastSeenAt).toISOString(),
+  sockets: session.sockets.size
+});
+
+// Drop a session and release the storage mount reference its login took
+const forget = async (session) => {
+  sessions.delete(session.id);
+  try {
+    await session.releaseStorage?.();
+  } catch (error) {
+    log.error('Failed to release storage for session', { sessionId: session.id, error: error.message });
+  }
+};
+
+// Forget sessions whose token family has expired or was revoked elsewhere
+const prune = async () => {
+  const ended = Array.from(sessions.values())
+    .filter(session => !isRefreshTokenFamilyActive(session.id) && session.sockets.size === 0);
+  await Promise.all(ended.map(forget));
+};
+
+// Sessions leave the map at once; their storage is released in the background
+const pruneInBackground = () => {
+  prune().catch(error => log.error('Failed to prune sessions', { error: error.message }));
+};
+
+setInterval(pruneInBackground, PRUNE_INTERVAL_MS).unref();
+
+/**
+ * Record a new login session for the request that created it.
+ * `releaseStorage` drops the login's storage mount reference; it is called once the session ends.
+ */
+export const createSession = (sessionId, user, req, { releaseStorage = null } = {}) => {
+  pruneInBackground();
+  const now = Date.now();
+  sessions.set(sessionId, {
+    id: sessionId,
+    userId: String(user.id),
+    username: user.username,
+    userAgent: req.get('user-agent') || 'unknown',
+    ip: req.ip || req.socket?.remoteAddress || 'unknown',
+    createdAt: now,
+    lastSeenAt: now,
+    sockets: new Map(), // socket.id -> socket
+    releaseStorage
+  });
+};
+
+// Mark a session as seen (called for every authenticated request)
+export const touchSession = (sessionId) => {
+  const session = sessions.get(sessionId);
+  if (session) {
+    session.lastSeenAt = Date.now();
+  }
+};
+
+/**
+ * Associate a connected socket with its user's login session until it disconnects
+ */
+export const trackSocket = (socket) => {
+  const session = sessions.get(socket.data.user?.sessionId);
+  if (!session) {
+    return;
+  }
+
+  session.sockets.set(socket.id, socket);
+  session.lastSeenAt = Date.now();
+  socket.on('disconnect', () => {
+    session.sockets.delete(socket.id);
+  });
+};
+
+// The user's active sessions, most recently used first
+export const listSessions = (userId) => {
+  pruneInBackground();
+  return Array.from(sessions.values())
+    .filter(session => session.userId === String(userId))
+    .sort((a, b) => b.lastSeenAt - a.lastSeenAt)
+    .map(describe);
+};
+
+/**
+ * End a session: revoke its tokens, cancel chat streams started from its
+ * sockets, disconnect them and release its storage mount reference.
+ * Returns false when there is no such session.
+ */
+export const terminateSession = async (sessionId, reason = 'REVOKED') => {
+  const session = sessions.get(sessionId);
+  revokeRefreshTokenFamily(sessionId, reason);
+  if (!session) {
+    return false;
+  }
+
+  await forget(session);
+
+  const sockets = Array.from(session.sockets.values());
+  if (sockets.length > 0) {
+    const { cancelConsumersForSockets } = await import('./socketChat.js');
+    const cancelled = await cancelConsumersForSockets(sockets.map(socket => socket.id));
+    for (const socket of sockets) {
+      socket.emit('session-revoked', { sessionId, reason });
+      socket.disconnect(true);
+    }
+    log.info('Disconnected session sockets', { sessionId, sockets: sockets.length, streamsCancelled: cancelled });
+  }
+
+  log.info('Revoked session', { sessionId, username: session.username, reason });
+  return true;
+};
+
+/**
+ * End one of the user's sessions. Returns false when the user has no such session.
+ */
+export const revokeSession = async (userId, sessionId, reason = 'REVOKED') => {
+  const session = sessions.get(sessionId);
+  if (!session || session.userId !== String(userId)) {
+    return false;
+  }
+  return terminateSession(sessionId, reason);
+};
+
+/**
+ * End every session of a user, optionally keeping one (e.g. the caller's).
+ * Returns the ids of the revoked sessions.
+ */
+export const revokeAllSessions = async (userId, { except = null, reason = 'LOGOUT_EVERYWHERE' } = {}) => {
+  const ids = Array.from(sessions.values())
+    .filter(session => session.userId === String(userId) && session.id !== except)
+    .map(session => session.id);
+
+  for (const id of ids) {
+    await revokeSession(userId, id, reason);
+  }
+  return ids;
+};
+
+/**
+ * End every session for a username (used when the password is reset without a signed-in user)
+ */
+export const revokeAllSessionsForUsername = async (username, reason = 'PASSWORD_RESET') => {
+  const ids = Array.from(sessions.values())
+    .filter(session => session.username === username)
+    .map(session => session.id);
+
+  for (const id of ids) {
+    await terminateSession(id, reason);
+  }
+  return ids;
+};
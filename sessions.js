@@ -0,0 +1,56 @@
+import express from 'express';
+import { requireSessionToken, revokeToken } from './authMiddleware.js';
+import { listSessions, revokeSession, revokeAllSessions } from './sessionRegistry.js';
+import { AppError } from './errors.js';
+import { createLogger } from './logger.js';
+
+const router = express.Router();
+const log = createLogger('sessions');
+
+// Sessions can only be managed from an interactive login, never with a personal access token
+router.use(requireSessionToken);
+
+// List the caller's active login sessions (devices)
+router.get('/', (req, res) => {
+  const sessions = listSessions(req.user.id).map(session => ({
+    ...session,
+    current: session.id === req.user.sessionId
+  }));
+  res.json({ success: true, sessions, current_session_id: req.user.sessionId });
+});
+
+// Log out everywhere - ?keep_current=true keeps the caller's own session
+router.delete('/', async (req, res, next) => {
+  const keepCurrent = req.query.keep_current === 'true';
+
+  try {
+    const revoked = await revokeAllSessions(req.user.id, {
+      except: keepCurrent ? req.user.sessionId : null
+    });
+    if (!keepCurrent) {
+      revokeToken(req.user);
+    }
+    log.info('User logged out sessions', { username: req.user.username, count: revoked.length });
+    res.json({ success: true, message: 'Sessions revoked', revoked });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Revoke one session - its tokens stop working and its sockets are disconnected
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const revoked = await revokeSession(req.user.id, req.params.id);
+    if (!revoked) {
+      return next(new AppError('NOT_FOUND', 'Session not found'));
+    }
+    if (req.params.id === req.user.sessionId) {
+      revokeToken(req.user);
+    }
+    res.json({ success: true, message: 'Session revoked', id: req.params.id });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,118 @@
+import { verifyAccessToken, hasScope } from './authMiddleware.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('socket-auth');
+
+// Prefix for rooms owned by a user. Every room a socket joins lives under its user's prefix,
+// so chat-stream events for one user can never be delivered to another user's socket.
+const USER_ROOM_PREFIX = 'user:';
+
+// The personal room every authenticated socket joins on connect
+export const personalRoom = (userId) => `${USER_ROOM_PREFIX}${userId}`;
+
+/**
+ * Map a client supplied room id to the user's namespaced room.
+ * Returns null when the client names a room owned by someone else.
+ */
+export const userRoom = (userId, roomId) => {
+  const ownPrefix = `${personalRoom(userId)}:`;
+  if (!roomId) {
+    return personalRoom(userId);
+  }
+
+  const room = String(roomId);
+  if (room === personalRoom(userId) || room.startsWith(ownPrefix)) {
+    return room;
+  }
+  if (room.startsWith(USER_ROOM_PREFIX)) {
+    return null;
+  }
+  return `${ownPrefix}${room}`;
+};
+
+// Token from the handshake auth payload, falling back to the Authorization header
+const handshakeToken = (socket) => socket.handshake.auth?.token || socket.handshake.headers?.authorization;
+
+/**
+ * Socket.IO middleware - rejects connections without a valid token and
+ * stores the verified user on socket.data.user
+ */
+export const authenticateSocket = (socket, next) => {
+  try {
+    const user = verifyAccessToken(handshakeToken(socket));
+    if (!hasScope(user, 'chat')) {
+      return next(Object.assign(new Error('Token scope does not allow chat'), { data: { reason: 'INSUFFICIENT_SCOPE' } }));
+    }
+    socket.data.user = user;
+    next();
+  } catch (error) {
+    log.warn('Rejected socket', { socketId: socket.id, error: error.message });
+    next(Object.assign(new Error('Authentication required'), { data: { reason: error.type || 'INVALID_TOKEN' } }));
+  }
+};
+
+/**
+ * The socket's user, re-checked so an expired or revoked token stops working
+ * on an open connection. Throws AuthenticationError.
+ */
+export const currentSocketUser = (socket) => verifyAccessToken(socket.data.user.token);
+
+/**
+ * Let an open connection swap in a renewed access token without reconnecting.
+ * The client emits 'renew-token' with { token } and gets { success, expiresAt } back.
+ */
+export const registerTokenRenewal = (socket) => {
+  socket.on('renew-token', (data = {}, ack = () => {}) => {
+    try {
+      const user = verifyAccessToken(data.token);
+      if (user.id !== socket.data.user.id) {
+        log.warn('Socket tried to renew with a token for another user', { socketId: socket.id });
+        return ack({ success: false, error: 'Token belongs to a different user' });
+      }
+      if (!hasScope(user, 'chat')) {
+        return ack({ success: false, error: 'Token scope does not allow chat' });
+      }
+
+      socket.data.user = user;
+      const expiresAt = user.claims.exp ? new Date(user.claims.exp * 1000).toISOString() : null;
+      log.debug('Socket renewed token', { socketId: socket.id, username: user.username });
+      ack({ success: true, expiresAt });
+    } catch (error) {
+      log.warn('Socket token renewal rejected', { socketId: socket.id, error: error.message });
+      ack({ success: false, error: error.message, reason: error.type || 'INVALID_TOKEN' });
+    }
+  });
+};
+
+/**
+ * Room handlers for an authenticated socket. Clients pass their own room ids;
+ * joins are bound to the verified user and joins to other users' rooms are refused.
+ */
+export const registerRoomHandlers = (socket) => {
+  const user = socket.data.user;
+  socket.join(personalRoom(user.id));
+
+  socket.on('join-chat-room', (data = {}) => {
+    const { roomId, sessionId } = data;
+    const room = userRoom(user.id, roomId);
+    if (!room) {
+      log.warn('Socket refused join to room', { socketId: socket.id, username: user.username, roomId });
+      socket.emit('room-join-error', { roomId, status: 'forbidden', error: 'You do not have access to this room' });
+      return;
+    }
+
+    socket.join(room);
+    log.debug('Socket joined chat room', { socketId: socket.id, room, sessionId });
+
+    // Acknowledge room join
+    socket.emit('room-joined', { roomId, status: 'success' });
+  });
+
+  socket.on('leave-chat-room', (data = {}) => {
+    const room = userRoom(user.id, data.roomId);
+    if (room) {
+      socket.leave(room);
+      log.debug('Socket left chat room', { socketId: socket.id, room });
+    }
+  });
+};
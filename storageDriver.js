@@ -0,0 +1,465 @@
+import fs from 'fs/promises';
+import { createReadStream, createWriteStream } from 'fs';
+import path from 'path';
+import process from 'process';
+import { Readable, Writable } from 'stream';
+import { pipeline } from 'stream/promises';
+import config from './config.js';
+import mountRegistry, { isValidStorageUsername } from './mountRegistry.js';
+import { createLogger } from './logger.js';
+
+// Storage settings
+// - STORAGE_DRIVER: 'nfs' (per-user NFS mounts, default), 'local' or 'memory'
+// - STORAGE_LOCAL_ROOT: parent directory of per-user folders for the 'local' driver
+const STORAGE_DRIVER = config.STORAGE_DRIVER;
+const STORAGE_LOCAL_ROOT = config.STORAGE_LOCAL_ROOT;
+
+const log = createLogger('storage');
+
+// Build an fs-style error so callers can branch on error.code like they do for fs errors
+const storageError = (code, message) => Object.assign(new Error(message), { code });
+
+/**
+ * Normalize a user supplied path to a '/'-separated path relative to the user's
+ * root ('' is the root). Returns null when the path escapes the root.
+ */
+export const normalizeStoragePath = (userPath) => {
+  if (!userPath || userPath === '/' || userPath === '.') {
+    return '';
+  }
+  if (typeof userPath !== 'string') {
+    return null;
+  }
+
+  const normalized = path.posix.normalize(userPath.replace(/\\/g, '/').replace(/^\/+/, ''));
+  if (normalized === '..' || normalized.startsWith('../')) {
+    return null;
+  }
+  return normalized === '.' ? '' : normalized.replace(/\/+$/, '');
+};
+
+// Storage driver interface. All paths are relative to the user's root and use '/'.
+// Entries returned by list/stat look like:
+//   { name, path, isDirectory, size, modified, created, accessed, mode, unreadable }
+export class StorageDriver {
+  constructor(name) {
+    this.name = name;
+  }
+
+  // Called on login/logout so drivers can prepare or release per-user storage
+  async attachUser(_username) {}
+  detachUser(_username) { return true; }
+
+  isAvailable(_user) { throw new Error(`${this.name}: isAvailable not implemented`); }
+  getStatus(_username) { throw new Error(`${this.name}: getStatus not implemented`); }
+  getRoot(_user) { throw new Error(`${this.name}: getRoot not implemented`); }
+  async list(_user, _relPath) { throw new Error(`${this.name}: list not implemented`); }
+  async stat(_user, _relPath) { throw new Error(`${this.name}: stat not implemented`); }
+  async createReadStream(_user, _relPath) { throw new Error(`${this.name}: createReadStream not implemented`); }
+  async createWriteStream(_user, _relPath) { throw new Error(`${this.name}: createWriteStream not implemented`); }
+  async mkdir(_user, _relPath, _options) { throw new Error(`${this.name}: mkdir not implemented`); }
+  async rename(_user, _fromPath, _toPath) { throw new Error(`${this.name}: rename not implemented`); }
+  async copy(_user, _fromPath, _toPath) { throw new Error(`${this.name}: copy not implemented`); }
+  async delete(_user, _relPath) { throw new Error(`${this.name}: delete not implemented`); }
+
+  // Path shown to users and handed to the LLM for a stored file
+  describePath(user, relPath) {
+    const root = this.getRoot(user) || '';
+    return `${root.replace(/\\/g, '/').replace(/\/+$/, '')}/${relPath}`;
+  }
+
+  async exists(user, relPath) {
+    try {
+      await this.stat(user, relPath);
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+
+  // Copy a local file (e.g. a multer temp upload) into storage
+  async importFile(user, localPath, relPath) {
+    await pipeline(createReadStream(localPath), await this.createWriteStream(user, relPath));
+  }
+
+  async writeFile(user, relPath, data) {
+    await pipeline(Readable.from([Buffer.from(data)]), await this.createWriteStream(user, relPath));
+  }
+
+  // Check that the user's root exists and is readable and writable
+  async probe(user) {
+    const result = { exists: false, readable: false, writable: false, error: null };
+    try {
+      const root = await this.stat(user, '');
+      result.exists = root.isDirectory;
+      await this.list(user, '');
+      result.readable = true;
+      const probePath = `.aipb-probe-${process.pid}-${Date.now()}`;
+      await this.writeFile(user, probePath, 'ok');
+      await this.delete(user, probePath);
+      result.writable = true;
+    } catch (error) {
+      result.error = error.message;
+    }
+    return result;
+  }
+}
+
+// Driver backed by a directory on the local filesystem (or an NFS mount point)
+export class LocalDirectoryDriver extends StorageDriver {
+  constructor(name, resolveRoot) {
+    super(name);
+    this.resolveRoot = resolveRoot;
+  }
+
+  getRoot(user) {
+    return user ? this.resolveRoot(user.username) : null;
+  }
+
+  isAvailable(user) {
+    return Boolean(this.getRoot(user));
+  }
+
+  getStatus(username) {
+    const root = username ? this.resolveRoot(username) : null;
+    return {
+      driver: this.name,
+      isNFSMounted: Boolean(root),
+      isNFSAvailable: Boolean(root),
+      nfsMountPoint: root,
+      currentUsername: username || null
+    };
+  }
+
+  // Resolve a relative path to an absolute path inside the user's root
+  resolve(user, relPath) {
+    const root = this.getRoot(user);
+    if (!root) {
+      throw storageError('ENOTMOUNTED', `Storage not available for user ${user?.username || 'unknown'}`);
+    }
+    const rootPath = path.resolve(root);
+    const fullPath = path.resolve(rootPath, relPath || '.');
+    if (fullPath !== rootPath && !fullPath.startsWith(rootPath + path.sep)) {
+      throw storageError('EPATHTRAVERSAL', `Path escapes storage root: ${relPath}`);
+    }
+    return fullPath;
+  }
+
+  toEntry(name, relPath, stats) {
+    return {
+      name,
+      path: relPath,
+      isDirectory: stats.isDirectory(),
+      size: stats.size,
+      modified: stats.mtime,
+      created: stats.birthtime,
+      accessed: stats.atime,
+      mode: stats.mode,
+      unreadable: false
+    };
+  }
+
+  async list(user, relPath) {
+    const dirPath = this.resolve(user, relPath);
+    const items = await fs.readdir(dirPath, { withFileTypes: true });
+    return Promise.all(items.map(async (item) => {
+      const itemRelPath = relPath ? `${relPath}/${item.name}` : item.name;
+      try {
+        return this.toEntry(item.name, itemRelPath, await fs.stat(path.join(dirPath, item.name)));
+      } catch {
+        // Return basic info for entries that can't be stat'ed
+        return {
+          name: item.name,
+          path: itemRelPath,
+          isDirectory: item.isDirectory(),
+          size: 0,
+          modified: null,
+          created: null,
+          accessed: null,
+          mode: 0,
+          unreadable: true
+        };
+      }
+    }));
+  }
+
+  async stat(user, relPath) {
+    const stats = await fs.stat(this.resolve(user, relPath));
+    return this.toEntry(path.posix.basename(relPath || ''), relPath, stats);
+  }
+
+  async createReadStream(user, relPath) {
+    const fullPath = this.resolve(user, relPath);
+    const stats = await fs.stat(fullPath);
+    if (stats.isDirectory()) {
+      throw storageError('EISDIR', `Path is a directory: ${relPath}`);
+    }
+    return createReadStream(fullPath);
+  }
+
+  async createWriteStream(user, relPath) {
+    const fullPath = this.resolve(user, relPath);
+    await fs.mkdir(path.dirname(fullPath), { recursive: true });
+    return createWriteStream(fullPath);
+  }
+
+  async mkdir(user, relPath, options = {}) {
+    await fs.mkdir(this.resolve(user, relPath), { recursive: Boolean(options.recursive) });
+  }
+
+  async rename(user, fromPath, toPath) {
+    await fs.rename(this.resolve(user, fromPath), this.resolve(user, toPath));
+  }
+
+  async copy(user, fromPath, toPath) {
+    await fs.cp(this.resolve(user, fromPath), this.resolve(user, toPath), { recursive: true });
+  }
+
+  async delete(user, relPath) {
+    if (!relPath) {
+      throw storageError('EPERM', 'Refusing to delete the storage root');
+    }
+    await fs.rm(this.resolve(user, relPath), { recursive: true });
+  }
+}
+
+// NFS driver - each user's root is their mount point from the mount registry
+export class NFSDriver extends LocalDirectoryDriver {
+  constructor() {
+    super('nfs', (username) => mountRegistry.getMountPoint(username));
+  }
+
+  async attachUser(username) {
+    return mountRegistry.acquire(username);
+  }
+
+  detachUser(username) {
+    return mountRegistry.release(username);
+  }
+
+  getStatus(username) {
+    return { driver: this.name, ...mountRegistry.getStatus(username) };
+  }
+}
+
+// Plain local-directory driver - each user gets <STORAGE_LOCAL_ROOT>/<username>.
+// Usernames that are not plain names (same rules as NFS mounts) get no root, so nothing
+// like '..' can leave STORAGE_LOCAL_ROOT.
+export class LocalUserDirectoryDriver extends LocalDirectoryDriver {
+  constructor(baseDir = STORAGE_LOCAL_ROOT) {
+    super('local', (username) => (isValidStorageUsername(username) ? path.join(baseDir, username) : null));
+  }
+
+  async attachUser(username) {
+    const root = this.resolveRoot(username);
+    if (!root) {
+      throw storageError('EINVALIDUSER', `Username ${JSON.stringify(username)} cannot be used for a storage directory`);
+    }
+    await fs.mkdir(root, { recursive: true });
+    return root;
+  }
+}
+
+// In-memory driver for tests and offline development
+export class MemoryDriver extends StorageDriver {
+  constructor() {
+    super('memory');
+    this.trees = new Map(); // username -> Map(relPath -> node)
+  }
+
+  tree(user) {
+    if (!user) {
+      throw storageError('ENOTMOUNTED', 'Storage not available without a user');
+    }
+    if (!this.trees.has(user.username)) {
+      const now = new Date();
+      this.trees.set(user.username, new Map([['', { type: 'dir', created: now, modified: now }]]));
+    }
+    return this.trees.get(user.username);
+  }
+
+  parentOf(relPath) {
+    const parent = path.posix.dirname(relPath);
+    return parent === '.' ? '' : parent;
+  }
+
+  node(user, relPath) {
+    const node = this.tree(user).get(relPath || '');
+    if (!node) {
+      throw storageError('ENOENT', `No such file or directory: ${relPath}`);
+    }
+    return node;
+  }
+
+  toEntry(relPath, node) {
+    return {
+      name: path.posix.basename(relPath),
+      path: relPath,
+      isDirectory: node.type === 'dir',
+      size: node.type === 'dir' ? 0 : node.data.length,
+      modified: node.modified,
+      created: node.created,
+      accessed: node.modified,
+      mode: node.type === 'dir' ? 0o755 : 0o644,
+      unreadable: false
+    };
+  }
+
+  // Moving or copying a directory into itself would detach the subtree - refused, as fs does
+  checkNotInside(fromPath, toPath) {
+    if (fromPath === '' || toPath.startsWith(`${fromPath}/`)) {
+      throw storageError('EINVAL', `Cannot move or copy ${fromPath || 'the storage root'} into itself: ${toPath}`);
+    }
+  }
+
+  // Paths of a node and everything below it
+  subtree(user, relPath) {
+    const prefix = `${relPath}/`;
+    return Array.from(this.tree(user).keys()).filter(key => key === relPath || (relPath === '' ? key !== '' : key.startsWith(prefix)));
+  }
+
+  async attachUser(username) {
+    this.tree({ username });
+    return `memory://${username}`;
+  }
+
+  getRoot(user) {
+    return user ? `memory://${user.username}` : null;
+  }
+
+  isAvailable(user) {
+    return Boolean(user);
+  }
+
+  getStatus(username) {
+    return {
+      driver: this.name,
+      isNFSMounted: Boolean(username),
+      isNFSAvailable: Boolean(username),
+      nfsMountPoint: username ? `memory://${username}` : null,
+      currentUsername: username || null
+    };
+  }
+
+  async list(user, relPath) {
+    const dir = this.node(user, relPath);
+    if (dir.type !== 'dir') {
+      throw storageError('ENOTDIR', `Not a directory: ${relPath}`);
+    }
+    const entries = [];
+    for (const [key, node] of this.tree(user)) {
+      if (key !== '' && this.parentOf(key) === (relPath || '')) {
+        entries.push(this.toEntry(key, node));
+      }
+    }
+    return entries;
+  }
+
+  async stat(user, relPath) {
+    return this.toEntry(relPath || '', this.node(user, relPath));
+  }
+
+  async createReadStream(user, relPath) {
+    const node = this.node(user, relPath);
+    if (node.type === 'dir') {
+      throw storageError('EISDIR', `Path is a directory: ${relPath}`);
+    }
+    return Readable.from([node.data]);
+  }
+
+  async createWriteStream(user, relPath) {
+    await this.mkdir(user, this.parentOf(relPath), { recursive: true });
+    const tree = this.tree(user);
+    const chunks = [];
+    return new Writable({
+      write(chunk, encoding, callback) {
+        chunks.push(Buffer.from(chunk, encoding));
+        callback();
+      },
+      final(callback) {
+        const now = new Date();
+        tree.set(relPath, { type: 'file', data: Buffer.concat(chunks), created: tree.get(relPath)?.created || now, modified: now });
+        callback();
+      }
+    });
+  }
+
+  async mkdir(user, relPath, options = {}) {
+    const tree = this.tree(user);
+    const existing = tree.get(relPath || '');
+    if (existing) {
+      if (options.recursive && existing.type === 'dir') return;
+      throw storageError('EEXIST', `Already exists: ${relPath}`);
+    }
+    const parent = this.parentOf(relPath);
+    if (!tree.has(parent)) {
+      if (!options.recursive) {
+        throw storageError('ENOENT', `Parent directory does not exist: ${parent}`);
+      }
+      await this.mkdir(user, parent, options);
+    }
+    const now = new Date();
+    tree.set(relPath, { type: 'dir', created: now, modified: now });
+  }
+
+  async rename(user, fromPath, toPath) {
+    const tree = this.tree(user);
+    this.node(user, fromPath);
+    this.checkNotInside(fromPath, toPath);
+    if (!tree.has(this.parentOf(toPath))) {
+      throw storageError('ENOENT', `Parent directory does not exist: ${this.parentOf(toPath)}`);
+    }
+    for (const key of this.subtree(user, fromPath)) {
+      const node = tree.get(key);
+      tree.delete(key);
+      tree.set(toPath + key.slice(fromPath.length), node);
+    }
+  }
+
+  async copy(user, fromPath, toPath) {
+    const tree = this.tree(user);
+    this.node(user, fromPath);
+    this.checkNotInside(fromPath, toPath);
+    if (!tree.has(this.parentOf(toPath))) {
+      throw storageError('ENOENT', `Parent directory does not exist: ${this.parentOf(toPath)}`);
+    }
+    for (const key of this.subtree(user, fromPath)) {
+      const node = tree.get(key);
+      tree.set(toPath + key.slice(fromPath.length), { ...node, modified: new Date() });
+    }
+  }
+
+  async delete(user, relPath) {
+    if (!relPath) {
+      throw storageError('EPERM', 'Refusing to delete the storage root');
+    }
+    this.node(user, relPath);
+    const tree = this.tree(user);
+    for (const key of this.subtree(user, relPath)) {
+      tree.delete(key);
+    }
+  }
+}
+
+/**
+ * Create a storage driver by name ('nfs', 'local' or 'memory')
+ */
+export const createStorageDriver = (name = STORAGE_DRIVER) => {
+  switch (name) {
+    case 'nfs':
+      return new NFSDriver();
+    case 'local':
+      return new LocalUserDirectoryDriver();
+    case 'memory':
+      return new MemoryDriver();
+    default:
+      throw new Error(`Unknown storage driver: ${name}`);
+  }
+};
+
+// Driver selected by configuration, shared by the filesystem and mydrive routers
+const storage = createStorageDriver();
+log.info('Storage driver selected', { driver: storage.name });
+
+export default storage;
@@ -0,0 +1,144 @@
+import { describe, test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Which stream a chat queue message reaches. Every stream consumes the shared chat queue,
+// so each consumer sees other users' and other chats' messages too.
+// Run with: node --test test/
+const { ChatStreamRegistry, isStreamMessage, streamKey } = await import('../chatStreams.js');
+const { MemoryStateStore } = await import('../cluster.js');
+
+let registry;
+let received;
+
+// A running stream that records the messages handed to it
+const startStream = (userId, sessionId, chatId) => {
+  const stream = {
+    userId,
+    sessionId,
+    chatId,
+    consumerTag: `ctag-${userId}-${sessionId}`,
+    handleMessage: (message) => received.push({ stream: streamKey(userId, sessionId), message })
+  };
+  registry.track(streamKey(userId, sessionId), stream);
+  return stream;
+};
+
+const receivedBy = (sessionKey) => received.filter(entry => entry.stream === sessionKey).map(entry => entry.message);
+
+beforeEach(() => {
+  registry = new ChatStreamRegistry({ state: new MemoryStateStore(), nodeId: 'node-a' });
+  received = [];
+});
+
+describe('isStreamMessage', () => {
+  const stream = { userId: 'u1', sessionId: '1', chatId: '1' };
+
+  test('needs the same user, chat session and chat', () => {
+    assert.equal(isStreamMessage(stream, { user_id: 'u1', session_id: '1', chat_id: '1' }), true);
+    assert.equal(isStreamMessage(stream, { user_id: 'u2', session_id: '1', chat_id: '1' }), false);
+    assert.equal(isStreamMessage(stream, { user_id: 'u1', session_id: '2', chat_id: '1' }), false);
+    assert.equal(isStreamMessage(stream, { user_id: 'u1', session_id: '1', chat_id: '2' }), false);
+  });
+
+  test('never matches a message without a chat_id', () => {
+    assert.equal(isStreamMessage(stream, { user_id: 'u1', session_id: '1' }), false);
+  });
+});
+
+describe('ChatStreamRegistry.deliver', () => {
+  test('keeps two users with the same chat and session ids apart', async () => {
+    const ann = startStream('u1', '1', '1');
+    const bob = startStream('u2', '1', '1');
+    const annToken = { user_id: 'u1', session_id: '1', chat_id: '1', type: 'token', token: 'for ann' };
+    const bobToken = { user_id: 'u2', session_id: '1', chat_id: '1', type: 'token', token: 'for bob' };
+
+    // Each consumer takes the other user's message off the shared queue
+    await registry.deliver(ann, bobToken);
+    await registry.deliver(bob, annToken);
+
+    assert.deepEqual(receivedBy('u1_1'), [annToken]);
+    assert.deepEqual(receivedBy('u2_1'), [bobToken]);
+  });
+
+  test('routes a message without a chat_id by its user and session, not to the consumer that took it', async () => {
+    const ann = startStream('u1', '1', '1');
+    startStream('u2', '1', '1');
+    const bobStatus = { user_id: 'u2', session_id: '1', type: 'status', token: 'done' };
+
+    await registry.deliver(ann, bobStatus);
+
+    assert.deepEqual(receivedBy('u1_1'), []);
+    assert.deepEqual(receivedBy('u2_1'), [bobStatus]);
+  });
+
+  test('drops messages that name no running stream', async () => {
+    const ann = startStream('u1', '1', '1');
+
+    await registry.deliver(ann, { user_id: 'u3', session_id: '1', chat_id: '1', token: 'x' });
+    await registry.deliver(ann, { chat_id: '1', token: 'no owner' });
+    await registry.deliver(ann, { user_id: 'u1', session_id: '1', chat_id: '9', token: 'old chat' });
+
+    assert.deepEqual(received, []);
+  });
+
+});
+
+describe('routing to another node', () => {
+  let ann;
+  let forwarded;
+  const bobToken = { user_id: 'u2', session_id: '1', chat_id: '1', token: 'for bob' };
+
+  beforeEach(() => {
+    ann = startStream('u1', '1', '1');
+    forwarded = [];
+    const other = new ChatStreamRegistry({ state: registry.state, nodeId: 'node-b' });
+    other.track('u2_1', { userId: 'u2', sessionId: '1', chatId: '1', consumerTag: 'ctag-b' });
+  });
+
+  test('forwards a message for a stream on another node to that node', async () => {
+    registry.forward = async (nodeId, sessionKey, message) => {
+      forwarded.push({ nodeId, sessionKey, message });
+      return true;
+    };
+
+    await registry.deliver(ann, bobToken);
+
+    assert.deepEqual(received, []);
+    assert.deepEqual(forwarded, [{ nodeId: 'node-b', sessionKey: 'u2_1', message: bobToken }]);
+  });
+
+  test('resolves only once the owning node has accepted the message', async () => {
+    let accept;
+    registry.forward = () => new Promise(resolve => {
+      accept = resolve;
+    });
+    let delivered = false;
+    const delivering = registry.deliver(ann, bobToken).then(() => {
+      delivered = true;
+    });
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(delivered, false);
+
+    accept(true);
+    await delivering;
+    assert.equal(delivered, true);
+  });
+
+  test('rejects when the owning node is gone, so the message is dead-lettered', async () => {
+    registry.forward = async () => false;
+    await assert.rejects(registry.deliver(ann, bobToken), /did not accept/);
+
+    registry.forward = null;
+    await assert.rejects(registry.deliver(ann, bobToken), /did not accept/);
+  });
+});
+
+test('untrack leaves a newer stream for the same chat session alone', async () => {
+  startStream('u1', '1', '1');
+  registry.track('u1_1', { userId: 'u1', sessionId: '1', chatId: '2', consumerTag: 'newer' });
+
+  registry.untrack('u1_1', 'ctag-u1-1');
+
+  assert.equal(registry.streams.get('u1_1').consumerTag, 'newer');
+  assert.equal((await registry.getOwner('u1_1')).consumerTag, 'newer');
+});
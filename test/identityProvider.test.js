@@ -0,0 +1,160 @@
+import { describe, test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+// Behaviour of the file-backed identity provider ('local'), the provider used offline and in tests.
+// Run with: node --test test/
+const { LocalIdentityProvider, ForeignIdentityProvider, createIdentityProvider } = await import('../identityProvider.js');
+const { verifyAccessToken, signAccessToken } = await import('../authMiddleware.js');
+
+const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'aipb-identity-'));
+after(() => fs.rm(tempDir, { recursive: true, force: true }));
+
+let usersPath;
+let provider;
+let fileCount = 0;
+
+beforeEach(() => {
+  usersPath = path.join(tempDir, `users-${++fileCount}.json`);
+  provider = new LocalIdentityProvider(usersPath);
+});
+
+const readUsers = async () => JSON.parse(await fs.readFile(usersPath, 'utf8')).users;
+
+describe('LocalIdentityProvider.register', () => {
+  test('creates the user and stores only a scrypt hash of the password', async () => {
+    const result = await provider.register({ user_name: 'ann', password: 'correct horse' });
+
+    assert.equal(result.status, 201);
+    assert.equal(result.success, true);
+    assert.equal(result.user.username, 'ann');
+    assert.equal(result.body.user_id, result.user.id);
+
+    const { ann } = await readUsers();
+    assert.equal(ann.id, result.user.id);
+    assert.match(ann.passwordHash, /^scrypt\$[0-9a-f]{32}\$[0-9a-f]{128}$/);
+    assert.ok(!JSON.stringify(ann).includes('correct horse'));
+  });
+
+  test('rejects a missing username or password', async () => {
+    assert.equal((await provider.register({ user_name: 'ann' })).status, 400);
+    assert.equal((await provider.register({ password: 'pw' })).status, 400);
+  });
+
+  test('rejects a username that cannot name a storage directory', async () => {
+    for (const user_name of ['../ann', 'ann/bob', '.hidden', 'a b', 'x'.repeat(129)]) {
+      const result = await provider.register({ user_name, password: 'pw' });
+      assert.equal(result.status, 400, user_name);
+      assert.equal(result.success, false);
+    }
+    assert.equal((await provider.login({ user_name: '../ann', password: 'pw' })).status, 401);
+  });
+
+  test('rejects a username that is already taken', async () => {
+    await provider.register({ user_name: 'ann', password: 'first' });
+    const result = await provider.register({ user_name: 'ann', password: 'second' });
+
+    assert.equal(result.status, 409);
+    assert.equal(result.success, false);
+  });
+
+  test('keeps every user when registrations run concurrently', async () => {
+    const names = ['ann', 'bob', 'cat', 'dan', 'eve'];
+    await Promise.all(names.map(user_name => provider.register({ user_name, password: 'pw' })));
+
+    assert.deepEqual(Object.keys(await readUsers()).sort(), names);
+  });
+});
+
+describe('LocalIdentityProvider.login', () => {
+  test('returns a verifiable token for the right password', async () => {
+    const { user } = await provider.register({ user_name: 'ann', password: 'pw-ann' });
+    const result = await provider.login({ user_name: 'ann', password: 'pw-ann' });
+
+    assert.equal(result.status, 200);
+    assert.equal(result.success, true);
+    assert.equal(result.body.message, 'Login successful');
+    assert.deepEqual({ id: result.user.id, username: result.user.username }, { id: user.id, username: 'ann' });
+    assert.equal(result.sessionId, 0);
+    assert.deepEqual(result.personalizedFiles, []);
+
+    const verified = verifyAccessToken(result.token);
+    assert.equal(verified.id, user.id);
+    assert.equal(verified.username, 'ann');
+  });
+
+  test('gives the same answer for a wrong password and an unknown user', async () => {
+    await provider.register({ user_name: 'ann', password: 'pw-ann' });
+    const wrongPassword = await provider.login({ user_name: 'ann', password: 'pw-bob' });
+    const unknownUser = await provider.login({ user_name: 'bob', password: 'pw-ann' });
+
+    for (const result of [wrongPassword, unknownUser]) {
+      assert.equal(result.status, 401);
+      assert.equal(result.success, false);
+      assert.equal(result.user, null);
+      assert.equal(result.token, undefined);
+    }
+    assert.deepEqual(wrongPassword.body, unknownUser.body);
+  });
+
+  test('works before any user file exists', async () => {
+    const result = await provider.login({ user_name: 'ann', password: 'pw' });
+    assert.equal(result.status, 401);
+  });
+});
+
+describe('LocalIdentityProvider passwords', () => {
+  test('changePassword checks the current password first', async () => {
+    const { user } = await provider.register({ user_name: 'ann', password: 'old-pw' });
+
+    const rejected = await provider.changePassword(user, 'not-it', 'new-pw');
+    assert.equal(rejected.status, 401);
+    assert.equal((await provider.login({ user_name: 'ann', password: 'old-pw' })).success, true);
+
+    const changed = await provider.changePassword(user, 'old-pw', 'new-pw');
+    assert.equal(changed.status, 200);
+    assert.equal((await provider.login({ user_name: 'ann', password: 'old-pw' })).success, false);
+    assert.equal((await provider.login({ user_name: 'ann', password: 'new-pw' })).success, true);
+  });
+
+  test('resetPassword replaces the password of an existing user only', async () => {
+    await provider.register({ user_name: 'ann', password: 'old-pw' });
+
+    assert.equal((await provider.resetPassword('bob', 'new-pw')).status, 404);
+    assert.equal((await provider.resetPassword('ann', 'new-pw')).status, 200);
+    assert.equal((await provider.login({ user_name: 'ann', password: 'new-pw' })).success, true);
+    assert.ok((await readUsers()).ann.passwordChangedAt);
+  });
+});
+
+describe('ForeignIdentityProvider.login', () => {
+  // A foreign client that answers /login with the given body
+  const answering = (body) => new ForeignIdentityProvider({ post: async () => ({ status: 200, body }) });
+  const loginBody = (token) => ({ message: 'Login successful', user_id: 7, token, session_id: 3 });
+
+  test('takes the roles from a token that verifies', async () => {
+    const token = signAccessToken({ id: 7, username: 'ann', role: 'admin' });
+    const result = await answering(loginBody(token)).login({ user_name: 'ann', password: 'pw' });
+
+    assert.equal(result.success, true);
+    assert.equal(result.user.roles, 'admin');
+    assert.equal(result.token, token);
+  });
+
+  test('rejects the login when the token does not verify', async () => {
+    const [header, payload] = signAccessToken({ id: 7, username: 'ann' }).split('.');
+    const forgedPayload = Buffer.from(JSON.stringify({ ...JSON.parse(Buffer.from(payload, 'base64url')), role: 'admin' })).toString('base64url');
+
+    for (const token of [`${header}.${forgedPayload}.bad-signature`, 'not-a-jwt', undefined]) {
+      await assert.rejects(answering(loginBody(token)).login({ user_name: 'ann', password: 'pw' }), { code: 'UPSTREAM_ERROR' });
+    }
+  });
+});
+
+test('createIdentityProvider selects the provider by name', () => {
+  assert.equal(createIdentityProvider('local').name, 'local');
+  assert.equal(createIdentityProvider('foreign').name, 'foreign');
+  assert.throws(() => createIdentityProvider('ldap'), /Unknown identity provider/);
+});
@@ -0,0 +1,114 @@
+import { describe, test, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+// Login throttling (loginThrottle.js) with the file store, on a mocked clock.
+// Run with: node --test test/
+const MINUTE_MS = 60 * 1000;
+const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'aipb-throttle-'));
+const lockoutFile = path.join(tempDir, 'login-lockouts.json');
+process.env.LOGIN_MAX_FAILURES = '3';
+process.env.LOGIN_BACKOFF_BASE_MS = '1000';
+process.env.LOGIN_LOCKOUT_MS = String(15 * MINUTE_MS);
+process.env.LOGIN_FAILURE_WINDOW_MS = String(15 * MINUTE_MS);
+process.env.LOGIN_LOCKOUT_STORE = 'file';
+process.env.LOGIN_LOCKOUT_FILE = lockoutFile;
+process.env.AUDIT_LOG_PATH = path.join(tempDir, 'audit.log');
+
+// Enabled before the import so the module's prune timer runs on the mocked clock
+mock.timers.enable({ apis: ['Date', 'setInterval'], now: Date.now() });
+const { loginThrottle, recordLoginFailure, recordLoginSuccess, listLockouts } = await import('../loginThrottle.js');
+
+after(async () => {
+  mock.timers.reset();
+  // Audit and lockout writes may still be landing
+  await fs.rm(tempDir, { recursive: true, force: true, maxRetries: 5 });
+});
+
+const loginRequest = (username, ip) => ({ ip, body: { user_name: username }, get: () => 'test-agent' });
+
+// Runs the middleware; resolves to the error it passed on (undefined when the login may go ahead)
+// and the response, whose 'close' releases the attempt's reservation
+const attempt = async (req) => {
+  const res = new EventEmitter();
+  let passed;
+  await loginThrottle(req, res, (error) => {
+    passed = error;
+  });
+  return { error: passed, res };
+};
+
+const finishedAttempt = async (req) => {
+  const { error, res } = await attempt(req);
+  res.emit('close');
+  return error;
+};
+
+// File store writes are queued behind the middleware; wait for a condition on the file
+// (a read can catch it half written, which counts as not yet)
+const waitForFile = async (predicate) => {
+  for (let i = 0; i < 200; i++) {
+    const records = await fs.readFile(lockoutFile, 'utf8').then(JSON.parse).catch(() => null);
+    if (records && predicate(records)) {
+      return;
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  assert.fail('lockout file never reached the expected state');
+};
+
+describe('lockout', () => {
+  test('locks a username out after too many failures, until the lockout ends', async () => {
+    const req = loginRequest('ann', '10.0.0.1');
+    for (let i = 0; i < 3; i++) {
+      await recordLoginFailure(req);
+    }
+
+    const error = await finishedAttempt(req);
+    assert.equal(error?.code, 'RATE_LIMITED');
+    assert.equal(error.reason, 'LOCKED_OUT');
+    assert.equal(error.details.retry_after, 15 * 60);
+    assert.equal(await finishedAttempt(loginRequest('bob', '10.0.0.2')), undefined, 'other users are not locked');
+
+    mock.timers.tick(15 * MINUTE_MS + 1);
+    assert.equal(await finishedAttempt(req), undefined);
+  });
+
+  test('backs off after a single failure and forgets it on success', async () => {
+    const req = loginRequest('cat', '10.0.0.3');
+    await recordLoginFailure(req);
+
+    assert.equal((await finishedAttempt(req))?.reason, 'THROTTLED');
+    mock.timers.tick(1001);
+    assert.equal(await finishedAttempt(req), undefined);
+
+    await recordLoginSuccess(req);
+    assert.equal((await listLockouts()).some(record => record.key === 'user:cat'), false);
+  });
+});
+
+describe('reservations', () => {
+  test('an attempt in flight holds back a parallel one until its response closes', async () => {
+    const req = loginRequest('dan', '10.0.0.4');
+    const first = await attempt(req);
+    assert.equal(first.error, undefined);
+
+    assert.equal((await finishedAttempt(req))?.reason, 'THROTTLED');
+
+    first.res.emit('close');
+    first.res.emit('close');
+    assert.equal(await finishedAttempt(req), undefined, 'released once, however often close fires');
+  });
+});
+
+test('stale records are pruned without anyone listing them', async () => {
+  await recordLoginFailure(loginRequest('eve', '10.0.0.5'));
+  await waitForFile(records => records.some(record => record.key === 'user:eve'));
+
+  mock.timers.tick(15 * MINUTE_MS + MINUTE_MS);
+
+  await waitForFile(records => !records.some(record => record.key === 'user:eve' || record.key === 'ip:10.0.0.5'));
+});
@@ -0,0 +1,82 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Mount bookkeeping of the mount registry, with the mount and umount commands replaced.
+// Run with: node --test test/
+const { default: mountRegistry } = await import('../mountRegistry.js');
+
+let events;
+
+// A promise that a test settles by hand, to hold a command mid-run
+const deferred = () => {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+};
+
+beforeEach(() => {
+  events = [];
+  mountRegistry.runMount = async (username) => {
+    events.push(`mount ${username}`);
+  };
+  mountRegistry.runUnmount = async (mountPoint) => {
+    events.push(`umount ${mountPoint}`);
+  };
+});
+
+afterEach(async () => {
+  mountRegistry.runUnmount = async () => {};
+  await mountRegistry.unmountAll();
+});
+
+test('a login during an unmount waits for it and mounts again', async () => {
+  const mountPoint = await mountRegistry.acquire('ann');
+  mountRegistry.release('ann');
+
+  const umount = deferred();
+  mountRegistry.runUnmount = async () => {
+    events.push('umount started');
+    await umount.promise;
+    events.push('umount finished');
+  };
+  const unmounting = mountRegistry.unmount('ann');
+  const acquiring = mountRegistry.acquire('ann');
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.deepEqual(events, ['mount ann', 'umount started']);
+  assert.equal(mountRegistry.getMountPoint('ann'), mountPoint, 'tracked until umount succeeds');
+
+  umount.resolve();
+  assert.equal(await unmounting, true);
+  assert.equal(await acquiring, mountPoint);
+  assert.deepEqual(events, ['mount ann', 'umount started', 'umount finished', 'mount ann']);
+  assert.equal(mountRegistry.getStatus('ann').refCount, 1);
+});
+
+test('a failed unmount keeps the mount tracked and reusable', async () => {
+  const mountPoint = await mountRegistry.acquire('bob');
+  mountRegistry.release('bob');
+  mountRegistry.runUnmount = async () => {
+    throw new Error('umount: target is busy');
+  };
+
+  await assert.rejects(mountRegistry.unmount('bob'), /target is busy/);
+
+  assert.equal(mountRegistry.getMountPoint('bob'), mountPoint);
+  assert.ok(mountRegistry.getStatus('bob').idleUnmountAt, 'another idle unmount is scheduled');
+  assert.equal(await mountRegistry.acquire('bob'), mountPoint);
+  assert.deepEqual(events, ['mount bob'], 'reused without mounting again');
+  assert.equal(mountRegistry.getStatus('bob').idleUnmountAt, null);
+});
+
+test('concurrent logins for one user share a single mount', async () => {
+  const mountPoints = await Promise.all([mountRegistry.acquire('cat'), mountRegistry.acquire('cat')]);
+
+  assert.equal(mountPoints[0], mountPoints[1]);
+  assert.deepEqual(events, ['mount cat']);
+  assert.equal(mountRegistry.getStatus('cat').refCount, 2);
+});
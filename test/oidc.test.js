@@ -0,0 +1,203 @@
+import { describe, test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+
+// The OIDC authorization code flow (state, nonce, PKCE) against a mock identity provider.
+// Run with: node --test test/
+
+const CLIENT_ID = 'aipb-test';
+const REDIRECT_URI = 'http://localhost:3000/api/v1/auth/oidc/callback';
+
+// Mock IdP: discovery, JWKS and a token endpoint that checks the PKCE verifier like a real one.
+// The browser step is played by authorize(), which issues a code for an authorization URL.
+const signingKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const strangerKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const codes = new Map(); // code -> { challenge, nonce, claims, signWith }
+const tokenRequests = [];
+
+const idp = http.createServer((req, res) => {
+  const send = (status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => {
+    if (req.url === '/.well-known/openid-configuration') {
+      return send(200, {
+        issuer,
+        authorization_endpoint: `${issuer}/authorize`,
+        token_endpoint: `${issuer}/token`,
+        jwks_uri: `${issuer}/jwks`
+      });
+    }
+    if (req.url === '/jwks') {
+      return send(200, { keys: [{ ...signingKey.publicKey.export({ format: 'jwk' }), kid: 'k1', use: 'sig', alg: 'RS256' }] });
+    }
+    if (req.url === '/token' && req.method === 'POST') {
+      const form = Object.fromEntries(new URLSearchParams(Buffer.concat(chunks).toString()));
+      tokenRequests.push(form);
+      const grant = codes.get(form.code);
+      codes.delete(form.code);
+      if (!grant || form.client_id !== CLIENT_ID || form.redirect_uri !== REDIRECT_URI) {
+        return send(400, { error: 'invalid_grant' });
+      }
+      const challenge = crypto.createHash('sha256').update(form.code_verifier || '').digest('base64url');
+      if (challenge !== grant.challenge) {
+        return send(400, { error: 'invalid_grant', error_description: 'PKCE verification failed' });
+      }
+      const idToken = jwt.sign({ ...(grant.nonce !== null && { nonce: grant.nonce }), ...grant.claims }, grant.signWith.privateKey, {
+        algorithm: 'RS256',
+        keyid: 'k1',
+        issuer,
+        audience: CLIENT_ID,
+        expiresIn: '5m'
+      });
+      return send(200, { access_token: 'idp-access-token', token_type: 'Bearer', id_token: idToken });
+    }
+    send(404, { error: 'not_found' });
+  });
+});
+
+await new Promise(resolve => idp.listen(0, '127.0.0.1', resolve));
+const issuer = `http://127.0.0.1:${idp.address().port}`;
+after(() => idp.close());
+
+process.env.OIDC_ISSUER = issuer;
+process.env.OIDC_CLIENT_ID = CLIENT_ID;
+process.env.OIDC_REDIRECT_URI = REDIRECT_URI;
+const { createAuthorizationRequest, completeAuthorization, mapClaimsToUser, isOidcConfigured } = await import('../oidc.js');
+
+// The user signs in at the IdP, which redirects back with a code for this authorization request
+// (`nonce` overrides the nonce the IdP puts in the ID token; null leaves it out)
+const authorize = (authorizationUrl, { claims = {}, nonce, signWith = signingKey } = {}) => {
+  const params = new URL(authorizationUrl).searchParams;
+  const code = crypto.randomBytes(8).toString('hex');
+  codes.set(code, {
+    challenge: params.get('code_challenge'),
+    nonce: nonce === undefined ? params.get('nonce') : nonce,
+    claims: { sub: 'u-42', preferred_username: 'ann', roles: ['user'], ...claims },
+    signWith
+  });
+  return { code, state: params.get('state') };
+};
+
+const rejectsWith = (promise, type) => assert.rejects(promise, (error) => {
+  assert.equal(error.name, 'OidcError');
+  assert.equal(error.type, type);
+  return true;
+});
+
+test('OIDC is configured from the issuer and client id', () => {
+  assert.equal(isOidcConfigured(), true);
+});
+
+describe('createAuthorizationRequest', () => {
+  test('sends the browser to the IdP with state, nonce and an S256 PKCE challenge', async () => {
+    const { authorizationUrl, state } = await createAuthorizationRequest();
+    const url = new URL(authorizationUrl);
+    const params = url.searchParams;
+
+    assert.equal(`${url.origin}${url.pathname}`, `${issuer}/authorize`);
+    assert.equal(params.get('response_type'), 'code');
+    assert.equal(params.get('client_id'), CLIENT_ID);
+    assert.equal(params.get('redirect_uri'), REDIRECT_URI);
+    assert.equal(params.get('state'), state);
+    assert.equal(params.get('code_challenge_method'), 'S256');
+    assert.match(params.get('code_challenge'), /^[A-Za-z0-9_-]{43}$/);
+    assert.match(params.get('nonce'), /^[A-Za-z0-9_-]{22}$/);
+  });
+
+  test('uses a fresh state, nonce and challenge for every sign-in', async () => {
+    const first = new URL((await createAuthorizationRequest()).authorizationUrl).searchParams;
+    const second = new URL((await createAuthorizationRequest()).authorizationUrl).searchParams;
+
+    for (const name of ['state', 'nonce', 'code_challenge']) {
+      assert.notEqual(first.get(name), second.get(name));
+    }
+  });
+});
+
+describe('completeAuthorization', () => {
+  test('exchanges the code with the PKCE verifier and returns the verified claims', async () => {
+    const { authorizationUrl } = await createAuthorizationRequest();
+    const claims = await completeAuthorization(authorize(authorizationUrl));
+
+    assert.equal(claims.sub, 'u-42');
+    assert.equal(claims.preferred_username, 'ann');
+    assert.equal(claims.aud, CLIENT_ID);
+
+    const exchange = tokenRequests.at(-1);
+    assert.equal(exchange.grant_type, 'authorization_code');
+    assert.equal(exchange.redirect_uri, REDIRECT_URI);
+    assert.match(exchange.code_verifier, /^[A-Za-z0-9_-]{43}$/);
+  });
+
+  test('accepts a state only once', async () => {
+    const { authorizationUrl } = await createAuthorizationRequest();
+    const { state, code } = authorize(authorizationUrl);
+    await completeAuthorization({ state, code });
+
+    await rejectsWith(completeAuthorization({ state, code }), 'INVALID_STATE');
+  });
+
+  test('consumes the state even when the sign-in fails', async () => {
+    const { authorizationUrl } = await createAuthorizationRequest();
+    const { state, code } = authorize(authorizationUrl);
+
+    await rejectsWith(completeAuthorization({ state }), 'MISSING_CODE');
+    await rejectsWith(completeAuthorization({ state, code }), 'INVALID_STATE');
+  });
+
+  test('rejects a state it never issued', async () => {
+    const { authorizationUrl } = await createAuthorizationRequest();
+    const { code } = authorize(authorizationUrl);
+
+    await rejectsWith(completeAuthorization({ state: 'forged-state', code }), 'INVALID_STATE');
+    await rejectsWith(completeAuthorization({ code }), 'INVALID_STATE');
+  });
+
+  test('sends the verifier of the sign-in the state belongs to (PKCE)', async () => {
+    // A code issued for one sign-in can't be redeemed under another sign-in's state
+    const victim = await createAuthorizationRequest();
+    const attacker = await createAuthorizationRequest();
+    const { code } = authorize(victim.authorizationUrl);
+
+    await rejectsWith(completeAuthorization({ state: attacker.state, code }), 'TOKEN_EXCHANGE_FAILED');
+    assert.match(tokenRequests.at(-1).code_verifier, /^[A-Za-z0-9_-]{43}$/);
+  });
+
+  test('rejects an ID token whose nonce belongs to another sign-in', async () => {
+    const { authorizationUrl } = await createAuthorizationRequest();
+
+    await rejectsWith(completeAuthorization(authorize(authorizationUrl, { nonce: 'replayed-nonce' })), 'INVALID_ID_TOKEN');
+  });
+
+  test('rejects an ID token without a nonce', async () => {
+    const { authorizationUrl } = await createAuthorizationRequest();
+
+    await rejectsWith(completeAuthorization(authorize(authorizationUrl, { nonce: null })), 'INVALID_ID_TOKEN');
+  });
+
+  test('rejects an ID token not signed by the IdP', async () => {
+    const { authorizationUrl } = await createAuthorizationRequest();
+
+    await rejectsWith(completeAuthorization(authorize(authorizationUrl, { signWith: strangerKey })), 'INVALID_ID_TOKEN');
+  });
+});
+
+describe('mapClaimsToUser', () => {
+  test('maps the configured claims to the local user', () => {
+    assert.deepEqual(mapClaimsToUser({ sub: 'u-42', preferred_username: 'ann', roles: 'admin' }), {
+      id: 'u-42',
+      username: 'ann',
+      roles: ['admin']
+    });
+  });
+
+  test('falls back to the email for the username', () => {
+    assert.equal(mapClaimsToUser({ sub: 'u-42', email: 'ann@example.com' }).username, 'ann@example.com');
+  });
+});
@@ -0,0 +1,124 @@
+import { describe, test, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+// The password routes (password.js) over HTTP, with the local identity provider and log delivery
+// of reset tokens. Run with: node --test test/
+const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'aipb-password-'));
+process.env.IDENTITY_PROVIDER = 'local';
+process.env.IDENTITY_LOCAL_USERS_PATH = path.join(tempDir, 'users.json');
+process.env.AUDIT_LOG_PATH = path.join(tempDir, 'audit.log');
+process.env.PASSWORD_RESET_DELIVERY = 'log';
+process.env.PASSWORD_RESET_MAX_REQUESTS = '2';
+process.env.LOG_FORMAT = 'json';
+const { default: express } = await import('express');
+const { default: passwordRouter } = await import('../password.js');
+const { default: identityProvider } = await import('../identityProvider.js');
+const { errorHandler } = await import('../errors.js');
+
+let server;
+let baseUrl;
+let logLines;
+
+before(async () => {
+  const app = express();
+  app.set('trust proxy', true);
+  app.use(express.json());
+  app.use('/password', passwordRouter);
+  app.use(errorHandler);
+  await new Promise(resolve => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}/password`;
+  await identityProvider.register({ user_name: 'ann', password: 'first-password' });
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await fs.rm(tempDir, { recursive: true, force: true, maxRetries: 5 });
+});
+
+beforeEach(() => {
+  logLines = [];
+  // Warnings and errors go to stderr (logger.js); keep them to look for issued tokens
+  mock.method(process.stderr, 'write', (line) => {
+    logLines.push(String(line));
+    return true;
+  });
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+let clientCount = 0;
+// Each test asks from its own address unless told otherwise, so the per-IP limit stays out of the way
+const post = (route, body, ip = `10.0.1.${++clientCount}`) => fetch(`${baseUrl}${route}`, {
+  method: 'POST',
+  headers: { 'content-type': 'application/json', 'x-forwarded-for': ip },
+  body: JSON.stringify(body)
+});
+
+const issuedTokens = () => logLines
+  .flatMap(text => text.trim().split('\n'))
+  .filter(text => text.startsWith('{'))
+  .map(text => JSON.parse(text))
+  .filter(entry => entry.msg === 'Password reset token issued (log delivery)');
+
+describe('POST /reset/request', () => {
+  test('issues a token for an existing user and keeps it out of the log', async () => {
+    const response = await post('/reset/request', { user_name: 'ann' });
+
+    assert.equal(response.status, 202);
+    const issued = issuedTokens();
+    assert.equal(issued.length, 1);
+    assert.equal(issued[0].username, 'ann');
+    assert.equal(issued[0].resetToken, '[redacted]');
+  });
+
+  test('answers the same for an unknown user without issuing a token', async () => {
+    const known = await post('/reset/request', { user_name: 'ann' });
+    const unknown = await post('/reset/request', { user_name: 'nobody' });
+
+    assert.equal(unknown.status, known.status);
+    assert.deepEqual(await unknown.json(), await known.json());
+    assert.deepEqual(issuedTokens().map(entry => entry.username), ['ann']);
+  });
+
+  test('throttles repeated requests for a username and from an address', async () => {
+    assert.equal((await post('/reset/request', { user_name: 'bob' })).status, 202);
+    assert.equal((await post('/reset/request', { user_name: 'Bob ' })).status, 202);
+
+    const throttled = await post('/reset/request', { user_name: 'bob' });
+    assert.equal(throttled.status, 429);
+    assert.ok(Number(throttled.headers.get('retry-after')) > 0);
+    assert.equal((await throttled.json()).reason, 'THROTTLED');
+
+    assert.equal((await post('/reset/request', { user_name: 'cat' }, '10.0.2.1')).status, 202);
+    assert.equal((await post('/reset/request', { user_name: 'dan' }, '10.0.2.1')).status, 202);
+    assert.equal((await post('/reset/request', { user_name: 'eve' }, '10.0.2.1')).status, 429);
+  });
+
+  test('requires a user_name', async () => {
+    const response = await post('/reset/request', {});
+
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).code, 'VALIDATION_FAILED');
+  });
+});
+
+describe('POST /reset/confirm', () => {
+  test('validates the body before spending the token', async () => {
+    const missing = await post('/reset/confirm', { token: 'abc' });
+    assert.equal(missing.status, 400);
+    assert.deepEqual((await missing.json()).details.map(detail => detail.field), ['new_password']);
+
+    const weak = await post('/reset/confirm', { token: 'abc', new_password: 'short' });
+    assert.equal((await weak.json()).reason, 'PASSWORD_POLICY');
+
+    const unknown = await post('/reset/confirm', { token: 'abc', new_password: 'long enough password' });
+    assert.equal((await unknown.json()).reason, 'INVALID_RESET_TOKEN');
+  });
+});
@@ -0,0 +1,278 @@
+import { describe, test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+
+// Connection supervision, consumers and dead-lettering of the RabbitMQ supervisor, against an
+// in-memory stand-in for the rabbitmq.js client. Run with: node --test test/
+const { RabbitMQSupervisor } = await import('../rabbitmqSupervisor.js');
+
+// An amqplib channel that records what is done on it; deliver() plays the broker
+class FakeChannel extends EventEmitter {
+  constructor() {
+    super();
+    this.consumers = new Map(); // consumerTag -> { queue, onMessage }
+    this.acked = [];
+    this.nacked = [];
+    this.published = [];
+    this.failAssert = null;
+    this.nextTag = 0;
+  }
+
+  async assertExchange() {
+    if (this.failAssert) {
+      throw this.failAssert;
+    }
+  }
+
+  async assertQueue() {}
+  async bindQueue() {}
+
+  async consume(queue, onMessage) {
+    const consumerTag = `ctag-${++this.nextTag}`;
+    this.consumers.set(consumerTag, { queue, onMessage });
+    return { consumerTag };
+  }
+
+  async cancel(consumerTag) {
+    this.consumers.delete(consumerTag);
+  }
+
+  ack(message) { this.acked.push(message); }
+  nack(message, allUpTo, requeue) { this.nacked.push({ message, requeue }); }
+  publish(exchange, routingKey, content, options) { this.published.push({ exchange, routingKey, content, options }); }
+
+  consumersOf(queue) {
+    return [...this.consumers.values()].filter(consumer => consumer.queue === queue);
+  }
+
+  // Hand a raw body to every consumer of the queue
+  deliver(queue, body) {
+    const message = { content: Buffer.from(body), properties: { contentType: 'application/json', headers: {} } };
+    for (const { onMessage } of this.consumersOf(queue)) {
+      onMessage(message);
+    }
+    return message;
+  }
+}
+
+// Like rabbitmq.js: connect() opens a new connection and channel, close() closes them
+class FakeClient {
+  constructor() {
+    this.connection = null;
+    this.channel = null;
+    this.connects = 0;
+    this.closes = 0;
+    this.failConnect = null;
+    this.prepareChannel = () => {};
+  }
+
+  async connect() {
+    this.connects++;
+    if (this.failConnect) {
+      throw this.failConnect;
+    }
+    this.connection = new EventEmitter();
+    this.channel = new FakeChannel();
+    this.prepareChannel(this.channel);
+  }
+
+  async ensureConnection() {
+    return Boolean(this.connection);
+  }
+
+  async close() {
+    this.closes++;
+    this.connection = null;
+    this.channel = null;
+  }
+
+  // The broker went away
+  drop() {
+    const { connection } = this;
+    this.connection = null;
+    connection.emit('close');
+  }
+}
+
+// Let pending promise work run
+const settle = async () => {
+  for (let i = 0; i < 10; i++) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+};
+
+// Let the reconnect timer fire and the reconnect run
+const reconnect = async () => {
+  mock.timers.tick(60 * 1000);
+  await settle();
+};
+
+let client;
+let supervisor;
+
+beforeEach(() => {
+  mock.timers.enable({ apis: ['setTimeout', 'setInterval'] });
+  client = new FakeClient();
+  supervisor = new RabbitMQSupervisor(client);
+});
+
+afterEach(async () => {
+  await supervisor.stop();
+  mock.timers.reset();
+});
+
+describe('reconnecting', () => {
+  test('reconnects after the connection is lost', async () => {
+    assert.equal(await supervisor.start(), true);
+    assert.equal(supervisor.getStatus().state, 'connected');
+
+    client.drop();
+    assert.equal(supervisor.getStatus().state, 'reconnecting');
+    assert.equal(supervisor.getStatus().last_error, 'connection closed');
+
+    await reconnect();
+    assert.equal(supervisor.getStatus().state, 'connected');
+    assert.equal(client.connects, 2);
+  });
+
+  test('keeps retrying while the broker is down', async () => {
+    client.failConnect = new Error('ECONNREFUSED');
+    assert.equal(await supervisor.start(), false);
+    await reconnect();
+    assert.equal(supervisor.getStatus().attempt, 2);
+
+    client.failConnect = null;
+    await reconnect();
+    assert.equal(supervisor.getStatus().state, 'connected');
+    assert.equal(supervisor.getStatus().attempt, 0);
+  });
+
+  test('closes a connection that failed partway through setting up', async () => {
+    client.prepareChannel = (channel) => {
+      channel.failAssert = new Error('PRECONDITION_FAILED');
+    };
+    assert.equal(await supervisor.start(), false);
+
+    assert.equal(client.closes, 1);
+    assert.equal(client.connection, null);
+    assert.equal(supervisor.getStatus().last_error, 'PRECONDITION_FAILED');
+
+    client.prepareChannel = () => {};
+    await reconnect();
+    assert.equal(supervisor.getStatus().state, 'connected');
+  });
+});
+
+describe('consumers', () => {
+  test('are resubscribed once each on the new channel', async () => {
+    await supervisor.start();
+    const received = [];
+    const subscription = await supervisor.consume('chat', message => received.push(message));
+    const firstChannel = client.channel;
+
+    client.drop();
+    await reconnect();
+    await supervisor.resubscribe(); // again - a no-op for consumers already on this channel
+
+    assert.notEqual(client.channel, firstChannel);
+    assert.equal(client.channel.consumersOf('chat').length, 1);
+    assert.equal(subscription.consumerTag, [...client.channel.consumers.keys()][0]);
+
+    const message = client.channel.deliver('chat', '{"token":"hi"}');
+    await settle();
+    assert.deepEqual(received, [{ token: 'hi' }]);
+    assert.deepEqual(client.channel.acked, [message]);
+  });
+
+  test('cancel stops the consumer for good', async () => {
+    await supervisor.start();
+    const subscription = await supervisor.consume('chat', () => {});
+
+    assert.equal(await supervisor.cancel(subscription), true);
+    client.drop();
+    await reconnect();
+
+    assert.equal(client.channel.consumersOf('chat').length, 0);
+    assert.equal(supervisor.getStatus().consumers, 0);
+  });
+});
+
+describe('dead-lettering', () => {
+  test('moves unparseable bodies to the dead-letter exchange without handling them', async () => {
+    await supervisor.start();
+    const handler = mock.fn();
+    await supervisor.consume('chat', handler);
+
+    for (const body of ['not json', '  ']) {
+      client.channel.deliver('chat', body);
+    }
+    await settle();
+
+    assert.equal(handler.mock.callCount(), 0);
+    assert.equal(client.channel.acked.length, 0);
+    assert.deepEqual(client.channel.nacked.map(entry => entry.requeue), [false, false]);
+    const [invalid, empty] = client.channel.published;
+    assert.equal(invalid.routingKey, 'chat');
+    assert.equal(invalid.content.toString(), 'not json');
+    assert.equal(invalid.options.headers['x-original-queue'], 'chat');
+    assert.match(invalid.options.headers['x-dead-letter-reason'], /^invalid JSON/);
+    assert.equal(empty.options.headers['x-dead-letter-reason'], 'empty message');
+  });
+
+  test('moves a message whose handler fails to the dead-letter exchange', async () => {
+    await supervisor.start();
+    await supervisor.consume('chat', async () => {
+      throw new Error('owner gone');
+    });
+
+    const message = client.channel.deliver('chat', '{"token":"hi"}');
+    await settle();
+
+    assert.equal(client.channel.acked.length, 0);
+    assert.deepEqual(client.channel.nacked, [{ message, requeue: false }]);
+    assert.equal(client.channel.published[0].options.headers['x-dead-letter-reason'], 'handler failed: owner gone');
+  });
+});
+
+describe('message handling', () => {
+  test('acks a message only after its handler has finished', async () => {
+    await supervisor.start();
+    let finish;
+    await supervisor.consume('chat', () => new Promise(resolve => {
+      finish = resolve;
+    }));
+
+    const message = client.channel.deliver('chat', '{"token":"hi"}');
+    await settle();
+    assert.equal(client.channel.acked.length, 0);
+
+    finish();
+    await settle();
+    assert.deepEqual(client.channel.acked, [message]);
+  });
+
+  test('hands a consumer its messages one at a time, in delivery order', async () => {
+    await supervisor.start();
+    const events = [];
+    const pending = [];
+    await supervisor.consume('chat', (message) => {
+      events.push(`start ${message.n}`);
+      return new Promise(resolve => pending.push(() => {
+        events.push(`end ${message.n}`);
+        resolve();
+      }));
+    });
+
+    client.channel.deliver('chat', '{"n":1}');
+    client.channel.deliver('chat', '{"n":2}');
+    await settle();
+    assert.deepEqual(events, ['start 1'], 'the second waits for the first');
+
+    pending.shift()();
+    await settle();
+    pending.shift()();
+    await settle();
+    assert.deepEqual(events, ['start 1', 'end 1', 'start 2', 'end 2']);
+    assert.equal(client.channel.acked.length, 2);
+  });
+});
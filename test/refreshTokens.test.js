@@ -0,0 +1,130 @@
+import { describe, test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Refresh token families (refreshTokens.js), the access tokens tied to them and the login
+// sessions built on them (sessionRegistry.js).
+// Run with: node --test test/
+process.env.REFRESH_TOKEN_TTL_MS = String(60 * 60 * 1000);
+process.env.REFRESH_FAMILY_MAX_AGE_MS = String(30 * 24 * 60 * 60 * 1000);
+const {
+  createRefreshTokenFamily,
+  rotateRefreshToken,
+  revokeRefreshTokenFamily,
+  isRefreshTokenFamilyActive,
+  isRefreshTokenFamilyRevoked
+} = await import('../refreshTokens.js');
+const { createSession, listSessions } = await import('../sessionRegistry.js');
+const { issueSessionAccessToken, verifyAccessToken } = await import('../authMiddleware.js');
+
+const HOUR_MS = 60 * 60 * 1000;
+const user = { id: 'u1', username: 'ann', role: 'user' };
+
+beforeEach(() => {
+  mock.timers.enable({ apis: ['Date'], now: Date.now() });
+});
+
+afterEach(() => {
+  mock.timers.reset();
+});
+
+describe('rotation', () => {
+  test('exchanges a refresh token for a new one in the same family', () => {
+    const { familyId, refreshToken } = createRefreshTokenFamily(user);
+
+    const rotated = rotateRefreshToken(refreshToken);
+    assert.equal(rotated.familyId, familyId);
+    assert.deepEqual(rotated.user, user);
+    assert.notEqual(rotated.refreshToken, refreshToken);
+
+    assert.equal(rotateRefreshToken(rotated.refreshToken).familyId, familyId, 'the new token rotates in turn');
+  });
+
+  test('keeps the family refreshable for another token lifetime', () => {
+    const { familyId, refreshToken } = createRefreshTokenFamily(user);
+    mock.timers.tick(HOUR_MS - 1);
+    rotateRefreshToken(refreshToken);
+
+    mock.timers.tick(HOUR_MS - 1);
+    assert.equal(isRefreshTokenFamilyActive(familyId), true);
+  });
+
+  test('rejects missing, unknown and expired tokens', () => {
+    const { refreshToken } = createRefreshTokenFamily(user);
+
+    assert.throws(() => rotateRefreshToken(''), { type: 'MISSING_REFRESH_TOKEN' });
+    assert.throws(() => rotateRefreshToken('not-issued'), { type: 'INVALID_REFRESH_TOKEN' });
+    mock.timers.tick(HOUR_MS + 1);
+    assert.throws(() => rotateRefreshToken(refreshToken), { type: 'REFRESH_TOKEN_EXPIRED' });
+  });
+
+  test('rejects every token of a family revoked at logout', () => {
+    const { familyId, refreshToken } = createRefreshTokenFamily(user);
+    const { token: accessToken } = issueSessionAccessToken(user, familyId);
+
+    assert.equal(revokeRefreshTokenFamily(familyId), true);
+
+    assert.throws(() => rotateRefreshToken(refreshToken), { name: 'RefreshTokenError' });
+    assert.throws(() => verifyAccessToken(accessToken), { type: 'TOKEN_REVOKED' });
+  });
+});
+
+describe('reuse detection', () => {
+  test('replaying a rotated token revokes the whole family', () => {
+    const { familyId, refreshToken } = createRefreshTokenFamily(user);
+    const { refreshToken: current } = rotateRefreshToken(refreshToken);
+
+    assert.throws(() => rotateRefreshToken(refreshToken), { type: 'REFRESH_TOKEN_REUSED', familyId });
+
+    assert.equal(isRefreshTokenFamilyRevoked(familyId), true);
+    assert.equal(isRefreshTokenFamilyActive(familyId), false);
+    assert.throws(() => rotateRefreshToken(current), { name: 'RefreshTokenError' }, 'the legitimate holder is signed out too');
+  });
+
+  test('access tokens of the revoked login session stop working', () => {
+    const { familyId, refreshToken } = createRefreshTokenFamily(user);
+    const { token: accessToken } = issueSessionAccessToken(user, familyId);
+    assert.equal(verifyAccessToken(accessToken).sessionId, familyId);
+    rotateRefreshToken(refreshToken);
+
+    assert.throws(() => rotateRefreshToken(refreshToken), { type: 'REFRESH_TOKEN_REUSED' });
+
+    assert.throws(() => verifyAccessToken(accessToken), { type: 'TOKEN_REVOKED' });
+  });
+
+  test('leaves other logins of the same user alone', () => {
+    const stolen = createRefreshTokenFamily(user);
+    const other = createRefreshTokenFamily(user);
+    const { token: otherAccessToken } = issueSessionAccessToken(user, other.familyId);
+    rotateRefreshToken(stolen.refreshToken);
+
+    assert.throws(() => rotateRefreshToken(stolen.refreshToken), { type: 'REFRESH_TOKEN_REUSED' });
+
+    assert.equal(isRefreshTokenFamilyRevoked(other.familyId), false);
+    assert.equal(verifyAccessToken(otherAccessToken).id, user.id);
+    assert.equal(rotateRefreshToken(other.refreshToken).familyId, other.familyId);
+  });
+});
+
+describe('abandoned logins', () => {
+  test('a family stops being active once its last refresh token has expired', () => {
+    const { familyId } = createRefreshTokenFamily(user);
+    assert.equal(isRefreshTokenFamilyActive(familyId), true);
+
+    mock.timers.tick(HOUR_MS + 1);
+
+    assert.equal(isRefreshTokenFamilyActive(familyId), false, 'well before the 30 day family maximum');
+  });
+
+  test('the session is forgotten and its storage released', async () => {
+    const { familyId } = createRefreshTokenFamily(user);
+    const releaseStorage = mock.fn(async () => {});
+    createSession(familyId, user, { get: () => 'test-agent', ip: '127.0.0.1' }, { releaseStorage });
+    assert.deepEqual(listSessions(user.id).map(session => session.id), [familyId]);
+
+    mock.timers.tick(HOUR_MS + 1);
+
+    assert.deepEqual(listSessions(user.id), []);
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(releaseStorage.mock.callCount(), 1);
+  });
+});
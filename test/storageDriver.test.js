@@ -0,0 +1,113 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+// The same behaviour from every storage driver. The nfs driver runs on plain directories:
+// the mount registry's mount and umount commands are replaced.
+// Run with: node --test test/
+const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'aipb-storage-'));
+process.env.NFS_MOUNT_BASE = path.join(tempDir, 'mounts');
+const { MemoryDriver, LocalUserDirectoryDriver, NFSDriver } = await import('../storageDriver.js');
+const { default: mountRegistry } = await import('../mountRegistry.js');
+
+mountRegistry.runMount = (username, mountPoint) => fs.mkdir(mountPoint, { recursive: true });
+mountRegistry.runUnmount = async () => {};
+after(() => fs.rm(tempDir, { recursive: true, force: true }));
+
+const readText = async (driver, user, relPath) => {
+  const chunks = [];
+  for await (const chunk of await driver.createReadStream(user, relPath)) {
+    chunks.push(Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks).toString();
+};
+
+const names = async (driver, user, relPath) => (await driver.list(user, relPath)).map(entry => entry.name).sort();
+
+const drivers = {
+  memory: () => new MemoryDriver(),
+  local: () => new LocalUserDirectoryDriver(path.join(tempDir, 'local')),
+  nfs: () => new NFSDriver()
+};
+
+for (const [name, createDriver] of Object.entries(drivers)) {
+  describe(`${name} driver`, () => {
+    const driver = createDriver();
+    const user = { id: `${name}-1`, username: `ann-${name}` };
+
+    before(() => driver.attachUser(user.username));
+    after(() => driver.detachUser(user.username));
+
+    test('writes, reads and lists files', async () => {
+      await driver.writeFile(user, 'notes/today.txt', 'hello');
+
+      assert.equal(await readText(driver, user, 'notes/today.txt'), 'hello');
+      assert.deepEqual(await names(driver, user, 'notes'), ['today.txt']);
+      const entry = await driver.stat(user, 'notes/today.txt');
+      assert.equal(entry.isDirectory, false);
+      assert.equal(entry.size, 5);
+      assert.equal((await driver.stat(user, 'notes')).isDirectory, true);
+    });
+
+    test('renames and copies directories with their contents', async () => {
+      await driver.writeFile(user, 'a/inner/file.txt', 'x');
+
+      await driver.rename(user, 'a', 'b');
+      assert.equal(await driver.exists(user, 'a'), false);
+      assert.equal(await readText(driver, user, 'b/inner/file.txt'), 'x');
+
+      await driver.copy(user, 'b', 'c');
+      assert.equal(await readText(driver, user, 'b/inner/file.txt'), 'x');
+      assert.equal(await readText(driver, user, 'c/inner/file.txt'), 'x');
+    });
+
+    test('refuses to move a directory into its own subdirectory', async () => {
+      await driver.writeFile(user, 'parent/child/file.txt', 'keep');
+
+      await assert.rejects(driver.rename(user, 'parent', 'parent/child/moved'), { code: 'EINVAL' });
+      assert.equal(await readText(driver, user, 'parent/child/file.txt'), 'keep');
+      assert.deepEqual(await names(driver, user, 'parent/child'), ['file.txt']);
+    });
+
+    test('deletes recursively but never the root', async () => {
+      await driver.writeFile(user, 'old/deep/file.txt', 'x');
+
+      await driver.delete(user, 'old');
+      assert.equal(await driver.exists(user, 'old'), false);
+      await assert.rejects(driver.delete(user, ''), { code: 'EPERM' });
+    });
+
+    test('reports a missing path as ENOENT', async () => {
+      await assert.rejects(driver.stat(user, 'missing.txt'), { code: 'ENOENT' });
+      await assert.rejects(driver.list(user, 'missing'), { code: 'ENOENT' });
+    });
+
+    test('keeps users apart', async () => {
+      const other = { id: `${name}-2`, username: `bob-${name}` };
+      await driver.attachUser(other.username);
+      await driver.writeFile(user, 'mine.txt', 'ann');
+
+      assert.equal(await driver.exists(other, 'mine.txt'), false);
+      driver.detachUser(other.username);
+    });
+  });
+}
+
+describe('directory-backed drivers', () => {
+  test('reject paths that leave the user root', async () => {
+    const driver = drivers.local();
+    const user = { id: 'local-3', username: 'cat-local' };
+    await driver.attachUser(user.username);
+
+    await assert.rejects(driver.stat(user, '../other-user'), { code: 'EPATHTRAVERSAL' });
+  });
+
+  test('give no root to usernames that are not plain names', async () => {
+    const driver = drivers.local();
+
+    assert.equal(driver.getRoot({ username: '../escape' }), null);
+    await assert.rejects(driver.attachUser('../escape'), { code: 'EINVALIDUSER' });
+  });
+});
@@ -0,0 +1,61 @@
+import express from 'express';
+import { requireSessionToken } from './authMiddleware.js';
+import {
+  PAT_SCOPES,
+  createPersonalAccessToken,
+  listPersonalAccessTokens,
+  revokePersonalAccessToken
+} from './personalAccessTokens.js';
+import { AppError } from './errors.js';
+
+const router = express.Router();
+
+// Tokens can only be managed from an interactive login, never with another token
+router.use(requireSessionToken);
+
+// Create a personal access token - the token value is only returned once
+router.post('/', async (req, res, next) => {
+  const { name, scopes, expires_in_days } = req.body;
+
+  try {
+    const created = await createPersonalAccessToken(req.user, {
+      name,
+      scopes,
+      expiresInDays: expires_in_days
+    });
+    res.status(201).json({
+      success: true,
+      message: 'Store this token now - it will not be shown again',
+      ...created
+    });
+  } catch (error) {
+    if (error.code === 'INVALID_SCOPE' || error.code === 'INVALID_EXPIRY') {
+      return next(new AppError('VALIDATION_FAILED', error.message, { reason: error.code, details: { available_scopes: PAT_SCOPES } }));
+    }
+    next(error);
+  }
+});
+
+// List the caller's tokens (hashes are never returned)
+router.get('/', (req, res) => {
+  res.json({
+    success: true,
+    tokens: listPersonalAccessTokens(req.user),
+    available_scopes: PAT_SCOPES
+  });
+});
+
+// Revoke one of the caller's tokens
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const revoked = await revokePersonalAccessToken(req.user, req.params.id);
+    if (!revoked) {
+      return next(new AppError('NOT_FOUND', 'Token not found'));
+    }
+    res.json({ success: true, message: 'Token revoked', id: req.params.id });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
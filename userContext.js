@@ -0,0 +1,33 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+// Request-scoped user context. The authenticate middleware runs the rest of the
+// request inside this store so helpers deep in the call chain can find the caller
+// without relying on a process-wide "current user".
+const userContext = new AsyncLocalStorage();
+
+/**
+ * Run fn with the given verified user as the active request user.
+ * `request` carries client details ({ ip, userAgent }) for audit records.
+ */
+export const runWithUser = (user, fn, request = null) => userContext.run({ ...userContext.getStore(), user, request }, fn);
+
+/**
+ * Run fn with a correlation id for logs and downstream calls. The id is kept when
+ * runWithUser later adds the user to the same request.
+ */
+export const runWithRequestId = (requestId, fn) => userContext.run({ ...userContext.getStore(), requestId }, fn);
+
+/**
+ * Get the verified user for the current request (null outside a request)
+ */
+export const getContextUser = () => userContext.getStore()?.user || null;
+
+/**
+ * Get the client details ({ ip, userAgent }) for the current request (null outside a request)
+ */
+export const getContextRequest = () => userContext.getStore()?.request || null;
+
+/**
+ * Get the correlation id of the current HTTP request or socket event (null outside one)
+ */
+export const getRequestId = () => userContext.getStore()?.requestId || null;